@@ -1,6 +1,31 @@
 // Import browser polyfill if needed
 // import browser from 'webextension-polyfill';
 
+// Shared helpers (loaded as classic scripts into the service worker scope)
+importScripts(
+  'lib/settings.js',
+  'background/tab-store.js',
+  'background/ui-sync.js',
+  'background/analysis-queue.js',
+  'background/tab-groups.js',
+  'background/summarizer.js',
+  'background/topics.js',
+  'background/clustering.js',
+  'background/windows.js',
+  'background/llm-providers.js',
+  'background/classifier.js',
+  'background/category-overrides.js',
+  'background/tab-notes.js',
+  'background/duplicates.js',
+  'background/workspaces.js',
+  'background/search-index.js',
+  'background/suspension.js',
+  'background/cleanup.js',
+  'background/archive.js',
+  'background/time-tracking.js',
+  'background/command-palette.js'
+);
+
 // Store for our tab data
 let tabData = {};
 
@@ -8,10 +33,7 @@ let tabData = {};
 async function loadSavedData() {
   try {
     console.log('Loading saved tab data...');
-    const result = await chrome.storage.local.get('tabData');
-    
-    // Initialize tabData as empty object if nothing in storage
-    tabData = result.tabData || {};
+    tabData = await loadTabStore();
     
     // Get all current tabs
     const existingTabs = await chrome.tabs.query({});
@@ -20,15 +42,23 @@ async function loadSavedData() {
     // Create a map of existing tab IDs for faster lookup
     const existingTabIds = new Set(existingTabs.map(tab => tab.id));
     
-    // Remove stale tabs from tabData
+    // Remove stale tabs from tabData; they closed while the worker was asleep, so archive them
+    // (unless the page is open in another tab, as after a browser restart restores the session)
+    const openUrls = new Set(existingTabs.map(tab => tab.url));
     let staleTabsRemoved = 0;
     for (const tabId in tabData) {
       if (!existingTabIds.has(parseInt(tabId))) {
+        if (!openUrls.has(tabData[tabId].url)) {
+          archiveClosedTab(tabData[tabId]);
+        }
         delete tabData[tabId];
         staleTabsRemoved++;
       }
     }
     
+    // Tabs may have moved while the worker was asleep
+    updateTabPositions(existingTabs);
+    
     // Add any missing tabs to tabData
     let newTabsAdded = 0;
     for (const tab of existingTabs) {
@@ -38,8 +68,13 @@ async function loadSavedData() {
           id: tab.id,
           url: tab.url,
           title: tab.title,
-          category: await getCategory(tab.url),
+          ...await getUnanalyzedCategory(tab.url),
+          ...await getTabNotes(tab.url),
           summary: tab.title || "No summary available",
+          discarded: Boolean(tab.discarded),
+          windowId: tab.windowId,
+          index: tab.index,
+          firstSeen: new Date().getTime(),
           lastAccessed: new Date().getTime(),
           content: { title: tab.title, metaDescription: "", bodyText: "" }
         };
@@ -50,7 +85,7 @@ async function loadSavedData() {
     console.log(`Removed ${staleTabsRemoved} stale tabs, added ${newTabsAdded} new tabs`);
     
     // Save cleaned data back to storage
-    await chrome.storage.local.set({ tabData });
+    queueTabDataSave();
     
     // If we had to add new tabs, analyze them in the background
     if (newTabsAdded > 0) {
@@ -96,51 +131,30 @@ async function refreshAllTabData() {
           id: tab.id,
           url: tab.url,
           title: tab.title,
-          category: await getCategory(tab.url),
+          ...await getUnanalyzedCategory(tab.url),
+          ...await getTabNotes(tab.url),
           summary: tab.title || "No summary available",
+          discarded: Boolean(tab.discarded),
+          windowId: tab.windowId,
+          index: tab.index,
+          firstSeen: new Date().getTime(),
           lastAccessed: new Date().getTime(),
           content: { title: tab.title, metaDescription: "", bodyText: "" }
         };
       }
     }
     
-    // Save the current state to storage immediately
-    await chrome.storage.local.set({ tabData });
+    // Save the current state to storage
+    queueTabDataSave();
     
-    // Process tabs in batches
-    const BATCH_SIZE = 5;
-    for (let i = 0; i < tabs.length; i += BATCH_SIZE) {
-      const batch = tabs.slice(i, i + BATCH_SIZE);
-      
-      // Send progress update
-      if (i > 0) {
-        sendMessageToPopupIfOpen({
-          action: "tabAnalysisProgress",
-          processed: i,
-          total: tabs.length
-        });
-      }
-      
-      await Promise.all(batch.map(tab => analyzeTab(tab)));
-      
-      // Save after each batch
-      await chrome.storage.local.set({ tabData });
-      
-      // Small delay between batches
-      if (i + BATCH_SIZE < tabs.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-    }
+    // Queue every tab; the queue reports progress and skips tabs whose results are still fresh
+    await Promise.all(tabs.map(tab => enqueueAnalysis(tab.id)));
     
     // Save the final data
-    await chrome.storage.local.set({ tabData });
+    await flushTabStore();
     
     // Notify popup if open
-    sendMessageToPopupIfOpen({
-      action: "tabDataUpdated",
-      tabData: tabData,
-      status: 'complete'
-    });
+    broadcastTabSnapshot('complete');
     
     return true;
   } catch (error) {
@@ -210,28 +224,29 @@ async function getPageContent(tabId) {
       };
     }
 
-    // For regular web pages, try to execute the content script
+    // For regular web pages, run the content extractor (injected again in case the page
+    // was open before the extension loaded and never got the content script)
     try {
+      await chrome.scripting.executeScript({
+        target: { tabId, allFrames: false },
+        files: ['content/extractor.js']
+      });
       const result = await chrome.scripting.executeScript({
         target: { tabId, allFrames: false },
-        func: () => {
-          // Get page title, meta description, and visible text
-          const title = document.title;
-          const metaDescription = document.querySelector('meta[name="description"]')?.content || '';
-          
-          // Get main content text (basic implementation)
-          const bodyText = document.body?.innerText?.substring(0, 1000) || ''; // First 1000 chars
-          
-          return { title, metaDescription, bodyText };
-        }
+        func: () => extractPageContent()
       });
       
-      if (!result || !result[0]) {
+      if (!result || !result[0] || !result[0].result) {
         throw new Error('No result from executeScript');
       }
 
       return result[0].result;
     } catch (scriptError) {
+      // Let the analysis queue retry errors that are likely to go away
+      if (isTransientScriptError(scriptError)) {
+        scriptError.transient = true;
+        throw scriptError;
+      }
       console.log(`Script execution failed for ${tab.url}, falling back to basic info:`, scriptError);
       // Fall back to basic tab information if script execution fails
       return {
@@ -241,6 +256,9 @@ async function getPageContent(tabId) {
       };
     }
   } catch (error) {
+    if (error.transient) {
+      throw error;
+    }
     console.error(`Error getting content from tab ${tabId}:`, error);
     
     // Try to at least get the tab title as a last resort
@@ -547,58 +565,364 @@ const rules = [
   
 ];
 
+// User-defined category rules from the options page, in priority order
+let userRules = [];
+let categoryRuleMode = DEFAULT_SETTINGS.categoryRuleMode;
+
+// Load user rules and rule mode from storage
+async function loadUserRules() {
+  try {
+    const [result, settings] = await Promise.all([
+      chrome.storage.local.get('categoryRules'),
+      getSettings()
+    ]);
+    userRules = Array.isArray(result.categoryRules) ? result.categoryRules : [];
+    categoryRuleMode = settings.categoryRuleMode;
+  } catch (error) {
+    console.error('Error loading category rules:', error);
+    userRules = [];
+  }
+}
+
+// Make sure rules are loaded before the first categorization
+const userRulesReady = loadUserRules();
+
+// Check a URL against a rule pattern
+// Plain patterns are substring matches like the built-in keywords, '*' matches anything
+function matchesPattern(url, pattern) {
+  const trimmed = (pattern || '').trim().toLowerCase();
+  if (!trimmed) {
+    return false;
+  }
+  
+  if (!trimmed.includes('*')) {
+    return url.toLowerCase().includes(trimmed);
+  }
+  
+  const escaped = trimmed
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(escaped).test(url.toLowerCase());
+}
+
+// Get the list of rules to check, depending on the configured mode
+function getActiveRules() {
+  const customRules = userRules.map(rule => ({
+    category: rule.category,
+    keywords: rule.patterns || []
+  }));
+  
+  return categoryRuleMode === 'replace' ? customRules : [...customRules, ...rules];
+}
+
 async function getCategory(url) {
-  for (let { category, keywords } of rules) {
-    if (keywords.some(keyword => url.includes(keyword))) {
+  await userRulesReady;
+  
+  if (!url) {
+    return "Uncategorized";
+  }
+  
+  for (let { category, keywords } of getActiveRules()) {
+    if (keywords.some(keyword => matchesPattern(url, keyword))) {
       return category;
     }
   }
   return "Uncategorized";
 }
 
-// Function to analyze and categorize a tab
-async function analyzeTab(tab) {
+// Decide a tab's category: the user's override for the page or domain first, then rules,
+// then the learned classifier, then the analysis provider
+async function resolveCategory(doc, providerCategory) {
+  await categoryOverridesReady;
+  const override = findCategoryOverride(doc.url);
+  if (override) {
+    return { category: override.category, source: 'manual', confidence: null, override };
+  }
+  
+  const ruleCategory = await getCategory(doc.url);
+  if (ruleCategory !== "Uncategorized") {
+    return { category: ruleCategory, source: 'rule', confidence: null };
+  }
+  
+  const prediction = await predictCategory(doc);
+  if (prediction && prediction.confidence >= CLASSIFIER_MIN_CONFIDENCE) {
+    return { category: prediction.category, source: 'classifier', confidence: prediction.confidence };
+  }
+  
+  if (providerCategory && providerCategory !== "Uncategorized") {
+    return { category: providerCategory, source: 'llm', confidence: null };
+  }
+  
+  return { category: "Uncategorized", source: 'none', confidence: prediction ? prediction.confidence : null };
+}
+
+// Function to decide a tab's category again from its stored data; returns whether it changed
+async function recategorizeTab(tab) {
+  const resolved = await resolveCategory({
+    url: tab.url,
+    title: tab.title,
+    bodyText: tab.content ? tab.content.bodyText : ''
+  }, tab.providerCategory);
+  
+  const changed = tab.category !== resolved.category;
+  tab.category = resolved.category;
+  tab.categorySource = resolved.source;
+  tab.categoryConfidence = resolved.confidence;
+  tab.categoryOverride = resolved.override || null;
+  return changed;
+}
+
+// Re-apply category rules to every tab we know about
+async function recategorizeOpenTabs() {
   try {
-    const { id, url, title } = tab;
-    
-    // Skip special browser pages, settings, etc.
-    if (!url || url.startsWith('chrome:') || url.startsWith('chrome-extension:') || url.startsWith('about:')) {
-      return;
+    // The service worker may have restarted since the data was loaded
+    if (Object.keys(tabData).length === 0) {
+      await loadSavedData();
     }
     
-    // Get page content
-    const content = await getPageContent(id);
-    
-    let category = await getCategory(url);
+    let changed = 0;
+    for (const tab of Object.values(tabData)) {
+      // Leave categories the user chose by hand alone
+      if (tab.categorySource === 'manual') {
+        continue;
+      }
+      
+      if (await recategorizeTab(tab)) {
+        changed++;
+      }
+    }
     
-    // Generate a basic summary (replace with LLM in production)
-    const summary = content.title ? content.title : "No summary available";
+    console.log(`Re-categorized ${changed} tabs after rule change`);
     
-    // Store the tab data
-    tabData[id] = {
-      id,
-      url,
-      title,
-      category,
-      summary,
-      lastAccessed: new Date().getTime(),
-      content: content
-    };
+    queueTabDataSave();
     
-    // Save to storage for persistence
-    await chrome.storage.local.set({ tabData });
+    const settings = await getSettings();
+    if (settings.applyToTabStrip) {
+      await applyCategoriesToTabStrip();
+    }
     
-    // Notify popup if it's open - use a safer approach
-    sendMessageToPopupIfOpen({
-      action: "tabAnalyzed", 
-      tabId: id,
-      tabData: tabData
-    });
+    broadcastTabSnapshot();
   } catch (error) {
-    console.error('Error analyzing tab:', error);
+    console.error('Error re-categorizing tabs:', error);
   }
 }
 
+// Pick up rule edits from the options page right away
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local') {
+    return;
+  }
+  
+  const rulesChanged = Boolean(changes.categoryRules);
+  const modeChanged = Boolean(changes.settings) &&
+    (changes.settings.oldValue || {}).categoryRuleMode !== (changes.settings.newValue || {}).categoryRuleMode;
+  
+  if (rulesChanged || modeChanged) {
+    await loadUserRules();
+    await recategorizeOpenTabs();
+  }
+});
+
+// Analysis results are reused until the page changes or they are this old
+const ANALYSIS_TTL = 24 * 60 * 60 * 1000;
+
+// Function to hash a string (32-bit FNV-1a, as hex)
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Function to identify what an analysis was based on: the URL plus a hash of the page content
+function getAnalysisFingerprint(url, content) {
+  const text = [content.title, content.metaDescription, (content.headings || []).join('\n'), content.bodyText].join('\n');
+  return `${url}#${hashString(text)}`;
+}
+
+// Function to check whether a tab's stored analysis can still be used for this URL
+function isAnalysisFresh(record, url) {
+  return Boolean(record) && record.url === url && Boolean(record.analysisFingerprint) &&
+    new Date().getTime() - record.analyzedAt < ANALYSIS_TTL;
+}
+
+// Function to analyze and categorize a tab (run through the analysis queue, which handles errors)
+// options.force re-analyzes even when the stored result is fresh; options.pageLoaded reads the
+// page again to check whether its content changed (otherwise a fresh result is reused as is);
+// options.signal cancels the job when the tab closes
+async function analyzeTab(tab, options = {}) {
+  const { id, url, title } = tab;
+  
+  // Skip special browser pages, settings, etc.
+  if (!url || url.startsWith('chrome:') || url.startsWith('chrome-extension:') || url.startsWith('about:')) {
+    return;
+  }
+  
+  const previous = tabData[id];
+  const fresh = !options.force && isAnalysisFresh(previous, url);
+  if (fresh && !options.pageLoaded) {
+    return;
+  }
+  
+  // Get page content
+  const content = await getPageContent(id);
+  
+  // Same page, same content: keep the stored result
+  const analysisFingerprint = getAnalysisFingerprint(url, content);
+  if (fresh && previous.analysisFingerprint === analysisFingerprint) {
+    return;
+  }
+  
+  // The offline summary is the heuristic provider's summary and the expandable points for every provider
+  const extractiveSummary = summarizePage(content);
+  const analysis = await analyzeWithProvider({ ...content, url, extractiveSummary });
+  const providerCategory = analysis.provider !== 'heuristic' ? analysis.category : null;
+  
+  // A category the user picked for this page or its domain comes back as an override
+  const resolved = await resolveCategory({ url, title, bodyText: content.bodyText }, providerCategory);
+  
+  const { duplicates: duplicateOptions } = await getSettings();
+  const notes = await getTabNotes(url);
+  
+  // The tab closed while it was being analyzed
+  if (options.signal && options.signal.aborted) {
+    return;
+  }
+  
+  // Store the tab data
+  tabData[id] = {
+    id,
+    url,
+    normalizedUrl: normalizeUrl(url, duplicateOptions),
+    title,
+    category: resolved.category,
+    categorySource: resolved.source,
+    categoryConfidence: resolved.confidence,
+    categoryOverride: resolved.override || null,
+    providerCategory,
+    summary: analysis.summary || "No summary available",
+    summaryPoints: extractiveSummary.points,
+    // Topics come from TF-IDF over all open tabs (refreshed below); keep the last ones meanwhile
+    topics: previous && previous.url === url ? previous.topics || [] : [],
+    providerTopics: analysis.topics,
+    importance: analysis.importance,
+    analysisProvider: analysis.provider,
+    analysisFingerprint,
+    analyzedAt: new Date().getTime(),
+    byline: content.byline || '',
+    publishedAt: content.publishedAt || '',
+    language: content.language || '',
+    readingTime: content.readingTime || 0,
+    tags: notes.tags,
+    note: notes.note,
+    discarded: Boolean(tab.discarded),
+    windowId: tab.windowId,
+    index: tab.index,
+    firstSeen: (previous && previous.firstSeen) || new Date().getTime(),
+    timeSpent: (previous && previous.timeSpent) || 0,
+    lastAccessed: new Date().getTime(),
+    content: content
+  };
+  
+  // Make the page text searchable
+  indexTabContent(id, tabData[id]);
+  
+  // This page changes the topic weights of every tab
+  scheduleTopicRefresh();
+  
+  // Save to storage for persistence
+  queueTabDataSave();
+  
+  // Keep the native tab group in sync if that mode is on
+  await updateTabStripForTab(id);
+  
+  // Tell open UIs about this tab only
+  broadcastTabChange(previous ? 'tabUpdated' : 'tabAdded', id);
+}
+
+// Function to tell open UIs and the tab strip about tabs whose category changed
+async function publishCategoryChanges(tabIds) {
+  queueTabDataSave();
+  for (const tabId of tabIds) {
+    await updateTabStripForTab(tabId);
+  }
+  
+  if (tabIds.length <= 3) {
+    tabIds.forEach(tabId => broadcastTabChange('tabUpdated', tabId));
+  } else {
+    broadcastTabSnapshot();
+  }
+}
+
+// Function to move a tab to a category chosen by the user and learn from it
+// The choice is kept as an override for the page (scope 'url') or its whole domain (scope 'domain');
+// a domain override moves the domain's other open tabs along.
+async function moveTabToCategory(tabId, category, scope = 'url') {
+  // The service worker may have restarted since the data was loaded
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+  
+  const tab = tabData[tabId];
+  if (!tab) {
+    throw new Error(`Unknown tab ${tabId}`);
+  }
+  
+  const name = (category || '').trim();
+  if (!name) {
+    throw new Error('Category name is required');
+  }
+  
+  await trainClassifier({
+    url: tab.url,
+    title: tab.title,
+    bodyText: tab.content ? tab.content.bodyText : ''
+  }, name);
+  
+  const override = await setCategoryOverride(tab.url, name, scope);
+  
+  // Tabs with an override of their own for the page keep it
+  const movedTabIds = Object.values(tabData)
+    .filter(record => isSameOverride(findCategoryOverride(record.url), override))
+    .map(record => {
+      record.category = name;
+      record.categorySource = 'manual';
+      record.categoryConfidence = null;
+      record.categoryOverride = override;
+      return record.id;
+    });
+  
+  await publishCategoryChanges(movedTabIds);
+  return { moved: movedTabIds.length };
+}
+
+// Function to drop the override behind a tab's category and categorize it (and the other tabs
+// the override applied to) automatically again
+async function resetTabCategory(tabId) {
+  // The service worker may have restarted since the data was loaded
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+  
+  const tab = tabData[tabId];
+  if (!tab) {
+    throw new Error(`Unknown tab ${tabId}`);
+  }
+  
+  const removed = await clearCategoryOverride(tab.url);
+  const affected = Object.values(tabData)
+    .filter(record => record.id === tabId || isSameOverride(record.categoryOverride, removed));
+  for (const record of affected) {
+    await recategorizeTab(record);
+  }
+  
+  await publishCategoryChanges(affected.map(record => record.id));
+  return { category: tab.category };
+}
+
 // Helper function to safely send messages to popup
 function sendMessageToPopupIfOpen(message) {
   // First check if we're in a valid state to send messages
@@ -606,14 +930,14 @@ function sendMessageToPopupIfOpen(message) {
     return; // Extension context invalidated or reloading
   }
   
-  // Check if popup is open before trying to send a message
+  // Check if the popup or a side panel is open before trying to send a message
   chrome.runtime.getContexts ? 
     // Use getContexts API if available (Chrome 93+)
     chrome.runtime.getContexts({
-      contextTypes: ['POPUP']
+      contextTypes: ['POPUP', 'SIDE_PANEL']
     }, (contexts) => {
       if (contexts && contexts.length > 0) {
-        // Popup is open, try to send message
+        // A UI is open, try to send message
         try {
           chrome.runtime.sendMessage(message).catch(() => {
             // Silently ignore expected errors
@@ -642,11 +966,28 @@ function safeRuntimeSendMessage(message) {
   }
 }
 
+// Tabs opened recently whose first URL hasn't been checked for duplicates yet
+const newTabIds = new Set();
+
 // Update tab events to be more robust
 chrome.tabs.onCreated.addListener(async (tab) => {
   try {
-    await analyzeTab(tab);
-    await loadSavedData(); // Refresh all tab data to ensure consistency
+    const url = tab.pendingUrl || tab.url;
+    if (url && !url.startsWith('chrome://newtab')) {
+      if (await focusExistingDuplicate(tab, url)) {
+        return;
+      }
+    } else {
+      // The URL isn't known yet - check when the first navigation commits
+      newTabIds.add(tab.id);
+      setTimeout(() => newTabIds.delete(tab.id), 60 * 1000);
+    }
+    
+    // The service worker may have restarted since the data was loaded
+    if (Object.keys(tabData).length === 0) {
+      await loadSavedData();
+    }
+    enqueueAnalysis(tab.id, { priority: ANALYSIS_PRIORITY.loaded });
   } catch (error) {
     console.error('Error handling tab creation:', error);
   }
@@ -654,12 +995,22 @@ chrome.tabs.onCreated.addListener(async (tab) => {
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   try {
+    if (changeInfo.url && newTabIds.has(tabId) && !changeInfo.url.startsWith('chrome://newtab')) {
+      newTabIds.delete(tabId);
+      if (await focusExistingDuplicate(tab, changeInfo.url)) {
+        return;
+      }
+    }
+    
     if (changeInfo.status === 'complete') {
-      await analyzeTab(tab);
-      // Only refresh all data if this tab's URL changed
-      if (changeInfo.url) {
+      if (Object.keys(tabData).length === 0) {
         await loadSavedData();
       }
+      // A load can change the content without changing the URL
+      enqueueAnalysis(tabId, {
+        priority: tab.active ? ANALYSIS_PRIORITY.active : ANALYSIS_PRIORITY.loaded,
+        pageLoaded: true
+      });
     }
   } catch (error) {
     console.error('Error handling tab update:', error);
@@ -670,23 +1021,31 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
   try {
     const { tabId } = activeInfo;
     
+    if (Object.keys(tabData).length === 0) {
+      await loadSavedData();
+    }
+    
     if (tabData[tabId]) {
       tabData[tabId].lastAccessed = new Date().getTime();
-      await chrome.storage.local.set({ tabData });
+      queueTabDataSave();
+      broadcastTabChange('tabUpdated', tabId);
     }
     
-    const tab = await chrome.tabs.get(tabId);
-    await analyzeTab(tab);
-    await loadSavedData(); // Refresh all tab data when switching tabs
+    // Only analyzes when there is no fresh result for this URL
+    enqueueAnalysis(tabId, { priority: ANALYSIS_PRIORITY.active });
   } catch (error) {
     console.error('Error handling tab activation:', error);
   }
 });
 
 chrome.tabs.onRemoved.addListener(async (tabId) => {
-  if (tabData[tabId]) {
-    delete tabData[tabId];
-    await chrome.storage.local.set({ tabData });
+  newTabIds.delete(tabId);
+  // Keep the closed tab's record in the archive
+  if (forgetClosedTab(tabId)) {
+    queueTabDataSave();
+  } else {
+    // The worker restarted since the records were loaded; archive the stored copy
+    await archiveStoredTab(tabId);
   }
 });
 
@@ -694,6 +1053,16 @@ chrome.tabs.onRemoved.addListener(async (tabId) => {
 chrome.runtime.onInstalled.addListener(initializeExtension);
 chrome.runtime.onStartup.addListener(initializeExtension);
 
+// Helper to answer a message from the result of a promise
+function respondAsync(promise, sendResponse, context) {
+  promise.then(result => {
+    sendResponse({ success: true, ...result });
+  }).catch(error => {
+    console.error(`Error ${context}:`, error);
+    sendResponse({ success: false, error: error.message });
+  });
+}
+
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "getTabData") {
@@ -701,20 +1070,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ tabData });
     
     // Then refresh data and notify if it changes
-    loadSavedData().then(() => {
-      sendMessageToPopupIfOpen({
-        action: "tabDataUpdated", 
-        tabData: tabData 
-      });
-    });
+    loadSavedData().then(() => broadcastTabSnapshot());
+  } else if (message.action === "getTabSnapshot") {
+    // A UI opening or catching up after missed changes
+    respondAsync((async () => {
+      if (Object.keys(tabData).length === 0) {
+        await loadSavedData();
+      }
+      return getTabSnapshot();
+    })(), sendResponse, 'loading tab snapshot');
   } else if (message.action === "analyzeSingleTab") {
     const tabId = message.tabId;
-    chrome.tabs.get(tabId).then(tab => {
-      analyzeTab(tab);
-      sendResponse({ success: true });
-    }).catch(error => {
-      console.error('Error analyzing single tab:', error);
-      sendResponse({ success: false, error: error.message });
+    // "force" skips the stored result (the per-tab re-analyze button); respond once done
+    enqueueAnalysis(tabId, { priority: ANALYSIS_PRIORITY.active, force: Boolean(message.force) }).then(outcome => {
+      sendResponse(outcome === 'failed'
+        ? { success: false, error: 'Analysis failed' }
+        : { success: true, outcome });
     });
   } else if (message.action === "analyzeAllTabs") {
     console.log('Received analyzeAllTabs request');
@@ -723,51 +1094,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: true, status: 'started' });
     
     // Process in background
-    (async () => {
-      try {
-        const tabs = await chrome.tabs.query({});
-        console.log(`Found ${tabs.length} tabs to analyze`);
-        
-        // Process tabs in batches
-        const BATCH_SIZE = 5;
-        for (let i = 0; i < tabs.length; i += BATCH_SIZE) {
-          const batch = tabs.slice(i, i + BATCH_SIZE);
-          
-          // Send progress update
-          sendMessageToPopupIfOpen({
-            action: "tabAnalysisProgress",
-            processed: i,
-            total: tabs.length
-          });
-          
-          await Promise.all(batch.map(tab => analyzeTab(tab)));
-          
-          // Save after each batch
-          await chrome.storage.local.set({ tabData });
-          
-          // Small delay between batches
-          if (i + BATCH_SIZE < tabs.length) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-        }
-        
-        // Save the final data
-        await chrome.storage.local.set({ tabData });
-        
-        // Notify popup if open
-        sendMessageToPopupIfOpen({
-          action: "tabDataUpdated",
-          tabData: tabData,
-          status: 'complete'
-        });
-      } catch (error) {
-        console.error('Error in analyzeAllTabs:', error);
-        sendMessageToPopupIfOpen({
-          action: "tabDataError",
-          error: error.message
-        });
-      }
-    })();
+    refreshAllTabData();
     
     // Return true to indicate we'll respond asynchronously
     return true;
@@ -784,18 +1111,96 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     
     // Return true to indicate we'll respond asynchronously
     return true;
-  } else if (message.action === "closeTabs") {
-    const { tabIds } = message;
-    Promise.all(tabIds.map(tabId => {
-      chrome.tabs.remove(tabId);
-      delete tabData[tabId];
-    })).then(() => {
-      chrome.storage.local.set({ tabData });
-      sendResponse({ success: true });
+  } else if (message.action === "moveTabToCategory") {
+    respondAsync(moveTabToCategory(message.tabId, message.category, message.scope), sendResponse, 'moving tab to category');
+  } else if (message.action === "resetTabCategory") {
+    respondAsync(resetTabCategory(message.tabId), sendResponse, 'resetting tab category');
+  } else if (message.action === "setTabNotes") {
+    respondAsync(setTabNotes(message.tabId, message).then(notes => ({ notes })), sendResponse, 'saving tags and note');
+  } else if (message.action === "fullTextSearch") {
+    const search = async () => {
+      // The service worker may have restarted since the data was loaded
+      if (Object.keys(tabData).length === 0) {
+        await loadSavedData();
+      }
+      return { results: queryFullText(message.query || '', message.limit) };
+    };
+    respondAsync(search(), sendResponse, 'searching page contents');
+  } else if (message.action === "wakeTabs") {
+    respondAsync(wakeTabs(message.tabIds || []), sendResponse, 'waking tabs');
+  } else if (message.action === "previewCleanup") {
+    respondAsync(previewCleanup(message.ruleIds), sendResponse, 'previewing cleanup');
+  } else if (message.action === "runCleanup") {
+    respondAsync(closeTabsToTrash(message.tabIds || [], message.label), sendResponse, 'running cleanup');
+  } else if (message.action === "getTrash") {
+    respondAsync(getTrash().then(trash => ({ trash })), sendResponse, 'loading trash');
+  } else if (message.action === "restoreTrash") {
+    respondAsync(restoreFromTrash(message.batchId, message.entryIds), sendResponse, 'restoring from trash');
+  } else if (message.action === "emptyTrash") {
+    respondAsync(emptyTrash(), sendResponse, 'emptying trash');
+  } else if (message.action === "getArchive") {
+    respondAsync(getArchive(), sendResponse, 'loading archive');
+  } else if (message.action === "reopenArchived") {
+    respondAsync(reopenArchivedTabs(message.entryIds || []), sendResponse, 'reopening archived tabs');
+  } else if (message.action === "removeArchived") {
+    respondAsync(removeArchivedTabs(message.entryIds), sendResponse, 'removing archived tabs');
+  } else if (message.action === "getTimeStats") {
+    respondAsync(getTimeStats(), sendResponse, 'loading time stats');
+  } else if (message.action === "getPaletteData") {
+    respondAsync(getPaletteData(), sendResponse, 'loading command palette');
+  } else if (message.action === "paletteAction") {
+    respondAsync(runPaletteAction(message), sendResponse, 'running palette action');
+  } else if (message.action === "getTaskClusters") {
+    respondAsync(getTaskClusters(), sendResponse, 'clustering tabs');
+  } else if (message.action === "saveClusterAsGroup") {
+    respondAsync(saveClusterAsTabGroup(message.tabIds || [], message.title), sendResponse, 'saving cluster as tab group');
+  } else if (message.action === "moveTabsToWindow") {
+    respondAsync(moveTabsToWindow(message.tabIds || [], message.windowId), sendResponse, 'moving tabs to window');
+  } else if (message.action === "moveCategoryToWindow") {
+    respondAsync(moveCategoryToWindow(message.category, message.windowId), sendResponse, 'moving category to window');
+  } else if (message.action === "consolidateWindows") {
+    respondAsync(consolidateWindowsByCategory(), sendResponse, 'consolidating windows');
+  } else if (message.action === "getDuplicates") {
+    respondAsync(findDuplicateTabs(), sendResponse, 'finding duplicates');
+  } else if (message.action === "mergeDuplicates") {
+    respondAsync(mergeDuplicateTabs(message.tabIds), sendResponse, 'merging duplicates');
+  } else if (message.action === "getWorkspaces") {
+    respondAsync(getWorkspaces().then(workspaces => ({ workspaces })), sendResponse, 'loading workspaces');
+  } else if (message.action === "saveWorkspace") {
+    respondAsync(saveWorkspace(message).then(workspace => ({ workspace })), sendResponse, 'saving workspace');
+  } else if (message.action === "renameWorkspace") {
+    respondAsync(renameWorkspace(message.id, message.name).then(workspace => ({ workspace })), sendResponse, 'renaming workspace');
+  } else if (message.action === "updateWorkspace") {
+    respondAsync(updateWorkspace(message.id, message.scope).then(workspace => ({ workspace })), sendResponse, 'updating workspace');
+  } else if (message.action === "deleteWorkspace") {
+    respondAsync(deleteWorkspace(message.id).then(() => ({})), sendResponse, 'deleting workspace');
+  } else if (message.action === "restoreWorkspace") {
+    respondAsync(restoreWorkspace(message.id), sendResponse, 'restoring workspace');
+  } else if (message.action === "createWorkspace") {
+    respondAsync(createWorkspaceFromEntries(message.name, message.tabs).then(workspace => ({ workspace })), sendResponse, 'creating workspace');
+  } else if (message.action === "openTabs") {
+    respondAsync(openTabsInNewWindow(message.tabs).then(window => ({ windowId: window.id })), sendResponse, 'opening tabs');
+  } else if (message.action === "testLlmProvider") {
+    // Run the given provider config against a sample page, without falling back
+    const sample = {
+      url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise',
+      title: 'Promise - JavaScript | MDN',
+      metaDescription: 'The Promise object represents the eventual completion (or failure) of an asynchronous operation and its resulting value.',
+      bodyText: 'A Promise is a proxy for a value not necessarily known when the promise is created.'
+    };
+    const config = mergeSettings(DEFAULT_SETTINGS, { llm: message.config }).llm;
+    runProvider(config.provider, sample, config).then(analysis => {
+      sendResponse({ success: true, analysis });
     }).catch(error => {
-      console.error('Error closing tabs:', error);
       sendResponse({ success: false, error: error.message });
     });
+  } else if (message.action === "closeTabs") {
+    const { tabIds } = message;
+    // Archive and forget the records only once the tabs are really closed
+    respondAsync(chrome.tabs.remove(tabIds).then(() => {
+      tabIds.forEach(tabId => forgetClosedTab(tabId));
+      queueTabDataSave();
+    }), sendResponse, 'closing tabs');
   }
   
   return true; // Required for async response
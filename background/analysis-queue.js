@@ -0,0 +1,207 @@
+// Analysis scheduler: every tab analysis goes through this queue
+// Jobs run a few at a time, most urgent first. Transient script errors are retried with
+// backoff, discarded tabs wait until they load again, and closing a tab cancels its job.
+
+const ANALYSIS_CONCURRENCY = 3;
+const ANALYSIS_MAX_ATTEMPTS = 3;
+const ANALYSIS_RETRY_DELAY = 1000; // doubled after each failed attempt
+
+// Lower runs first
+const ANALYSIS_PRIORITY = {
+  active: 0,   // the tab the user is looking at, or asked for
+  loaded: 1,   // a page that just opened or finished loading
+  background: 2
+};
+
+// Queued jobs by tab id: { tabId, priority, force, pageLoaded, attempts, notBefore, waiters }
+const analysisJobs = new Map();
+
+// Running jobs by tab id, with the controller used to cancel them
+const runningAnalyses = new Map();
+
+// Jobs waiting for a discarded or unloaded tab to load, by tab id (their options)
+const deferredAnalyses = new Map();
+
+// Counts for the current run; reset when the queue goes idle
+let analysisProgress = { total: 0, processed: 0, failed: 0, deferred: 0, errors: [] };
+let analysisRetryTimeout = null;
+
+// Errors worth another try: the page was navigating or the tab strip was busy
+function isTransientScriptError(error) {
+  return /frame with id \d+ was removed|no frame with id|the frame was removed|tabs cannot be (edited|queried) right now|document is not ready/i
+    .test(error.message || '');
+}
+
+// Function to queue a tab for analysis; resolves with the job's outcome
+// ('analyzed', 'failed', 'deferred' or 'cancelled') and never rejects
+function enqueueAnalysis(tabId, { priority = ANALYSIS_PRIORITY.background, force = false, pageLoaded = false } = {}) {
+  return new Promise(resolve => {
+    const deferred = deferredAnalyses.get(tabId);
+    if (deferred) {
+      deferredAnalyses.delete(tabId);
+      force = force || deferred.force;
+    }
+
+    const job = analysisJobs.get(tabId);
+    if (job) {
+      // Already waiting: keep the most urgent request
+      job.priority = Math.min(job.priority, priority);
+      job.force = job.force || force;
+      job.pageLoaded = job.pageLoaded || pageLoaded;
+      job.waiters.push(resolve);
+    } else {
+      if (analysisJobs.size === 0 && runningAnalyses.size === 0) {
+        analysisProgress = { total: 0, processed: 0, failed: 0, deferred: 0, errors: [] };
+      }
+      analysisProgress.total++;
+      analysisJobs.set(tabId, { tabId, priority, force, pageLoaded, attempts: 0, notBefore: 0, waiters: [resolve] });
+    }
+
+    pumpAnalysisQueue();
+  });
+}
+
+// Function to drop a tab's queued, deferred or running analysis (e.g. when it closes)
+function cancelAnalysis(tabId) {
+  deferredAnalyses.delete(tabId);
+
+  const job = analysisJobs.get(tabId);
+  if (job) {
+    analysisJobs.delete(tabId);
+    finishAnalysisJob(job, 'cancelled');
+  }
+
+  const running = runningAnalyses.get(tabId);
+  if (running) {
+    running.controller.abort();
+  }
+}
+
+// Function to pick the next job that may run now
+function takeNextAnalysisJob() {
+  const now = Date.now();
+  let next = null;
+
+  analysisJobs.forEach(job => {
+    if (runningAnalyses.has(job.tabId) || job.notBefore > now) {
+      return;
+    }
+    if (!next || job.priority < next.priority) {
+      next = job;
+    }
+  });
+
+  if (next) {
+    analysisJobs.delete(next.tabId);
+  }
+  return next;
+}
+
+// Function to start jobs up to the concurrency limit
+function pumpAnalysisQueue() {
+  while (runningAnalyses.size < ANALYSIS_CONCURRENCY) {
+    const job = takeNextAnalysisJob();
+    if (!job) {
+      break;
+    }
+    runAnalysisJob(job);
+  }
+
+  // Jobs waiting out a retry delay: come back when the first one is due
+  // (jobs for a tab that is still running are picked up when it finishes)
+  clearTimeout(analysisRetryTimeout);
+  const now = Date.now();
+  const waiting = Array.from(analysisJobs.values())
+    .filter(job => !runningAnalyses.has(job.tabId) && job.notBefore > now);
+  if (waiting.length > 0 && runningAnalyses.size < ANALYSIS_CONCURRENCY) {
+    const due = Math.min(...waiting.map(job => job.notBefore));
+    analysisRetryTimeout = setTimeout(pumpAnalysisQueue, due - now);
+  }
+}
+
+async function runAnalysisJob(job) {
+  const controller = new AbortController();
+  runningAnalyses.set(job.tabId, { job, controller });
+  job.attempts++;
+
+  let outcome;
+  try {
+    const tab = await chrome.tabs.get(job.tabId);
+
+    if (tab.discarded || tab.status === 'unloaded') {
+      // Nothing to read until the page loads again (onUpdated queues it then)
+      deferredAnalyses.set(job.tabId, { force: job.force });
+      outcome = 'deferred';
+    } else {
+      await analyzeTab(tab, { force: job.force, pageLoaded: job.pageLoaded, signal: controller.signal });
+      outcome = controller.signal.aborted ? 'cancelled' : 'analyzed';
+    }
+  } catch (error) {
+    if (controller.signal.aborted || /no tab with id/i.test(error.message || '')) {
+      outcome = 'cancelled';
+    } else if (isTransientScriptError(error) && job.attempts < ANALYSIS_MAX_ATTEMPTS) {
+      // Try again later unless a newer request for this tab is already queued
+      runningAnalyses.delete(job.tabId);
+      job.notBefore = Date.now() + ANALYSIS_RETRY_DELAY * 2 ** (job.attempts - 1);
+      const newer = analysisJobs.get(job.tabId);
+      if (newer) {
+        newer.force = newer.force || job.force;
+        newer.waiters.push(...job.waiters);
+        analysisProgress.total--;
+      } else {
+        analysisJobs.set(job.tabId, job);
+      }
+      console.warn(`Analysis of tab ${job.tabId} failed (attempt ${job.attempts}), retrying:`, error.message);
+      pumpAnalysisQueue();
+      return;
+    } else {
+      console.error(`Error analyzing tab ${job.tabId}:`, error);
+      analysisProgress.errors.push({ tabId: job.tabId, error: error.message });
+      outcome = 'failed';
+    }
+  }
+
+  runningAnalyses.delete(job.tabId);
+  finishAnalysisJob(job, outcome);
+  pumpAnalysisQueue();
+}
+
+// Function to record a job's outcome, answer its callers and report progress
+function finishAnalysisJob(job, outcome) {
+  analysisProgress.processed++;
+  if (outcome === 'failed') {
+    analysisProgress.failed++;
+  } else if (outcome === 'deferred') {
+    analysisProgress.deferred++;
+  }
+
+  job.waiters.forEach(resolve => resolve(outcome));
+  reportAnalysisProgress();
+}
+
+// Function to send the current run's progress to open UIs
+function reportAnalysisProgress() {
+  const done = analysisJobs.size === 0 && runningAnalyses.size === 0;
+  const { total, processed, failed, deferred, errors } = analysisProgress;
+
+  sendMessageToPopupIfOpen({
+    action: "tabAnalysisProgress",
+    processed,
+    total,
+    failed,
+    deferred,
+    done
+  });
+
+  if (done && errors.length > 0) {
+    sendMessageToPopupIfOpen({
+      action: "tabDataError",
+      error: `${errors.length} tab${errors.length === 1 ? '' : 's'} could not be analyzed (${errors[0].error})`
+    });
+  }
+}
+
+// Closing a tab cancels its analysis
+chrome.tabs.onRemoved.addListener((tabId) => {
+  cancelAnalysis(tabId);
+});
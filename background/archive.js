@@ -0,0 +1,143 @@
+// Archive of closed tabs, so their summary and category outlive the tab
+// Stored newest first under its own key; capped by count and age (see settings.archive)
+
+// Archive writes are serialized so tabs closing together don't overwrite each other
+let archiveWriteChain = Promise.resolve();
+
+function queueArchiveWrite(task) {
+  archiveWriteChain = archiveWriteChain.then(task).catch(error => {
+    console.error('Error updating tab archive:', error);
+  });
+  return archiveWriteChain;
+}
+
+async function readArchive() {
+  const result = await chrome.storage.local.get('tabArchive');
+  return Array.isArray(result.tabArchive) ? result.tabArchive : [];
+}
+
+function createArchiveId() {
+  return `archived-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Drop entries past the retention period and beyond the size cap
+function pruneArchive(entries, archiveSettings) {
+  const cutoff = Date.now() - archiveSettings.retentionDays * 24 * 60 * 60 * 1000;
+  return entries
+    .filter(entry => archiveSettings.retentionDays <= 0 || entry.closedAt >= cutoff)
+    .slice(0, archiveSettings.maxEntries);
+}
+
+// Function to add a closed tab's record to the archive
+function archiveClosedTab(record) {
+  return queueArchiveWrite(async () => {
+    const { archive: archiveSettings } = await getSettings();
+    if (!archiveSettings.enabled || !isRestorableUrl(record.url) || record.url.startsWith('about:')) {
+      return;
+    }
+
+    const entry = {
+      id: createArchiveId(),
+      url: record.url,
+      title: record.title || record.url,
+      category: record.category || 'Uncategorized',
+      summary: record.summary || '',
+      topics: record.topics || [],
+      tags: record.tags || [],
+      note: record.note || '',
+      importance: record.importance,
+      lastAccessed: record.lastAccessed,
+      closedAt: Date.now()
+    };
+
+    // Closing the same page again just moves it to the top
+    const entries = (await readArchive()).filter(item => item.url !== entry.url);
+    entries.unshift(entry);
+    await chrome.storage.local.set({ tabArchive: pruneArchive(entries, archiveSettings) });
+  });
+}
+
+// Forget a tab that was closed: archive its record and drop it from tabData.
+// Safe to call more than once for the same tab.
+function forgetClosedTab(tabId) {
+  removeFromSearchIndex(tabId);
+
+  const record = tabData[tabId];
+  if (!record) {
+    return false;
+  }
+
+  delete tabData[tabId];
+  archiveClosedTab(record);
+  broadcastTabChange('tabRemoved', tabId);
+  scheduleTopicRefresh();
+  return true;
+}
+
+// Function to archive a closed tab whose record is only in storage (not loaded since the worker restarted)
+async function archiveStoredTab(tabId) {
+  try {
+    const record = await takeStoredTabRecord(tabId);
+    if (record) {
+      archiveClosedTab(record);
+      broadcastTabChange('tabRemoved', tabId);
+    }
+  } catch (error) {
+    console.error('Error archiving closed tab:', error);
+  }
+}
+
+// Function to get the archive with expired entries removed
+async function getArchive() {
+  await archiveWriteChain;
+  const { archive: archiveSettings } = await getSettings();
+  const entries = await readArchive();
+  const pruned = pruneArchive(entries, archiveSettings);
+
+  if (pruned.length !== entries.length) {
+    await chrome.storage.local.set({ tabArchive: pruned });
+  }
+  return { entries: pruned };
+}
+
+// Function to reopen archived tabs: one tab next to the current one, several in a new window
+async function reopenArchivedTabs(entryIds) {
+  const wanted = new Set(entryIds);
+  const entries = (await readArchive()).filter(entry => wanted.has(entry.id));
+  if (entries.length === 0) {
+    throw new Error('Nothing to reopen');
+  }
+
+  if (entries.length === 1) {
+    const entry = entries[0];
+    const tab = await openExtensionTabs([entry.url], () => chrome.tabs.create({ url: entry.url, active: true }));
+    tabData[tab.id] = {
+      id: tab.id,
+      url: entry.url,
+      title: entry.title,
+      category: entry.category || 'Uncategorized',
+      summary: entry.summary || entry.title || "No summary available",
+      topics: entry.topics || [],
+      windowId: tab.windowId,
+      index: tab.index,
+      lastAccessed: new Date().getTime(),
+      content: { title: entry.title, metaDescription: "", bodyText: "" }
+    };
+    queueTabDataSave();
+  } else {
+    await openTabsInNewWindow(entries);
+  }
+
+  // Reopened tabs are open again; they come back here when closed
+  await removeArchivedTabs(entryIds);
+  return { reopened: entries.length };
+}
+
+// Function to delete entries from the archive (all of them when no ids are given)
+function removeArchivedTabs(entryIds) {
+  return queueArchiveWrite(async () => {
+    const wanted = entryIds ? new Set(entryIds) : null;
+    const entries = wanted ? (await readArchive()).filter(entry => !wanted.has(entry.id)) : [];
+    await chrome.storage.local.set({ tabArchive: entries });
+  }).then(() => ({}));
+}
@@ -0,0 +1,104 @@
+// Categories the user set by hand, kept per page URL or per domain across reloads and sessions
+// A page override wins over a domain override; both win over rules, classifier and provider.
+
+// { urls: { pageKey -> category }, domains: { host -> category } }
+let categoryOverrides = { urls: {}, domains: {} };
+const categoryOverridesReady = loadCategoryOverrides();
+
+async function loadCategoryOverrides() {
+  try {
+    const { categoryOverrides: stored } = await chrome.storage.local.get('categoryOverrides');
+    if (stored) {
+      categoryOverrides = { urls: stored.urls || {}, domains: stored.domains || {} };
+    }
+  } catch (error) {
+    console.error('Error loading category overrides:', error);
+  }
+}
+
+// Function to identify a page regardless of its #fragment
+function getPageKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch (e) {
+    return url || '';
+  }
+}
+
+function getOverrideHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Function to find the override that applies to a URL: { scope: 'url' | 'domain', pattern, category } or null
+// Domain overrides cover subdomains; the most specific domain wins
+function findCategoryOverride(url) {
+  const pageKey = getPageKey(url);
+  if (categoryOverrides.urls[pageKey]) {
+    return { scope: 'url', pattern: pageKey, category: categoryOverrides.urls[pageKey] };
+  }
+
+  const host = getOverrideHost(url);
+  const domain = Object.keys(categoryOverrides.domains)
+    .filter(pattern => host === pattern || host.endsWith(`.${pattern}`))
+    .sort((a, b) => b.length - a.length)[0];
+  return domain ? { scope: 'domain', pattern: domain, category: categoryOverrides.domains[domain] } : null;
+}
+
+function isSameOverride(a, b) {
+  return Boolean(a && b) && a.scope === b.scope && a.pattern === b.pattern;
+}
+
+// Function to remember a category for a page or its domain; returns the new override
+async function setCategoryOverride(url, category, scope) {
+  await categoryOverridesReady;
+
+  let override;
+  if (scope === 'domain') {
+    const host = getOverrideHost(url);
+    if (!host) {
+      throw new Error('This page has no domain');
+    }
+    categoryOverrides.domains[host] = category;
+    // The page follows its domain from now on
+    delete categoryOverrides.urls[getPageKey(url)];
+    override = { scope, pattern: host, category };
+  } else {
+    const pageKey = getPageKey(url);
+    categoryOverrides.urls[pageKey] = category;
+    override = { scope: 'url', pattern: pageKey, category };
+  }
+
+  await chrome.storage.local.set({ categoryOverrides });
+  return override;
+}
+
+// Function to forget the override that applies to a URL; returns the removed override (or null)
+async function clearCategoryOverride(url) {
+  await categoryOverridesReady;
+
+  const override = findCategoryOverride(url);
+  if (!override) {
+    return null;
+  }
+
+  delete categoryOverrides[override.scope === 'url' ? 'urls' : 'domains'][override.pattern];
+  await chrome.storage.local.set({ categoryOverrides });
+  return override;
+}
+
+// Function to get the category of a page that hasn't been analyzed yet: its override, else the rules
+async function getUnanalyzedCategory(url) {
+  await categoryOverridesReady;
+
+  const override = findCategoryOverride(url);
+  if (override) {
+    return { category: override.category, categorySource: 'manual', categoryOverride: override };
+  }
+  return { category: await getCategory(url) };
+}
@@ -0,0 +1,180 @@
+// On-device naive Bayes classifier that learns categories from the user's corrections
+// Used when no category rule matches a tab
+
+// Below this confidence a prediction is shown but not applied
+const CLASSIFIER_MIN_CONFIDENCE = 0.5;
+
+// Keep the model small enough for chrome.storage.local
+const CLASSIFIER_MAX_VOCABULARY = 20000;
+const CLASSIFIER_MAX_BODY_TOKENS = 300;
+
+const CLASSIFIER_STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'was', 'one',
+  'our', 'out', 'has', 'have', 'had', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who',
+  'did', 'get', 'this', 'that', 'with', 'from', 'your', 'will', 'what', 'when', 'they', 'them',
+  'been', 'were', 'which', 'their', 'there', 'about', 'would', 'these', 'into', 'more', 'some',
+  'http', 'https', 'www', 'com', 'org', 'net', 'html', 'htm', 'php', 'index'
+]);
+
+let classifierModel = createEmptyModel();
+let classifierSaveTimeout = null;
+const classifierReady = loadClassifierModel();
+
+function createEmptyModel() {
+  return {
+    version: 1,
+    docCounts: {},     // category -> number of training examples
+    tokenCounts: {},   // category -> { token -> count }
+    totalTokens: {},   // category -> total token count
+    vocabulary: {}     // token -> number of categories it appears in
+  };
+}
+
+async function loadClassifierModel() {
+  try {
+    const result = await chrome.storage.local.get('classifierModel');
+    if (result.classifierModel && result.classifierModel.version === 1) {
+      classifierModel = result.classifierModel;
+    }
+  } catch (error) {
+    console.error('Error loading classifier model:', error);
+  }
+}
+
+// Batch model writes; training often happens several times in a row
+function scheduleClassifierSave() {
+  clearTimeout(classifierSaveTimeout);
+  classifierSaveTimeout = setTimeout(() => {
+    chrome.storage.local.set({ classifierModel }).catch(error => {
+      console.error('Error saving classifier model:', error);
+    });
+  }, 1000);
+}
+
+function splitWords(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2 && word.length < 30 && !CLASSIFIER_STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+// Turn a tab into tokens; URL and title tokens are prefixed so they carry their own weight
+function tokenizeForClassifier({ url, title, bodyText }) {
+  const tokens = [];
+
+  try {
+    const parsed = new URL(url);
+    tokens.push(`host:${parsed.hostname.replace(/^www\./, '')}`);
+    splitWords(parsed.hostname).forEach(word => tokens.push(`url:${word}`));
+    splitWords(parsed.pathname).forEach(word => tokens.push(`url:${word}`));
+  } catch (e) {
+    // Not a parseable URL - rely on the text
+  }
+
+  splitWords(title).forEach(word => tokens.push(`title:${word}`));
+  splitWords(bodyText).slice(0, CLASSIFIER_MAX_BODY_TOKENS).forEach(word => tokens.push(word));
+
+  return tokens;
+}
+
+// Drop the rarest tokens once the vocabulary grows too large
+function pruneClassifierVocabulary() {
+  const tokens = Object.keys(classifierModel.vocabulary);
+  if (tokens.length <= CLASSIFIER_MAX_VOCABULARY) {
+    return;
+  }
+
+  const totals = tokens.map(token => {
+    let count = 0;
+    for (const counts of Object.values(classifierModel.tokenCounts)) {
+      count += counts[token] || 0;
+    }
+    return { token, count };
+  });
+  totals.sort((a, b) => a.count - b.count);
+
+  const toRemove = totals.slice(0, tokens.length - CLASSIFIER_MAX_VOCABULARY);
+  for (const { token } of toRemove) {
+    delete classifierModel.vocabulary[token];
+    for (const [category, counts] of Object.entries(classifierModel.tokenCounts)) {
+      if (counts[token]) {
+        classifierModel.totalTokens[category] -= counts[token];
+        delete counts[token];
+      }
+    }
+  }
+}
+
+// Learn from one example (e.g. the user moving a tab to a category)
+async function trainClassifier(doc, category) {
+  await classifierReady;
+
+  const tokens = tokenizeForClassifier(doc);
+  if (!category || tokens.length === 0) {
+    return;
+  }
+
+  const model = classifierModel;
+  if (!model.tokenCounts[category]) {
+    model.tokenCounts[category] = {};
+    model.totalTokens[category] = 0;
+    model.docCounts[category] = 0;
+  }
+
+  model.docCounts[category]++;
+  const counts = model.tokenCounts[category];
+
+  for (const token of tokens) {
+    if (!counts[token]) {
+      model.vocabulary[token] = (model.vocabulary[token] || 0) + 1;
+    }
+    counts[token] = (counts[token] || 0) + 1;
+    model.totalTokens[category]++;
+  }
+
+  pruneClassifierVocabulary();
+  scheduleClassifierSave();
+}
+
+// Predict a category; returns { category, confidence } or null if the model can't tell yet
+async function predictCategory(doc) {
+  await classifierReady;
+
+  const model = classifierModel;
+  const categories = Object.keys(model.docCounts);
+
+  // A single trained category would always "win" with full confidence
+  if (categories.length < 2) {
+    return null;
+  }
+
+  const tokens = tokenizeForClassifier(doc).filter(token => model.vocabulary[token]);
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const totalDocs = categories.reduce((sum, category) => sum + model.docCounts[category], 0);
+  const vocabularySize = Object.keys(model.vocabulary).length;
+
+  // Log-probabilities with Laplace smoothing
+  const scores = categories.map(category => {
+    const counts = model.tokenCounts[category];
+    const denominator = model.totalTokens[category] + vocabularySize;
+    let score = Math.log(model.docCounts[category] / totalDocs);
+
+    for (const token of tokens) {
+      score += Math.log(((counts[token] || 0) + 1) / denominator);
+    }
+    return { category, score };
+  });
+
+  // Softmax over the log scores to get a confidence
+  const maxScore = Math.max(...scores.map(entry => entry.score));
+  const expSum = scores.reduce((sum, entry) => sum + Math.exp(entry.score - maxScore), 0);
+  const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+
+  return {
+    category: best.category,
+    confidence: 1 / expSum
+  };
+}
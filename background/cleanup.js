@@ -0,0 +1,231 @@
+// Rule-based cleanup of inactive tabs, with a trash that closed batches can be restored from
+// A tab is a candidate when any enabled rule matches it; all conditions of a rule must hold.
+
+// Tabs that have been idle for less than this are never cleaned up
+const CLEANUP_MIN_IDLE_MINUTES = 1;
+
+// Trash updates read, change and write the whole list; run them one at a time so
+// overlapping cleanups and restores don't overwrite each other's batches
+let trashWriteChain = Promise.resolve();
+
+// A failed update doesn't stop the ones queued after it; its error still reaches the caller
+function queueTrashWrite(task) {
+  const result = trashWriteChain.then(task);
+  trashWriteChain = result.catch(() => {});
+  return result;
+}
+
+async function getTrash() {
+  const result = await chrome.storage.local.get('cleanupTrash');
+  return Array.isArray(result.cleanupTrash) ? result.cleanupTrash : [];
+}
+
+async function saveTrash(trash) {
+  await chrome.storage.local.set({ cleanupTrash: trash });
+}
+
+function createTrashBatchId() {
+  return `trash-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Check one rule's conditions against a tab; returns true when all of them hold
+function matchesCleanupRule(rule, tab, record, context) {
+  const conditions = rule.conditions || {};
+
+  const idleMinutes = (context.now - (tab.lastAccessed || record.lastAccessed || context.now)) / 60000;
+  if (idleMinutes < Math.max(conditions.minIdleMinutes || 0, CLEANUP_MIN_IDLE_MINUTES)) {
+    return false;
+  }
+
+  if (conditions.categories && conditions.categories.length > 0 &&
+      !conditions.categories.includes(record.category || 'Uncategorized')) {
+    return false;
+  }
+
+  if (conditions.domains && conditions.domains.length > 0) {
+    const host = getUrlHost(tab.url);
+    const matchesDomain = conditions.domains.some(domain => {
+      const lowerDomain = domain.toLowerCase().replace(/^www\./, '');
+      return host === lowerDomain || host.endsWith(`.${lowerDomain}`);
+    });
+    if (!matchesDomain) {
+      return false;
+    }
+  }
+
+  if (conditions.duplicatesOnly && !context.duplicateTabIds.has(tab.id)) {
+    return false;
+  }
+
+  if (conditions.importance && conditions.importance.length > 0 &&
+      !conditions.importance.includes(record.importance)) {
+    return false;
+  }
+
+  return true;
+}
+
+// Tabs that are extra copies of another open tab (the newest copy is kept)
+async function getRedundantDuplicateIds() {
+  const { exact } = await findDuplicateTabs();
+  const ids = new Set();
+  exact.forEach(group => {
+    group.tabIds.filter(tabId => tabId !== group.keepTabId).forEach(tabId => ids.add(tabId));
+  });
+  return ids;
+}
+
+// Function to list the tabs the enabled cleanup rules would close
+async function previewCleanup(ruleIds) {
+  // The service worker may have restarted since the data was loaded
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+
+  const { cleanup } = await getSettings();
+  const rules = cleanup.rules.filter(rule => ruleIds ? ruleIds.includes(rule.id) : rule.enabled);
+  if (rules.length === 0) {
+    return { candidates: [] };
+  }
+
+  const context = {
+    now: Date.now(),
+    duplicateTabIds: await getRedundantDuplicateIds()
+  };
+
+  const tabs = await chrome.tabs.query({});
+  const candidates = [];
+
+  for (const tab of tabs) {
+    // Never offer to close the tab being looked at or pinned tabs
+    if (tab.active || tab.pinned) {
+      continue;
+    }
+
+    const record = tabData[tab.id] || {};
+    const matchedRules = rules.filter(rule => matchesCleanupRule(rule, tab, record, context));
+    if (matchedRules.length === 0) {
+      continue;
+    }
+
+    candidates.push({
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title || record.title || tab.url,
+      category: record.category || 'Uncategorized',
+      lastAccessed: tab.lastAccessed || record.lastAccessed,
+      reasons: matchedRules.map(rule => rule.name)
+    });
+  }
+
+  // Longest idle first
+  candidates.sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0));
+  return { candidates };
+}
+
+// Function to close tabs and keep them in the trash so they can be restored
+async function closeTabsToTrash(tabIds, label) {
+  const wanted = new Set(tabIds);
+  const tabs = (await chrome.tabs.query({})).filter(tab => wanted.has(tab.id));
+  if (tabs.length === 0) {
+    return { batch: null };
+  }
+
+  const batchId = createTrashBatchId();
+  const batch = {
+    id: batchId,
+    label: label || `Closed ${tabs.length} tabs`,
+    closedAt: Date.now(),
+    tabs: tabs.map((tab, index) => ({
+      ...toWorkspaceTab(tab),
+      id: `${batchId}-${index}`,
+      windowId: tab.windowId,
+      index: tab.index
+    }))
+  };
+
+  const { cleanup } = await getSettings();
+  await queueTrashWrite(async () => {
+    const trash = await getTrash();
+    trash.unshift(batch);
+    await saveTrash(trash.slice(0, cleanup.trashLimit));
+  });
+
+  await chrome.tabs.remove(tabs.map(tab => tab.id));
+  tabs.forEach(tab => forgetClosedTab(tab.id));
+  queueTabDataSave();
+
+  return { batch };
+}
+
+// Reopen trash entries, in their old window when it is still open
+async function reopenTrashEntries(entries) {
+  const windows = await chrome.windows.getAll();
+  const openWindowIds = new Set(windows.map(window => window.id));
+
+  const inOldWindow = entries.filter(entry => openWindowIds.has(entry.windowId));
+  const elsewhere = entries.filter(entry => !openWindowIds.has(entry.windowId));
+  const now = new Date().getTime();
+
+  // Restore left to right so the saved indexes line up again
+  for (const entry of inOldWindow.sort((a, b) => a.index - b.index)) {
+    const tab = await openExtensionTabs([entry.url], () => chrome.tabs.create({
+      windowId: entry.windowId,
+      index: entry.index,
+      url: entry.url,
+      pinned: entry.pinned,
+      active: false
+    }));
+
+    // Seed the record so the old category shows before analysis finishes
+    tabData[tab.id] = {
+      id: tab.id,
+      url: entry.url,
+      title: entry.title,
+      category: entry.category || 'Uncategorized',
+      summary: entry.summary || entry.title || "No summary available",
+      topics: entry.topics || [],
+      windowId: tab.windowId,
+      index: tab.index,
+      lastAccessed: now,
+      content: { title: entry.title, metaDescription: "", bodyText: "" }
+    };
+  }
+
+  if (elsewhere.length > 0) {
+    await openTabsInNewWindow(elsewhere);
+  }
+
+  queueTabDataSave();
+}
+
+// Function to restore a whole batch from the trash, or only some of its entries
+async function restoreFromTrash(batchId, entryIds) {
+  // Held for the whole restore so the same entries can't be reopened twice
+  return queueTrashWrite(async () => {
+    const trash = await getTrash();
+    const batch = trash.find(item => item.id === batchId);
+    if (!batch) {
+      throw new Error('Nothing to restore - the batch is no longer in the trash');
+    }
+
+    const wanted = entryIds ? new Set(entryIds) : null;
+    const entries = batch.tabs.filter(entry => !wanted || wanted.has(entry.id));
+    if (entries.length === 0) {
+      throw new Error('Nothing to restore');
+    }
+
+    await reopenTrashEntries(entries);
+
+    // Drop what was restored; forget the batch once it is empty
+    batch.tabs = batch.tabs.filter(entry => !entries.includes(entry));
+    await saveTrash(trash.filter(item => item.tabs.length > 0));
+
+    return { restored: entries.length };
+  });
+}
+
+async function emptyTrash() {
+  await queueTrashWrite(() => saveTrash([]));
+  return {};
+}
@@ -0,0 +1,256 @@
+// Task clustering: groups tabs that belong to the same piece of work
+// Two tabs are similar when their pages use the same words (cosine over TF-IDF vectors built
+// from the topic term counts), share a domain, or one was opened from the other. Clusters are
+// merged bottom-up by average similarity and labelled with the terms their tabs have in common.
+
+// Share of the similarity that comes from each signal
+const CLUSTER_WEIGHTS = { content: 0.8, domain: 0.1, opener: 0.1 };
+
+// Clusters are merged while their average similarity is at least this
+// (a shared domain or opener alone is not enough; either plus a little shared wording is)
+const CLUSTER_THRESHOLD = 0.15;
+
+// Shared phrases make better labels than the single words inside them
+const CLUSTER_LABEL_PHRASE_BONUS = 1.5;
+
+// Only this many of the most recently used tabs are clustered (the work grows with the cube of
+// the count); older tabs are listed as unclustered
+const CLUSTER_MAX_TABS = 300;
+
+// Label for tabs that are not similar enough to anything else
+const UNCLUSTERED_LABEL = 'Unclustered';
+
+function getClusterHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Function to build unit-length TF-IDF vectors for tab records: Map(tabId -> Map(term -> weight))
+function buildTermVectors(records) {
+  const termsByTab = new Map(records.map(record => [record.id, getTopicTerms(record)]));
+
+  const documentFrequency = new Map();
+  termsByTab.forEach(terms => {
+    terms.forEach((_, key) => {
+      documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1);
+    });
+  });
+
+  const vectors = new Map();
+  termsByTab.forEach((terms, tabId) => {
+    const vector = new Map();
+    let norm = 0;
+    terms.forEach((term, key) => {
+      if (term.weight <= 0) {
+        return;
+      }
+      const idf = Math.log((1 + records.length) / (1 + documentFrequency.get(key))) + 1;
+      const weight = (1 + Math.log(term.weight)) * idf;
+      vector.set(key, weight);
+      norm += weight * weight;
+    });
+
+    norm = Math.sqrt(norm) || 1;
+    vector.forEach((weight, key) => vector.set(key, weight / norm));
+    vectors.set(tabId, vector);
+  });
+
+  return vectors;
+}
+
+function cosineSimilarity(vectorA, vectorB) {
+  const [small, large] = vectorA.size < vectorB.size ? [vectorA, vectorB] : [vectorB, vectorA];
+  let dot = 0;
+  small.forEach((weight, key) => {
+    const other = large.get(key);
+    if (other) {
+      dot += weight * other;
+    }
+  });
+  return dot;
+}
+
+// 1 when one tab opened the other, 0.5 when the same tab opened both
+function getOpenerSimilarity(tabA, tabB) {
+  if (tabA.openerTabId === tabB.id || tabB.openerTabId === tabA.id) {
+    return 1;
+  }
+  return tabA.openerTabId !== undefined && tabA.openerTabId === tabB.openerTabId ? 0.5 : 0;
+}
+
+// Function to cluster tabs by average-linkage agglomeration
+// items: [{ id, vector, host, openerTabId }]; returns arrays of item indexes
+function clusterItems(items) {
+  // Average similarity between clusters; a cluster keeps the row of its first item and the
+  // matrix is updated in place as clusters merge
+  const linkage = items.map((a, i) => Float64Array.from(items, (b, j) => {
+    if (i === j) {
+      return 0;
+    }
+    return CLUSTER_WEIGHTS.content * cosineSimilarity(a.vector, b.vector) +
+      CLUSTER_WEIGHTS.domain * (a.host && a.host === b.host ? 1 : 0) +
+      CLUSTER_WEIGHTS.opener * getOpenerSimilarity(a, b);
+  }));
+
+  const members = items.map((_, i) => [i]);
+  const alive = items.map(() => true);
+
+  for (;;) {
+    let bestA = -1;
+    let bestB = -1;
+    let best = CLUSTER_THRESHOLD;
+    for (let a = 0; a < items.length; a++) {
+      if (!alive[a]) {
+        continue;
+      }
+      const row = linkage[a];
+      for (let b = a + 1; b < items.length; b++) {
+        if (alive[b] && row[b] >= best) {
+          best = row[b];
+          bestA = a;
+          bestB = b;
+        }
+      }
+    }
+    if (bestA === -1) {
+      break;
+    }
+
+    // Merge b into a; a's similarity to every other cluster is the size-weighted average
+    const sizeA = members[bestA].length;
+    const sizeB = members[bestB].length;
+    for (let k = 0; k < items.length; k++) {
+      if (alive[k] && k !== bestA && k !== bestB) {
+        const merged = (sizeA * linkage[bestA][k] + sizeB * linkage[bestB][k]) / (sizeA + sizeB);
+        linkage[bestA][k] = merged;
+        linkage[k][bestA] = merged;
+      }
+    }
+    members[bestA] = members[bestA].concat(members[bestB]);
+    alive[bestB] = false;
+  }
+
+  return members.filter((_, i) => alive[i]);
+}
+
+// Function to name a cluster after the terms most of its tabs share (or their common domain)
+function getClusterLabel(members) {
+  const minShare = Math.max(2, Math.ceil(members.length / 2));
+  const shared = new Map();
+  members.forEach(member => {
+    member.vector.forEach((weight, key) => {
+      const entry = shared.get(key) || { weight: 0, count: 0 };
+      entry.weight += weight;
+      entry.count++;
+      shared.set(key, entry);
+    });
+  });
+
+  const candidates = Array.from(shared.entries())
+    .filter(([, entry]) => entry.count >= minShare)
+    .map(([key, entry]) => ({ key, weight: key.includes(' ') ? entry.weight * CLUSTER_LABEL_PHRASE_BONUS : entry.weight }))
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ key }) => key);
+
+  const labels = [];
+  for (const key of candidates) {
+    if (labels.length >= 2) {
+      break;
+    }
+    // Skip words that are part of a label already chosen, and the other way round
+    const overlaps = labels.some(label =>
+      ` ${label.key} `.includes(` ${key} `) || ` ${key} `.includes(` ${label.key} `));
+    if (!overlaps) {
+      // Prefer a capitalized spelling ("Rust" in one tab, "rust" in a URL-like title elsewhere)
+      const spellings = members.map(member => getTopicTerms(member.record).get(key)).filter(Boolean).map(term => term.label);
+      labels.push({ key, text: spellings.find(text => text !== text.toLowerCase()) || spellings[0] });
+    }
+  }
+
+  if (labels.length > 0) {
+    return labels.map(label => label.text).join(' · ');
+  }
+
+  const hosts = members.map(member => member.host).filter(Boolean);
+  const commonHost = hosts.length === members.length && hosts.every(host => host === hosts[0]) ? hosts[0] : '';
+  return commonHost || 'Related tabs';
+}
+
+// Function to cluster the open tabs into tasks
+// Returns { clusters: [{ label, tabIds }] }, largest first, unclustered tabs last
+async function getTaskClusters() {
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+
+  const liveTabs = await chrome.tabs.query({});
+  const liveById = new Map(liveTabs.map(tab => [tab.id, tab]));
+  const liveRecords = Object.values(tabData)
+    .filter(record => liveById.has(record.id))
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+  const records = liveRecords.slice(0, CLUSTER_MAX_TABS);
+  const vectors = buildTermVectors(records);
+
+  const items = records.map(record => ({
+    id: record.id,
+    record,
+    vector: vectors.get(record.id),
+    host: getClusterHost(record.url),
+    openerTabId: liveById.get(record.id).openerTabId
+  }));
+
+  const clusters = [];
+  const unclustered = liveRecords.slice(CLUSTER_MAX_TABS).map(record => record.id);
+  const usedLabels = new Map();
+
+  clusterItems(items).forEach(indexes => {
+    const members = indexes.map(index => items[index]);
+    if (members.length < 2) {
+      unclustered.push(members[0].id);
+      return;
+    }
+
+    // Labels double as group names, so keep them unique
+    let label = getClusterLabel(members);
+    const uses = (usedLabels.get(label) || 0) + 1;
+    usedLabels.set(label, uses);
+    if (uses > 1) {
+      label = `${label} (${uses})`;
+    }
+    clusters.push({ label, tabIds: members.map(member => member.id) });
+  });
+
+  clusters.sort((a, b) => b.tabIds.length - a.tabIds.length);
+  if (unclustered.length > 0) {
+    clusters.push({ label: UNCLUSTERED_LABEL, tabIds: unclustered, unclustered: true });
+  }
+
+  return { clusters };
+}
+
+// Function to put a cluster's tabs into a native tab group named after it
+// Tabs in other windows are moved to the window that holds most of the cluster; pinned tabs stay put.
+async function saveClusterAsTabGroup(tabIds, title) {
+  const tabs = (await chrome.tabs.query({})).filter(tab => tabIds.includes(tab.id) && !tab.pinned);
+  if (tabs.length === 0) {
+    throw new Error('None of these tabs can be grouped');
+  }
+
+  const windowCounts = new Map();
+  tabs.forEach(tab => windowCounts.set(tab.windowId, (windowCounts.get(tab.windowId) || 0) + 1));
+  const windowId = Array.from(windowCounts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+
+  const strays = tabs.filter(tab => tab.windowId !== windowId).map(tab => tab.id);
+  if (strays.length > 0) {
+    await chrome.tabs.move(strays, { windowId, index: -1 });
+  }
+
+  const groupId = await chrome.tabs.group({ tabIds: tabs.map(tab => tab.id), createProperties: { windowId } });
+  // The user's group, not a category group: "Apply to tab strip" must not take it over
+  await markUserTabGroup(groupId);
+  await chrome.tabGroups.update(groupId, { title, color: getCategoryColor(title) });
+  return { groupId, grouped: tabs.length };
+}
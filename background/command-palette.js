@@ -0,0 +1,187 @@
+// Keyboard command palette: a small popup window for switching tabs and running tab actions
+// Opened with the "open-command-palette" command (see manifest.json "commands").
+
+const PALETTE_PAGE = 'palette/palette.html';
+const PALETTE_WIDTH = 640;
+const PALETTE_HEIGHT = 480;
+
+// Tabs most recently activated come first; kept in session storage across service worker restarts
+const MRU_LIMIT = 50;
+
+async function getMruTabIds() {
+  const result = await chrome.storage.session.get('mruTabIds');
+  return Array.isArray(result.mruTabIds) ? result.mruTabIds : [];
+}
+
+async function setMruTabIds(tabIds) {
+  await chrome.storage.session.set({ mruTabIds: tabIds.slice(0, MRU_LIMIT) });
+}
+
+function isPaletteUrl(url) {
+  return Boolean(url) && url.startsWith(chrome.runtime.getURL(PALETTE_PAGE));
+}
+
+// Function to open the palette over the current window (or focus it if it is already open)
+async function openCommandPalette() {
+  try {
+    const paletteUrl = chrome.runtime.getURL(PALETTE_PAGE);
+    const [existing] = await chrome.tabs.query({ url: `${paletteUrl}*` });
+    if (existing) {
+      await chrome.windows.update(existing.windowId, { focused: true });
+      return;
+    }
+
+    // Center on the window the user is working in; it is also where actions apply
+    const origin = await chrome.windows.getLastFocused();
+    const left = Math.round((origin.left || 0) + ((origin.width || PALETTE_WIDTH) - PALETTE_WIDTH) / 2);
+    const top = Math.round((origin.top || 0) + Math.min(120, ((origin.height || PALETTE_HEIGHT) - PALETTE_HEIGHT) / 2));
+
+    await chrome.windows.create({
+      url: `${paletteUrl}?window=${origin.id}`,
+      type: 'popup',
+      width: PALETTE_WIDTH,
+      height: PALETTE_HEIGHT,
+      left: Math.max(left, 0),
+      top: Math.max(top, 0),
+      focused: true
+    });
+  } catch (error) {
+    console.error('Error opening command palette:', error);
+  }
+}
+
+// Function to collect what the palette lists: tabs (MRU first), normal windows and tab groups
+async function getPaletteData() {
+  // The service worker may have restarted since the data was loaded
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+
+  const [liveTabs, windows, groups, mruTabIds] = await Promise.all([
+    chrome.tabs.query({}),
+    chrome.windows.getAll({ populate: true, windowTypes: ['normal'] }),
+    chrome.tabGroups.query({}),
+    getMruTabIds()
+  ]);
+
+  const tabs = liveTabs
+    .filter(tab => !isPaletteUrl(tab.url))
+    .map(tab => ({
+      id: tab.id,
+      url: tab.url,
+      title: tab.title,
+      category: 'Uncategorized',
+      summary: '',
+      ...(tabData[tab.id] || {}),
+      content: undefined,
+      windowId: tab.windowId,
+      groupId: tab.groupId,
+      pinned: tab.pinned,
+      audible: tab.audible,
+      mutedInfo: tab.mutedInfo,
+      mruRank: mruTabIds.includes(tab.id) ? mruTabIds.indexOf(tab.id) : null
+    }));
+
+  return {
+    tabs,
+    windows: windows.map(window => {
+      const active = window.tabs.find(tab => tab.active);
+      return { id: window.id, tabCount: window.tabs.length, title: active ? active.title : '' };
+    }),
+    groups: groups.map(group => ({ id: group.id, title: group.title, color: group.color, windowId: group.windowId }))
+  };
+}
+
+// Function to run a palette action on one or more tabs
+async function runPaletteAction({ command, tabIds = [], windowId, groupId, groupTitle, category }) {
+  switch (command) {
+    case 'switch': {
+      const tab = await chrome.tabs.update(tabIds[0], { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      return {};
+    }
+    case 'close':
+      await chrome.tabs.remove(tabIds);
+      return {};
+    case 'closeCategory': {
+      const liveTabs = await chrome.tabs.query({});
+      const ids = liveTabs
+        .filter(tab => tabData[tab.id] && tabData[tab.id].category === category)
+        .map(tab => tab.id);
+      await chrome.tabs.remove(ids);
+      return { closed: ids.length };
+    }
+    case 'moveToWindow':
+      return moveTabsToWindow(tabIds, windowId);
+    case 'group': {
+      if (groupId !== undefined) {
+        const group = await chrome.tabGroups.get(groupId);
+        const tabs = await Promise.all(tabIds.map(id => chrome.tabs.get(id)));
+        // A group lives in one window; bring tabs from elsewhere along
+        const strays = tabs.filter(tab => tab.windowId !== group.windowId).map(tab => tab.id);
+        if (strays.length > 0) {
+          await chrome.tabs.move(strays, { windowId: group.windowId, index: -1 });
+        }
+        await chrome.tabs.group({ tabIds, groupId });
+        return { groupId };
+      }
+      const newGroupId = await chrome.tabs.group({ tabIds });
+      await markUserTabGroup(newGroupId);
+      if (groupTitle) {
+        await chrome.tabGroups.update(newGroupId, { title: groupTitle, color: getCategoryColor(groupTitle) });
+      }
+      return { groupId: newGroupId };
+    }
+    case 'ungroup':
+      await chrome.tabs.ungroup(tabIds);
+      return {};
+    case 'togglePin': {
+      const tab = await chrome.tabs.get(tabIds[0]);
+      await chrome.tabs.update(tab.id, { pinned: !tab.pinned });
+      return { pinned: !tab.pinned };
+    }
+    case 'toggleMute': {
+      const tab = await chrome.tabs.get(tabIds[0]);
+      const muted = !(tab.mutedInfo && tab.mutedInfo.muted);
+      await chrome.tabs.update(tab.id, { muted });
+      return { muted };
+    }
+    case 'bookmark': {
+      for (const tabId of tabIds) {
+        const tab = await chrome.tabs.get(tabId);
+        await chrome.bookmarks.create({ title: tab.title, url: tab.url });
+      }
+      return { bookmarked: tabIds.length };
+    }
+    default:
+      throw new Error(`Unknown palette command "${command}"`);
+  }
+}
+
+chrome.commands.onCommand.addListener((command) => {
+  if (command === 'open-command-palette') {
+    openCommandPalette();
+  }
+});
+
+// Keep the most-recently-used order up to date
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (isPaletteUrl(tab.url || tab.pendingUrl)) {
+      return;
+    }
+    const mruTabIds = (await getMruTabIds()).filter(id => id !== tabId);
+    mruTabIds.unshift(tabId);
+    await setMruTabIds(mruTabIds);
+  } catch (error) {
+    console.error('Error updating recent tabs:', error);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const mruTabIds = await getMruTabIds();
+  if (mruTabIds.includes(tabId)) {
+    await setMruTabIds(mruTabIds.filter(id => id !== tabId));
+  }
+});
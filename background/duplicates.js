@@ -0,0 +1,230 @@
+// Duplicate tab detection based on normalized URLs
+
+// Parse a list of parameter patterns ('utm_*' matches any utm_ parameter)
+function matchesParamPattern(name, pattern) {
+  const lowerName = name.toLowerCase();
+  const lowerPattern = pattern.trim().toLowerCase();
+  if (!lowerPattern) {
+    return false;
+  }
+  return lowerPattern.endsWith('*')
+    ? lowerName.startsWith(lowerPattern.slice(0, -1))
+    : lowerName === lowerPattern;
+}
+
+// Normalize a URL so that copies of the same page compare equal
+// Returns the original string if it can't be parsed
+function normalizeUrl(url, options) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url || '';
+  }
+
+  // Only web pages are normalized; chrome://, file:// etc. are compared as-is
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return url;
+  }
+
+  let host = parsed.hostname.toLowerCase();
+  if (options.ignoreWww) {
+    host = host.replace(/^www\./, '');
+  }
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !options.stripParams.some(pattern => matchesParamPattern(name, pattern)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  let path = parsed.pathname;
+  if (options.ignoreTrailingSlash && path.length > 1) {
+    path = path.replace(/\/+$/, '');
+  }
+  if (options.ignoreTrailingSlash && path === '/') {
+    path = '';
+  }
+
+  const hash = options.ignoreFragment ? '' : parsed.hash;
+  const port = parsed.port ? `:${parsed.port}` : '';
+
+  // http and https versions of a page are treated as the same page
+  return `${host}${port}${path}${query}${hash}`;
+}
+
+// Looser key for near duplicates: same page ignoring the whole query string
+function getNearDuplicateKey(normalizedUrl) {
+  return normalizedUrl.split(/[?#]/)[0];
+}
+
+// Pick the tab to keep from a set of duplicates: the most recently used one
+function pickNewestTab(tabs) {
+  return tabs.reduce((newest, tab) => {
+    const newestTime = newest.lastAccessed || 0;
+    const tabTime = tab.lastAccessed || 0;
+    if (tabTime !== newestTime) {
+      return tabTime > newestTime ? tab : newest;
+    }
+    return tab.id > newest.id ? tab : newest;
+  });
+}
+
+// Fill in normalizedUrl for every tab record
+async function updateNormalizedUrls() {
+  const { duplicates: options } = await getSettings();
+  for (const tab of Object.values(tabData)) {
+    tab.normalizedUrl = normalizeUrl(tab.url, options);
+  }
+}
+
+// Find exact and near duplicate groups among the known tabs
+async function findDuplicateTabs() {
+  await updateNormalizedUrls();
+
+  const tabs = Object.values(tabData).filter(tab => tab.url && /^https?:/.test(tab.url));
+
+  const exactGroups = {};
+  for (const tab of tabs) {
+    (exactGroups[tab.normalizedUrl] = exactGroups[tab.normalizedUrl] || []).push(tab);
+  }
+
+  const exact = Object.entries(exactGroups)
+    .filter(([_, group]) => group.length > 1)
+    .map(([key, group]) => ({
+      key,
+      type: 'exact',
+      tabIds: group.map(tab => tab.id),
+      keepTabId: pickNewestTab(group).id
+    }));
+
+  // Near duplicates: same page with different query strings, or same title on the same host
+  const exactKeys = new Set(exact.map(group => group.key));
+  const nearGroups = {};
+  for (const tab of tabs) {
+    const pageKey = `page:${getNearDuplicateKey(tab.normalizedUrl)}`;
+    (nearGroups[pageKey] = nearGroups[pageKey] || []).push(tab);
+
+    if (tab.title) {
+      const host = tab.normalizedUrl.split('/')[0];
+      const titleKey = `title:${host}:${tab.title.trim().toLowerCase()}`;
+      (nearGroups[titleKey] = nearGroups[titleKey] || []).push(tab);
+    }
+  }
+
+  const seen = new Set();
+  const near = [];
+  for (const [key, group] of Object.entries(nearGroups)) {
+    // Skip groups that are fully covered by an exact group
+    const distinctUrls = new Set(group.map(tab => tab.normalizedUrl));
+    if (group.length < 2 || (distinctUrls.size === 1 && exactKeys.has(group[0].normalizedUrl))) {
+      continue;
+    }
+
+    const signature = group.map(tab => tab.id).sort((a, b) => a - b).join(',');
+    if (seen.has(signature)) {
+      continue;
+    }
+    seen.add(signature);
+
+    near.push({
+      key,
+      type: 'near',
+      reason: key.startsWith('title:') ? 'Same title' : 'Same page, different parameters',
+      tabIds: group.map(tab => tab.id),
+      keepTabId: pickNewestTab(group).id
+    });
+  }
+
+  return { exact, near };
+}
+
+// Close every tab in an exact duplicate set except the newest one
+// Near duplicates can be different pages (other search, other video), so they are never merged
+async function mergeDuplicateTabs(tabIds) {
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+  await updateNormalizedUrls();
+
+  const tabs = tabIds.map(id => tabData[id]).filter(Boolean);
+  if (tabs.length < 2) {
+    return { keptTabId: tabs[0] ? tabs[0].id : null, closedTabIds: [] };
+  }
+  if (new Set(tabs.map(tab => tab.normalizedUrl)).size > 1) {
+    throw new Error('Only identical tabs can be merged');
+  }
+
+  const keep = pickNewestTab(tabs);
+  const closedTabIds = tabs.filter(tab => tab.id !== keep.id).map(tab => tab.id);
+
+  await chrome.tabs.remove(closedTabIds);
+  closedTabIds.forEach(id => forgetClosedTab(id));
+  queueTabDataSave();
+
+  return { keptTabId: keep.id, closedTabIds };
+}
+
+// Pages the extension is opening itself: URL -> number of pending opens
+// Kept by URL because the new tabs' events arrive before tabs.create/windows.create return their ids
+const extensionOpenedUrls = new Map();
+
+// How long after opening a page its tab events count as the extension's
+const EXTENSION_OPEN_GRACE_MS = 5000;
+
+function getOpenedUrlKey(url) {
+  try {
+    return new URL(url).href;
+  } catch (e) {
+    return url || '';
+  }
+}
+
+// Function to open tabs from the extension itself; the focus-existing option leaves them alone
+// open() creates the tabs and its result is returned
+async function openExtensionTabs(urls, open) {
+  const keys = urls.map(getOpenedUrlKey);
+  keys.forEach(key => extensionOpenedUrls.set(key, (extensionOpenedUrls.get(key) || 0) + 1));
+  try {
+    return await open();
+  } finally {
+    // Events for the new tabs may still be on their way
+    setTimeout(() => {
+      keys.forEach(key => {
+        const count = extensionOpenedUrls.get(key) - 1;
+        if (count > 0) {
+          extensionOpenedUrls.set(key, count);
+        } else {
+          extensionOpenedUrls.delete(key);
+        }
+      });
+    }, EXTENSION_OPEN_GRACE_MS);
+  }
+}
+
+// When enabled, switch to an already-open copy instead of keeping a new duplicate tab
+// Only for tabs the user opens; tabs opened through openExtensionTabs() are kept
+async function focusExistingDuplicate(tab, url) {
+  if (!url || extensionOpenedUrls.has(getOpenedUrlKey(url))) {
+    return false;
+  }
+
+  const { duplicates: options } = await getSettings();
+  if (!options.focusExistingOnOpen || !/^https?:/.test(url)) {
+    return false;
+  }
+
+  const normalized = normalizeUrl(url, options);
+  const openTabs = await chrome.tabs.query({});
+  const existing = openTabs.find(other =>
+    other.id !== tab.id && normalizeUrl(other.url || other.pendingUrl, options) === normalized
+  );
+
+  if (!existing) {
+    return false;
+  }
+
+  await chrome.tabs.update(existing.id, { active: true });
+  await chrome.windows.update(existing.windowId, { focused: true });
+  await chrome.tabs.remove(tab.id);
+  return true;
+}
@@ -0,0 +1,197 @@
+// Pluggable LLM provider layer for tab analysis
+// Every provider returns { category, summary, topics, importance }, validated by validateAnalysis()
+
+const IMPORTANCE_LEVELS = ['high', 'medium', 'low'];
+const ANALYSIS_KEYS = ['category', 'summary', 'topics', 'importance'];
+
+// Strictly validate a provider response against the analysis schema
+// Throws an Error describing the first problem found
+function validateAnalysis(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Analysis must be a JSON object');
+  }
+
+  const extraKeys = Object.keys(raw).filter(key => !ANALYSIS_KEYS.includes(key));
+  if (extraKeys.length > 0) {
+    throw new Error(`Unexpected fields in analysis: ${extraKeys.join(', ')}`);
+  }
+
+  const { category, summary, topics, importance } = raw;
+
+  if (typeof category !== 'string' || !category.trim() || category.length > 50) {
+    throw new Error('"category" must be a non-empty string of at most 50 characters');
+  }
+  if (typeof summary !== 'string' || summary.length > 500) {
+    throw new Error('"summary" must be a string of at most 500 characters');
+  }
+  if (!Array.isArray(topics) || topics.length > 10 || topics.some(topic => typeof topic !== 'string')) {
+    throw new Error('"topics" must be an array of at most 10 strings');
+  }
+  if (!IMPORTANCE_LEVELS.includes(importance)) {
+    throw new Error(`"importance" must be one of ${IMPORTANCE_LEVELS.join(', ')}`);
+  }
+
+  return {
+    category: category.trim(),
+    summary: summary.trim(),
+    topics: topics.map(topic => topic.trim()).filter(Boolean),
+    importance
+  };
+}
+
+// Parse the JSON text returned by a chat model
+function parseAnalysisJson(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Provider returned no message content');
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Provider returned invalid JSON: ${error.message}`);
+  }
+}
+
+// Build the chat messages for an analysis request
+function buildAnalysisMessages(content, knownCategories) {
+  const system = [
+    'You categorize and summarize web pages for a browser tab manager.',
+    'Reply with a single JSON object and nothing else, using exactly these fields:',
+    '"category" (string, prefer one of: ' + knownCategories.join(', ') + '),',
+    '"summary" (one sentence, at most 200 characters),',
+    '"topics" (array of up to 5 short strings),',
+    '"importance" ("high", "medium" or "low").'
+  ].join(' ');
+
+  const user = [
+    `Title: ${content.title || ''}`,
+    `URL: ${content.url || ''}`,
+    `Description: ${content.metaDescription || ''}`,
+    content.byline ? `Author: ${content.byline}` : '',
+    content.publishedAt ? `Published: ${content.publishedAt.substring(0, 10)}` : '',
+    content.language ? `Language: ${content.language}` : '',
+    `Content: ${(content.bodyText || '').substring(0, 2000)}`
+  ].filter(Boolean).join('\n');
+
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ];
+}
+
+// POST JSON with a timeout so a hung endpoint doesn't stall the analysis
+async function postJson(url, body, headers, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+const llmProviders = {
+  // No network calls: rule-based category and an extractive summary of the page text
+  heuristic: {
+    label: 'Built-in heuristics (no AI)',
+    async analyze(content) {
+      const { summary } = content.extractiveSummary || summarizePage(content);
+      return {
+        category: await getCategory(content.url),
+        summary: summary.substring(0, 500),
+        topics: [],
+        importance: 'medium'
+      };
+    }
+  },
+
+  // Any endpoint that speaks the OpenAI chat completions API
+  openai: {
+    label: 'OpenAI-compatible chat endpoint',
+    async analyze(content, config, knownCategories) {
+      if (!config.openaiEndpoint) {
+        throw new Error('No OpenAI-compatible endpoint configured');
+      }
+
+      const headers = config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {};
+      const data = await postJson(config.openaiEndpoint, {
+        model: config.openaiModel,
+        messages: buildAnalysisMessages(content, knownCategories),
+        temperature: 0.2,
+        response_format: { type: 'json_object' }
+      }, headers, config.timeoutMs);
+
+      return parseAnalysisJson(data?.choices?.[0]?.message?.content);
+    }
+  },
+
+  // Local Ollama-style /api/chat endpoint
+  ollama: {
+    label: 'Local Ollama endpoint',
+    async analyze(content, config, knownCategories) {
+      if (!config.ollamaEndpoint) {
+        throw new Error('No Ollama endpoint configured');
+      }
+
+      const data = await postJson(config.ollamaEndpoint, {
+        model: config.ollamaModel,
+        messages: buildAnalysisMessages(content, knownCategories),
+        stream: false,
+        format: 'json'
+      }, {}, config.timeoutMs);
+
+      return parseAnalysisJson(data?.message?.content);
+    }
+  }
+};
+
+// Category names the model should prefer
+function getKnownCategories() {
+  const names = getActiveRules().map(rule => rule.category);
+  return [...new Set(names)];
+}
+
+// Run a specific provider and validate its output (no fallback)
+async function runProvider(providerName, content, config) {
+  const provider = llmProviders[providerName];
+  if (!provider) {
+    throw new Error(`Unknown provider "${providerName}"`);
+  }
+
+  const raw = await provider.analyze(content, config, getKnownCategories());
+  return validateAnalysis(raw);
+}
+
+// Analyze page content with the configured provider, falling back to heuristics on failure
+async function analyzeWithProvider(content) {
+  const { llm } = await getSettings();
+
+  if (llm.provider !== 'heuristic') {
+    try {
+      const analysis = await runProvider(llm.provider, content, llm);
+      return { ...analysis, provider: llm.provider };
+    } catch (error) {
+      console.warn(`LLM provider "${llm.provider}" failed, using heuristics:`, error.message);
+    }
+  }
+
+  const analysis = await runProvider('heuristic', content, llm);
+  return { ...analysis, provider: 'heuristic' };
+}
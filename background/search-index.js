@@ -0,0 +1,219 @@
+// Incremental inverted index over the extracted text of open tabs
+// Kept in memory and rebuilt from tabData when the service worker starts
+
+const INDEX_STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'was', 'our', 'has',
+  'have', 'had', 'its', 'this', 'that', 'with', 'from', 'your', 'will', 'what', 'when', 'they',
+  'been', 'were', 'which', 'their', 'there', 'about', 'would', 'into', 'more', 'some', 'than'
+]);
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const SNIPPET_RADIUS = 80;
+
+// term -> Map(tabId -> term frequency)
+const searchPostings = new Map();
+// tabId -> { text, length, terms }
+const searchDocuments = new Map();
+let searchTotalLength = 0;
+// Set once the index has been filled from tabData after a service worker start
+let searchIndexBuilt = false;
+
+// Split text into index terms, keeping their character offsets for snippets
+function tokenizeForIndex(text) {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    const term = match[0].toLowerCase();
+    if (term.length > 1 && !INDEX_STOPWORDS.has(term)) {
+      tokens.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return tokens;
+}
+
+// The text we index for a tab record
+function getIndexableText(record) {
+  const content = record.content || {};
+  return [
+    record.title,
+    content.metaDescription,
+    Array.isArray(content.headings) ? content.headings.join('\n') : '',
+    content.bodyText
+  ].filter(Boolean).join('\n');
+}
+
+function removeFromSearchIndex(tabId) {
+  const doc = searchDocuments.get(tabId);
+  if (!doc) {
+    return;
+  }
+
+  for (const term of doc.terms) {
+    const postings = searchPostings.get(term);
+    if (postings) {
+      postings.delete(tabId);
+      if (postings.size === 0) {
+        searchPostings.delete(term);
+      }
+    }
+  }
+
+  searchTotalLength -= doc.length;
+  searchDocuments.delete(tabId);
+}
+
+// Add or replace a tab in the index
+function indexTabContent(tabId, record) {
+  removeFromSearchIndex(tabId);
+
+  const text = getIndexableText(record);
+  const tokens = tokenizeForIndex(text);
+  if (tokens.length === 0) {
+    return;
+  }
+
+  const frequencies = new Map();
+  for (const { term } of tokens) {
+    frequencies.set(term, (frequencies.get(term) || 0) + 1);
+  }
+
+  for (const [term, count] of frequencies) {
+    if (!searchPostings.has(term)) {
+      searchPostings.set(term, new Map());
+    }
+    searchPostings.get(term).set(tabId, count);
+  }
+
+  searchDocuments.set(tabId, { text, length: tokens.length, terms: new Set(frequencies.keys()) });
+  searchTotalLength += tokens.length;
+}
+
+// Index every known tab (used after the service worker restarts)
+function rebuildSearchIndex() {
+  searchPostings.clear();
+  searchDocuments.clear();
+  searchTotalLength = 0;
+
+  for (const [tabId, record] of Object.entries(tabData)) {
+    indexTabContent(parseInt(tabId), record);
+  }
+  searchIndexBuilt = true;
+}
+
+// Expand a query term to indexed terms it prefixes (so "retr" finds "retry")
+function expandQueryTerm(term) {
+  if (searchPostings.has(term)) {
+    return [{ term, weight: 1 }];
+  }
+  if (term.length < 3) {
+    return [];
+  }
+
+  const expansions = [];
+  for (const indexed of searchPostings.keys()) {
+    if (indexed.startsWith(term)) {
+      expansions.push({ term: indexed, weight: 0.7 });
+      if (expansions.length >= 20) {
+        break;
+      }
+    }
+  }
+  return expansions;
+}
+
+// Build a snippet around the first place the query matches
+function buildSnippet(text, queryTerms, phrase) {
+  const lowerText = text.toLowerCase();
+  let anchor = phrase ? lowerText.indexOf(phrase) : -1;
+
+  const tokens = tokenizeForIndex(text);
+  const matchingTokens = tokens.filter(token => queryTerms.some(term => token.term.startsWith(term)));
+
+  if (anchor < 0 && matchingTokens.length > 0) {
+    anchor = matchingTokens[0].start;
+  }
+  if (anchor < 0) {
+    anchor = 0;
+  }
+
+  let start = Math.max(0, anchor - SNIPPET_RADIUS);
+  let end = Math.min(text.length, anchor + SNIPPET_RADIUS * 2);
+
+  // Don't cut words in half
+  while (start > 0 && /\S/.test(text[start - 1])) {
+    start--;
+  }
+  while (end < text.length && /\S/.test(text[end])) {
+    end++;
+  }
+
+  const snippetText = text.slice(start, end).replace(/\s+/g, ' ');
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  // Recompute highlight ranges on the whitespace-collapsed snippet
+  const highlights = tokenizeForIndex(snippetText)
+    .filter(token => queryTerms.some(term => token.term.startsWith(term)))
+    .map(token => [token.start + prefix.length, token.end + prefix.length]);
+
+  return { text: `${prefix}${snippetText}${suffix}`, highlights };
+}
+
+// Ranked full-text search; returns [{ tabId, score, snippet }]
+function queryFullText(query, limit = 20) {
+  if (!searchIndexBuilt) {
+    rebuildSearchIndex();
+  }
+
+  const queryTerms = [...new Set(tokenizeForIndex(query).map(token => token.term))];
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const documentCount = searchDocuments.size;
+  const averageLength = documentCount > 0 ? searchTotalLength / documentCount : 1;
+  const scores = new Map();
+  const matchedTerms = new Map();
+
+  for (const queryTerm of queryTerms) {
+    for (const { term, weight } of expandQueryTerm(queryTerm)) {
+      const postings = searchPostings.get(term);
+      const idf = Math.log(1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5));
+
+      for (const [tabId, frequency] of postings) {
+        const doc = searchDocuments.get(tabId);
+        const norm = frequency * (BM25_K1 + 1) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+        scores.set(tabId, (scores.get(tabId) || 0) + idf * norm * weight);
+
+        if (!matchedTerms.has(tabId)) {
+          matchedTerms.set(tabId, new Set());
+        }
+        matchedTerms.get(tabId).add(queryTerm);
+      }
+    }
+  }
+
+  // Every query term has to appear; exact phrases rank higher
+  const phrase = queryTerms.length > 1 ? query.trim().toLowerCase().replace(/\s+/g, ' ') : null;
+
+  return Array.from(scores.entries())
+    .filter(([tabId]) => matchedTerms.get(tabId).size === queryTerms.length)
+    .map(([tabId, score]) => {
+      const doc = searchDocuments.get(tabId);
+      const hasPhrase = phrase && doc.text.toLowerCase().replace(/\s+/g, ' ').includes(phrase);
+      return {
+        tabId,
+        score: hasPhrase ? score * 2 : score,
+        snippet: buildSnippet(doc.text, queryTerms, hasPhrase ? phrase : null)
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -0,0 +1,215 @@
+// Offline extractive summarizer (TextRank)
+// Sentences are nodes, weighted by how many words they share; a few rounds of PageRank find the
+// sentences most of the page talks about. Sentence and word boundaries come from Intl.Segmenter,
+// so languages without spaces (Chinese, Japanese, Thai) work too.
+
+const SUMMARY_MAX_SENTENCES = 60;  // only the first sentences are ranked, to bound the work
+const SUMMARY_MIN_SENTENCES = 3;   // below this the text is too thin to summarize
+const SUMMARY_MAX_LENGTH = 300;
+const SUMMARY_POINTS = 5;
+const TEXTRANK_DAMPING = 0.85;
+const TEXTRANK_ITERATIONS = 30;
+const TEXTRANK_TOLERANCE = 1e-4;
+
+// Sentences near the top get up to this much extra weight (pages tend to lead with the point)
+const SUMMARY_LEAD_BIAS = 0.2;
+
+// Very common words of a few languages; they link every sentence to every other
+const SUMMARY_STOPWORDS = new Set([
+  // English
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+  'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these',
+  'those', 'you', 'your', 'we', 'our', 'they', 'their', 'he', 'she', 'his', 'her', 'i', 'not',
+  'can', 'will', 'would', 'has', 'have', 'had', 'do', 'does', 'so', 'than', 'then', 'there',
+  'which', 'what', 'when', 'who', 'how', 'all', 'any', 'more', 'also', 'into', 'about',
+  // German
+  'der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'mit', 'auf', 'für', 'von',
+  'den', 'dem', 'des', 'im', 'sie', 'es', 'wir',
+  // French
+  'le', 'la', 'les', 'et', 'est', 'un', 'une', 'des', 'du', 'de', 'que', 'qui', 'pour', 'dans',
+  'pas', 'sur', 'il', 'elle', 'nous', 'vous',
+  // Spanish / Portuguese / Italian
+  'el', 'los', 'las', 'y', 'es', 'en', 'por', 'con', 'para', 'una', 'o', 'da', 'do',
+  'di', 'che', 'non', 'per'
+]);
+
+const SENTENCE_FALLBACK_PATTERN = /[^.!?。！？]+(?:[.!?。！？]+|$)/g;
+
+// Segmenters by "granularity:language"
+const summarySegmenters = new Map();
+
+// Function to get a sentence or word segmenter for a page language (null if unsupported)
+function getSegmenter(granularity, language) {
+  if (typeof Intl.Segmenter !== 'function') {
+    return null;
+  }
+
+  const key = `${granularity}:${language || ''}`;
+  if (!summarySegmenters.has(key)) {
+    let segmenter;
+    try {
+      segmenter = new Intl.Segmenter(language || undefined, { granularity });
+    } catch (e) {
+      // Pages declare all sorts of invalid language tags
+      segmenter = new Intl.Segmenter(undefined, { granularity });
+    }
+    summarySegmenters.set(key, segmenter);
+  }
+  return summarySegmenters.get(key);
+}
+
+// Function to split text into sentences, keeping paragraph breaks as boundaries
+function splitSentences(text, language) {
+  const sentences = [];
+  const segmenter = getSegmenter('sentence', language);
+
+  text.split(/\n+/).forEach(paragraph => {
+    const parts = segmenter
+      ? Array.from(segmenter.segment(paragraph), part => part.segment)
+      : paragraph.match(SENTENCE_FALLBACK_PATTERN) || [];
+    parts.forEach(part => {
+      const sentence = part.replace(/\s+/g, ' ').trim();
+      if (sentence) {
+        sentences.push(sentence);
+      }
+    });
+  });
+
+  return sentences;
+}
+
+// Function to get a sentence's distinct content words (lowercased, stopwords removed)
+function getSentenceWords(sentence, language) {
+  let words;
+  const segmenter = getSegmenter('word', language);
+  if (segmenter) {
+    words = Array.from(segmenter.segment(sentence))
+      .filter(part => part.isWordLike)
+      .map(part => part.segment);
+  } else {
+    words = sentence.match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  return new Set(words
+    .map(word => word.toLocaleLowerCase())
+    .filter(word => !SUMMARY_STOPWORDS.has(word) && !/^\p{N}+$/u.test(word)));
+}
+
+// Function to keep sentences that read like prose (not menus, captions or code)
+function isSummarySentence(sentence, words) {
+  // Each Chinese or Japanese character carries about as much as a short word
+  const minLength = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(sentence) ? 8 : 20;
+  if (sentence.length < minLength || sentence.length > 400) {
+    return false;
+  }
+  // A low word minimum: Chinese or Japanese sentences segment into few, longer words
+  return words.size >= 3 && /[.!?。！？:;)"'”’]$/.test(sentence);
+}
+
+// TextRank similarity: shared words, normalized so long sentences don't win by length alone
+function getSentenceSimilarity(wordsA, wordsB) {
+  if (wordsA.size < 2 || wordsB.size < 2) {
+    return 0;
+  }
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) {
+      shared++;
+    }
+  });
+  return shared / (Math.log(wordsA.size) + Math.log(wordsB.size));
+}
+
+// Function to score sentences with TextRank; returns one score per sentence
+function rankSentences(wordSets) {
+  const count = wordSets.length;
+  const weights = wordSets.map((words, i) =>
+    wordSets.map((other, j) => i === j ? 0 : getSentenceSimilarity(words, other)));
+  const totals = weights.map(row => row.reduce((sum, weight) => sum + weight, 0));
+
+  let scores = new Array(count).fill(1);
+  for (let iteration = 0; iteration < TEXTRANK_ITERATIONS; iteration++) {
+    let change = 0;
+    const next = scores.map((_, i) => {
+      let rank = 0;
+      for (let j = 0; j < count; j++) {
+        if (weights[j][i] > 0) {
+          rank += weights[j][i] / totals[j] * scores[j];
+        }
+      }
+      return (1 - TEXTRANK_DAMPING) + TEXTRANK_DAMPING * rank;
+    });
+    next.forEach((score, i) => {
+      change = Math.max(change, Math.abs(score - scores[i]));
+    });
+    scores = next;
+    if (change < TEXTRANK_TOLERANCE) {
+      break;
+    }
+  }
+
+  return scores.map((score, i) => score * (1 + SUMMARY_LEAD_BIAS * (1 - i / count)));
+}
+
+// Function to rank a text's sentences, best first ([] when there are too few usable sentences)
+function getRankedSentences(text, language) {
+  const candidates = [];
+  const seen = new Set();
+
+  for (const sentence of splitSentences(text || '', language)) {
+    if (candidates.length >= SUMMARY_MAX_SENTENCES) {
+      break;
+    }
+    const words = getSentenceWords(sentence, language);
+    if (isSummarySentence(sentence, words) && !seen.has(sentence)) {
+      seen.add(sentence);
+      candidates.push({ sentence, words, index: candidates.length });
+    }
+  }
+
+  if (candidates.length < SUMMARY_MIN_SENTENCES) {
+    return [];
+  }
+
+  const scores = rankSentences(candidates.map(candidate => candidate.words));
+  return candidates
+    .map((candidate, i) => ({ sentence: candidate.sentence, index: candidate.index, score: scores[i] }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// The best few ranked sentences, back in page order
+function pickSentences(ranked, count) {
+  return ranked
+    .slice(0, count)
+    .sort((a, b) => a.index - b.index)
+    .map(candidate => candidate.sentence);
+}
+
+// Function to pick the most central sentences of a text, in their original order
+function summarizeText(text, { language = '', maxSentences = 2 } = {}) {
+  return pickSentences(getRankedSentences(text, language), maxSentences);
+}
+
+// Function to summarize extracted page content
+// Returns { summary, points }: a one-to-two sentence summary and up to five key sentences.
+// Thin pages fall back to the meta description (or title) and get no points.
+function summarizePage(content) {
+  const ranked = getRankedSentences(content.bodyText, content.language);
+
+  if (ranked.length === 0) {
+    return {
+      summary: (content.metaDescription || content.title || 'No summary available').substring(0, SUMMARY_MAX_LENGTH),
+      points: []
+    };
+  }
+
+  // The two best sentences, or just the best one if two would be too long
+  const [first, second] = pickSentences(ranked, 2);
+  const separator = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]$/u.test(first) ? '' : ' ';
+  let summary = second && first.length + second.length + 1 <= SUMMARY_MAX_LENGTH ? `${first}${separator}${second}` : first;
+  if (summary.length > SUMMARY_MAX_LENGTH) {
+    summary = `${summary.substring(0, SUMMARY_MAX_LENGTH - 1).trim()}…`;
+  }
+
+  return { summary, points: pickSentences(ranked, SUMMARY_POINTS) };
+}
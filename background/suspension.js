@@ -0,0 +1,186 @@
+// Suspends (discards) tabs that have been idle for too long
+// Discarded tabs stay in the tab strip but free their memory until they are reloaded.
+
+const SUSPENSION_ALARM = 'suspension-check';
+
+// Check for idle tabs once a minute
+chrome.alarms.create(SUSPENSION_ALARM, { periodInMinutes: 1 });
+
+function getUrlHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+// Idle minutes before a tab is suspended; domain thresholds win over category ones.
+// 0 means the tab is never suspended.
+function getIdleThreshold(url, category, suspension) {
+  const host = getUrlHost(url);
+
+  for (const [domain, minutes] of Object.entries(suspension.domainMinutes || {})) {
+    const lowerDomain = domain.toLowerCase().replace(/^www\./, '');
+    if (host === lowerDomain || host.endsWith(`.${lowerDomain}`)) {
+      return minutes;
+    }
+  }
+
+  const categoryMinutes = suspension.categoryMinutes || {};
+  if (category && categoryMinutes[category] !== undefined) {
+    return categoryMinutes[category];
+  }
+
+  return suspension.idleMinutes;
+}
+
+function isWhitelisted(url, suspension) {
+  return (suspension.whitelist || []).some(pattern => matchesPattern(url, pattern));
+}
+
+// Check whether the page has a form the user has started filling in
+async function hasUnsavedFormInput(tabId) {
+  try {
+    const result = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: false },
+      func: () => {
+        const active = document.activeElement;
+        if (active && active.isContentEditable && active.textContent.trim()) {
+          return true;
+        }
+
+        return Array.from(document.querySelectorAll('input, textarea, select')).some(field => {
+          if (field.type === 'checkbox' || field.type === 'radio') {
+            return field.checked !== field.defaultChecked;
+          }
+          if (field.tagName === 'SELECT') {
+            return Array.from(field.options).some(option => option.selected !== option.defaultSelected);
+          }
+          if (['hidden', 'submit', 'button', 'reset', 'image', 'file', 'password'].includes(field.type)) {
+            return false;
+          }
+          return field.value !== field.defaultValue;
+        });
+      }
+    });
+    return Boolean(result && result[0] && result[0].result);
+  } catch (error) {
+    // Pages we can't script can't hold form input we care about
+    return false;
+  }
+}
+
+// Decide whether a live tab may be suspended now
+async function shouldSuspendTab(tab, suspension, now) {
+  if (tab.active || tab.discarded || tab.pinned || tab.audible || tab.autoDiscardable === false) {
+    return false;
+  }
+  if (!tab.url || !/^https?:/i.test(tab.url) || isWhitelisted(tab.url, suspension)) {
+    return false;
+  }
+
+  const record = tabData[tab.id];
+  const threshold = getIdleThreshold(tab.url, record && record.category, suspension);
+  if (!threshold || threshold <= 0) {
+    return false;
+  }
+
+  const lastAccessed = tab.lastAccessed || (record && record.lastAccessed) || now;
+  if (now - lastAccessed < threshold * 60 * 1000) {
+    return false;
+  }
+
+  return !(await hasUnsavedFormInput(tab.id));
+}
+
+// Function to suspend every tab that has been idle past its threshold
+async function suspendIdleTabs() {
+  try {
+    const { suspension } = await getSettings();
+    if (!suspension.enabled) {
+      return { suspended: 0 };
+    }
+
+    // The service worker may have restarted since the data was loaded
+    if (Object.keys(tabData).length === 0) {
+      await loadSavedData();
+    }
+
+    const now = Date.now();
+    const tabs = await chrome.tabs.query({});
+    let suspended = 0;
+
+    for (const tab of tabs) {
+      if (await shouldSuspendTab(tab, suspension, now)) {
+        try {
+          await chrome.tabs.discard(tab.id);
+          suspended++;
+        } catch (error) {
+          console.warn(`Could not suspend tab ${tab.id}:`, error);
+        }
+      }
+    }
+
+    if (suspended > 0) {
+      console.log(`Suspended ${suspended} idle tabs`);
+    }
+    return { suspended };
+  } catch (error) {
+    console.error('Error suspending idle tabs:', error);
+    return { suspended: 0 };
+  }
+}
+
+// Function to wake suspended tabs by reloading them in the background
+async function wakeTabs(tabIds) {
+  let woken = 0;
+  for (const tabId of tabIds) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.discarded) {
+        await chrome.tabs.reload(tabId);
+        woken++;
+      }
+    } catch (error) {
+      console.warn(`Could not wake tab ${tabId}:`, error);
+    }
+  }
+  return { woken };
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SUSPENSION_ALARM) {
+    suspendIdleTabs();
+  }
+});
+
+// Keep the suspended flag in tabData in step with the browser (it may discard tabs itself)
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (!('discarded' in changeInfo) || !tabData[tabId]) {
+    return;
+  }
+
+  tabData[tabId].discarded = changeInfo.discarded;
+  queueTabDataSave();
+
+  broadcastTabChange('tabUpdated', tabId);
+});
+
+// Discarding can give a tab a new id; carry its data over
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+  const record = tabData[removedTabId];
+  if (!record) {
+    return;
+  }
+
+  delete tabData[removedTabId];
+  tabData[addedTabId] = { ...record, id: addedTabId };
+
+  removeFromSearchIndex(removedTabId);
+  indexTabContent(addedTabId, tabData[addedTabId]);
+
+  queueTabDataSave();
+
+  broadcastTabChange('tabRemoved', removedTabId);
+  broadcastTabChange('tabAdded', addedTabId);
+});
@@ -0,0 +1,239 @@
+// Mirrors our categories into native Chrome tab groups ("Apply to tab strip" mode)
+// Only groups created by the extension are touched; groups made by hand are left alone.
+
+// Colors available to chrome.tabGroups
+const GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
+// Groups created by the extension: groupId -> { windowId, category }
+let managedGroups = {};
+// Groups the extension made on the user's request rather than for a category; never adopted
+let userGroupIds = new Set();
+const managedGroupsReady = loadManagedGroups();
+
+// Group changes are serialized so parallel analyses don't create duplicate groups
+let groupSyncChain = Promise.resolve();
+
+// Load managed groups and drop any that no longer exist (ids change across restarts)
+async function loadManagedGroups() {
+  try {
+    const result = await chrome.storage.local.get(['managedGroups', 'userTabGroups']);
+    const stored = result.managedGroups || {};
+    const existingGroups = await chrome.tabGroups.query({});
+    const existingIds = new Set(existingGroups.map(group => group.id));
+
+    managedGroups = {};
+    for (const [groupId, info] of Object.entries(stored)) {
+      if (existingIds.has(parseInt(groupId))) {
+        managedGroups[groupId] = info;
+      }
+    }
+    userGroupIds = new Set((result.userTabGroups || []).filter(groupId => existingIds.has(groupId)));
+  } catch (error) {
+    console.error('Error loading managed tab groups:', error);
+    managedGroups = {};
+  }
+}
+
+async function saveManagedGroups() {
+  await chrome.storage.local.set({ managedGroups, userTabGroups: Array.from(userGroupIds) });
+}
+
+// Function to mark a group the extension made on the user's request, so auto-grouping leaves it alone
+async function markUserTabGroup(groupId) {
+  await managedGroupsReady;
+  userGroupIds.add(groupId);
+  delete managedGroups[groupId];
+  await saveManagedGroups();
+}
+
+// Pick a stable color for a category name
+function getCategoryColor(category) {
+  let hash = 0;
+  for (const char of category || '') {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return GROUP_COLORS[hash % GROUP_COLORS.length];
+}
+
+function findManagedGroupId(windowId, category) {
+  const entry = Object.entries(managedGroups)
+    .find(([_, info]) => info.windowId === windowId && info.category === category);
+  return entry ? parseInt(entry[0]) : null;
+}
+
+// Run a tab strip change after any previous one has finished
+function queueGroupSync(task) {
+  groupSyncChain = groupSyncChain.then(task).catch(error => {
+    console.error('Error syncing tab groups:', error);
+  });
+  return groupSyncChain;
+}
+
+// Move a single tab into the native group for its category
+async function syncTabToGroup(tabId) {
+  await managedGroupsReady;
+
+  const data = tabData[tabId];
+  if (!data) {
+    return;
+  }
+
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch (error) {
+    return; // Tab was closed in the meantime
+  }
+
+  // Pinned tabs can't be grouped
+  if (tab.pinned) {
+    return;
+  }
+
+  const currentGroupId = tab.groupId ?? chrome.tabGroups.TAB_GROUP_ID_NONE;
+  const inGroup = currentGroupId !== chrome.tabGroups.TAB_GROUP_ID_NONE;
+
+  // Leave tabs the user grouped by hand where they are
+  if (inGroup && !managedGroups[currentGroupId]) {
+    return;
+  }
+
+  // Uncategorized tabs stay out of our groups
+  if (!data.category || data.category === 'Uncategorized') {
+    if (inGroup) {
+      await chrome.tabs.ungroup(tabId);
+    }
+    return;
+  }
+
+  const targetGroupId = findManagedGroupId(tab.windowId, data.category);
+  if (targetGroupId !== null && targetGroupId === currentGroupId) {
+    return;
+  }
+
+  if (targetGroupId !== null) {
+    await chrome.tabs.group({ groupId: targetGroupId, tabIds: tabId });
+    return;
+  }
+
+  const groupId = await chrome.tabs.group({
+    tabIds: tabId,
+    createProperties: { windowId: tab.windowId }
+  });
+  await chrome.tabGroups.update(groupId, {
+    title: data.category,
+    color: getCategoryColor(data.category),
+    collapsed: false
+  });
+
+  managedGroups[groupId] = { windowId: tab.windowId, category: data.category };
+  await saveManagedGroups();
+}
+
+// Re-adopt groups that are exactly like ours (e.g. restored after a browser restart, which changes
+// group ids): named after a current category, in its color, and holding only tabs of that category.
+// Adopting such a group moves none of its tabs; groups the user asked for are never adopted.
+async function adoptMatchingGroups() {
+  const [groups, tabs] = await Promise.all([chrome.tabGroups.query({}), chrome.tabs.query({})]);
+  const categoryNames = new Set(Object.values(tabData).map(record => record.category));
+  // Uncategorized tabs are never grouped
+  categoryNames.delete('Uncategorized');
+  let adopted = 0;
+
+  for (const group of groups) {
+    if (managedGroups[group.id] || userGroupIds.has(group.id) || !categoryNames.has(group.title)) {
+      continue;
+    }
+    if (findManagedGroupId(group.windowId, group.title) !== null || group.color !== getCategoryColor(group.title)) {
+      continue;
+    }
+
+    const members = tabs.filter(tab => tab.groupId === group.id);
+    if (members.length > 0 && members.every(tab => tabData[tab.id] && tabData[tab.id].category === group.title)) {
+      managedGroups[group.id] = { windowId: group.windowId, category: group.title };
+      adopted++;
+    }
+  }
+
+  if (adopted > 0) {
+    await saveManagedGroups();
+  }
+}
+
+// Group every known tab by category
+function applyCategoriesToTabStrip() {
+  return queueGroupSync(async () => {
+    await managedGroupsReady;
+    await adoptMatchingGroups();
+
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      await syncTabToGroup(tab.id);
+    }
+  });
+}
+
+// Ungroup tabs from every group the extension created
+function removeManagedGroups() {
+  return queueGroupSync(async () => {
+    await managedGroupsReady;
+
+    const groupIds = Object.keys(managedGroups).map(id => parseInt(id));
+    if (groupIds.length === 0) {
+      return;
+    }
+
+    const tabs = await chrome.tabs.query({});
+    const tabIds = tabs.filter(tab => groupIds.includes(tab.groupId)).map(tab => tab.id);
+    if (tabIds.length > 0) {
+      await chrome.tabs.ungroup(tabIds);
+    }
+
+    managedGroups = {};
+    await saveManagedGroups();
+  });
+}
+
+// Called after a tab has been (re-)categorized
+async function updateTabStripForTab(tabId) {
+  const settings = await getSettings();
+  if (settings.applyToTabStrip) {
+    await queueGroupSync(() => syncTabToGroup(tabId));
+  }
+}
+
+// Forget groups that were closed
+chrome.tabGroups.onRemoved.addListener(async (group) => {
+  await managedGroupsReady;
+  if (managedGroups[group.id] || userGroupIds.has(group.id)) {
+    delete managedGroups[group.id];
+    userGroupIds.delete(group.id);
+    await saveManagedGroups();
+  }
+});
+
+// A managed group the user renames becomes theirs
+chrome.tabGroups.onUpdated.addListener(async (group) => {
+  await managedGroupsReady;
+  const info = managedGroups[group.id];
+  if (info && group.title && group.title !== info.category) {
+    delete managedGroups[group.id];
+    await saveManagedGroups();
+  }
+});
+
+// Turn the mode on or off when the setting changes
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.settings) {
+    return;
+  }
+
+  const wasEnabled = Boolean((changes.settings.oldValue || {}).applyToTabStrip);
+  const isEnabled = Boolean((changes.settings.newValue || {}).applyToTabStrip);
+
+  if (isEnabled && !wasEnabled) {
+    applyCategoriesToTabStrip();
+  } else if (!isEnabled && wasEnabled) {
+    removeManagedGroups();
+  }
+});
@@ -0,0 +1,79 @@
+// Tags and a short note per tab, kept per page URL so they come back when the page is reopened
+
+const TAB_NOTE_MAX_LENGTH = 500;
+const TAB_TAG_MAX_LENGTH = 40;
+const TAB_TAGS_MAX = 20;
+
+// pageKey -> { tags, note, updatedAt }
+let tabNotes = {};
+const tabNotesReady = loadTabNotes();
+
+async function loadTabNotes() {
+  try {
+    const { tabNotes: stored } = await chrome.storage.local.get('tabNotes');
+    tabNotes = stored || {};
+  } catch (error) {
+    console.error('Error loading tab notes:', error);
+  }
+}
+
+// Function to clean up tags typed by the user: trimmed, without a leading '#', no duplicates (ignoring case)
+function normalizeTags(tags) {
+  const seen = new Set();
+  return (Array.isArray(tags) ? tags : String(tags || '').split(','))
+    .map(tag => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, ' ').substring(0, TAB_TAG_MAX_LENGTH))
+    .filter(tag => {
+      const key = tag.toLocaleLowerCase();
+      if (!tag || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, TAB_TAGS_MAX);
+}
+
+// Function to get the tags and note saved for a page
+async function getTabNotes(url) {
+  await tabNotesReady;
+  const saved = tabNotes[getPageKey(url)];
+  return { tags: saved ? saved.tags : [], note: saved ? saved.note : '' };
+}
+
+// Function to set a tab's tags and note; other open tabs of the same page show them too
+async function setTabNotes(tabId, { tags, note }) {
+  // The service worker may have restarted since the data was loaded
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+
+  const tab = tabData[tabId];
+  if (!tab) {
+    throw new Error(`Unknown tab ${tabId}`);
+  }
+
+  await tabNotesReady;
+  const entry = {
+    tags: normalizeTags(tags),
+    note: String(note || '').trim().substring(0, TAB_NOTE_MAX_LENGTH)
+  };
+
+  const pageKey = getPageKey(tab.url);
+  if (entry.tags.length === 0 && !entry.note) {
+    delete tabNotes[pageKey];
+  } else {
+    tabNotes[pageKey] = { ...entry, updatedAt: new Date().getTime() };
+  }
+  await chrome.storage.local.set({ tabNotes });
+
+  Object.values(tabData)
+    .filter(record => getPageKey(record.url) === pageKey)
+    .forEach(record => {
+      record.tags = entry.tags;
+      record.note = entry.note;
+      broadcastTabChange('tabUpdated', record.id);
+    });
+  queueTabDataSave();
+
+  return entry;
+}
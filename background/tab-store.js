@@ -0,0 +1,441 @@
+// Persistent storage for tab records
+// Each tab's record lives in chrome.storage.local under "tab:<id>"; the extracted page content,
+// which is most of the data, lives in IndexedDB. Writes are debounced and only touch records
+// that changed since the last flush. The in-memory tabData keeps full records, content included.
+
+// Schema versions:
+//   1 - everything in a single "tabData" key, content included
+//   2 - one "tab:<id>" record per tab, page content in IndexedDB
+const TAB_STORE_VERSION = 2;
+const TAB_RECORD_PREFIX = 'tab:';
+
+const CONTENT_DB_NAME = 'smart-tab-manager';
+const CONTENT_STORE = 'pageContent';
+
+const TAB_STORE_FLUSH_DELAY = 1000;
+
+// Share of stored page content dropped (least recently used first) when storage is full
+const QUOTA_EVICTION_SHARE = 0.25;
+
+// What was last written per tab id, to skip unchanged records
+const persistedRecords = new Map();
+const persistedContent = new Map();
+
+// Tabs whose records were dropped from chrome.storage.local because it was full; loadTabStore()
+// keeps their in-memory records, which aren't written again until the tab closes. If the service
+// worker restarts in between they are lost, and the tabs are analyzed again as new ones.
+const unsavedTabIds = new Set();
+let storageFullWarned = false;
+
+// Page content is read from IndexedDB once per service worker; later loads reuse what is in memory
+let contentLoaded = false;
+
+let tabStoreFlushTimeout = null;
+let tabStoreWriteChain = Promise.resolve();
+let contentDbPromise = null;
+
+function getTabRecordKey(tabId) {
+  return `${TAB_RECORD_PREFIX}${tabId}`;
+}
+
+// The part of a record kept in chrome.storage.local
+function toStoredRecord(record) {
+  const { content, ...rest } = record;
+  return rest;
+}
+
+function isQuotaError(error) {
+  return Boolean(error) && (error.name === 'QuotaExceededError' || /quota/i.test(error.message || ''));
+}
+
+function openContentDb() {
+  if (!contentDbPromise) {
+    contentDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CONTENT_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CONTENT_STORE, { keyPath: 'tabId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Allow a later retry
+      contentDbPromise = null;
+      throw error;
+    });
+  }
+  return contentDbPromise;
+}
+
+// Function to run one IndexedDB transaction on the content store
+// The callback may return a request whose result the promise resolves with
+async function withContentStore(mode, callback) {
+  const db = await openContentDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CONTENT_STORE, mode);
+    const request = callback(transaction.objectStore(CONTENT_STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function readAllContent() {
+  return withContentStore('readonly', store => store.getAll());
+}
+
+function readContent(tabIds) {
+  const entries = [];
+  return withContentStore('readonly', store => {
+    tabIds.forEach(tabId => {
+      const request = store.get(tabId);
+      request.onsuccess = () => {
+        if (request.result) {
+          entries.push(request.result);
+        }
+      };
+    });
+  }).then(() => entries);
+}
+
+function writeContent(records) {
+  return withContentStore('readwrite', store => {
+    records.forEach(record => {
+      store.put({ tabId: record.id, url: record.url, content: record.content, savedAt: Date.now() });
+    });
+  });
+}
+
+function deleteContent(tabIds) {
+  return withContentStore('readwrite', store => {
+    tabIds.forEach(tabId => store.delete(tabId));
+  });
+}
+
+// Function to fill in fields that older versions didn't store
+function normalizeTabRecord(record) {
+  const lastAccessed = record.lastAccessed || new Date().getTime();
+  const content = record.content || {};
+
+  return {
+    category: 'Uncategorized',
+    summary: record.title || 'No summary available',
+    summaryPoints: [],
+    topics: [],
+    tags: [],
+    note: '',
+    discarded: false,
+    timeSpent: 0,
+    ...record,
+    id: parseInt(record.id),
+    lastAccessed,
+    firstSeen: record.firstSeen || lastAccessed,
+    content: {
+      ...content,
+      title: content.title || record.title || '',
+      metaDescription: content.metaDescription || '',
+      bodyText: content.bodyText || '',
+      headings: Array.isArray(content.headings) ? content.headings : []
+    }
+  };
+}
+
+// Migrations to each schema version from the one before it
+const TAB_STORE_MIGRATIONS = {
+  2: async () => {
+    const { tabData: legacyTabData } = await chrome.storage.local.get('tabData');
+    const records = Object.values(legacyTabData || {})
+      .filter(record => record && record.id !== undefined)
+      .map(normalizeTabRecord);
+
+    if (records.length > 0) {
+      try {
+        await writeContent(records);
+      } catch (error) {
+        // The records matter more than the text, which is extracted again on the next analysis
+        console.error('Error moving page content to IndexedDB:', error);
+      }
+
+      // The old key held every tab's page text (up to 10000 characters each) and can be close to
+      // the quota; free it before writing the much smaller records, which are in memory by now
+      await chrome.storage.local.remove('tabData');
+
+      const storedRecords = {};
+      records.forEach(record => {
+        storedRecords[getTabRecordKey(record.id)] = toStoredRecord(record);
+      });
+      await chrome.storage.local.set(storedRecords);
+    } else {
+      await chrome.storage.local.remove('tabData');
+    }
+
+    console.log(`Migrated ${records.length} tab records to per-tab storage`);
+  }
+};
+
+// Function to bring stored data up to the current schema version
+async function migrateTabStore() {
+  const { tabStoreVersion = 1 } = await chrome.storage.local.get('tabStoreVersion');
+
+  for (let version = tabStoreVersion + 1; version <= TAB_STORE_VERSION; version++) {
+    await TAB_STORE_MIGRATIONS[version]();
+    await chrome.storage.local.set({ tabStoreVersion: version });
+  }
+}
+
+// Function to load every stored tab record with its page content
+async function loadTabStore() {
+  // Don't read back data older than what is in memory
+  await flushTabStore();
+  await migrateTabStore();
+
+  const stored = await chrome.storage.local.get(null);
+  const storedRecords = Object.keys(stored)
+    .filter(key => key.startsWith(TAB_RECORD_PREFIX))
+    .map(key => stored[key]);
+
+  // Records already in memory keep their content; only the others are read from IndexedDB
+  const contentByTabId = new Map();
+  storedRecords.forEach(storedRecord => {
+    const current = tabData[storedRecord.id];
+    if (contentLoaded && current && current.content) {
+      contentByTabId.set(storedRecord.id, { url: current.url, content: current.content });
+    }
+  });
+
+  try {
+    if (!contentLoaded) {
+      (await readAllContent()).forEach(entry => contentByTabId.set(entry.tabId, entry));
+      contentLoaded = true;
+    } else {
+      const missingTabIds = storedRecords
+        .map(storedRecord => storedRecord.id)
+        .filter(tabId => !contentByTabId.has(tabId));
+      if (missingTabIds.length > 0) {
+        (await readContent(missingTabIds)).forEach(entry => contentByTabId.set(entry.tabId, entry));
+      }
+    }
+  } catch (error) {
+    console.error('Error reading page content:', error);
+  }
+
+  const records = {};
+  persistedRecords.clear();
+  persistedContent.clear();
+
+  storedRecords.forEach(storedRecord => {
+    const entry = contentByTabId.get(storedRecord.id);
+
+    // Content saved for another page in the same tab is stale
+    const record = normalizeTabRecord({
+      ...storedRecord,
+      content: entry && entry.url === storedRecord.url ? entry.content : undefined
+    });
+
+    records[record.id] = record;
+    persistedRecords.set(record.id, JSON.stringify(toStoredRecord(record)));
+    persistedContent.set(record.id, record.content);
+  });
+
+  // Records that no longer fit in storage only exist in memory
+  unsavedTabIds.forEach(tabId => {
+    if (tabData[tabId]) {
+      records[tabId] = tabData[tabId];
+    }
+  });
+
+  return records;
+}
+
+// Function to read and delete the stored record of a tab that closed while it wasn't in memory
+// Returns the record (without page content), or null if none was stored
+async function takeStoredTabRecord(tabId) {
+  await tabStoreWriteChain;
+
+  const key = getTabRecordKey(tabId);
+  const { [key]: storedRecord } = await chrome.storage.local.get(key);
+  if (!storedRecord) {
+    return null;
+  }
+
+  await chrome.storage.local.remove(key);
+  persistedRecords.delete(tabId);
+  persistedContent.delete(tabId);
+  try {
+    await deleteContent([tabId]);
+  } catch (error) {
+    console.error('Error deleting page content:', error);
+  }
+  return normalizeTabRecord(storedRecord);
+}
+
+// Function to save tabData soon; repeated calls within the delay are written together
+function queueTabDataSave() {
+  clearTimeout(tabStoreFlushTimeout);
+  tabStoreFlushTimeout = setTimeout(flushTabStore, TAB_STORE_FLUSH_DELAY);
+}
+
+// Function to write pending changes now
+function flushTabStore() {
+  clearTimeout(tabStoreFlushTimeout);
+  tabStoreFlushTimeout = null;
+
+  tabStoreWriteChain = tabStoreWriteChain.then(writeChangedRecords).catch(error => {
+    console.error('Error saving tab data:', error);
+    if (isQuotaError(error)) {
+      warnStorageFull();
+      return;
+    }
+    sendMessageToPopupIfOpen({
+      action: "tabDataError",
+      error: `Could not save tab data: ${error.message}`
+    });
+  });
+  return tabStoreWriteChain;
+}
+
+// Function to write records and content that changed since the last flush
+async function writeChangedRecords() {
+  const changedRecords = {};
+  const changedContent = [];
+
+  Object.values(tabData).forEach(record => {
+    if (unsavedTabIds.has(record.id)) {
+      return;
+    }
+    const serialized = JSON.stringify(toStoredRecord(record));
+    if (persistedRecords.get(record.id) !== serialized) {
+      changedRecords[getTabRecordKey(record.id)] = { record, serialized };
+    }
+    if (record.content && persistedContent.get(record.id) !== record.content) {
+      changedContent.push(record);
+    }
+  });
+
+  const removedTabIds = Array.from(persistedRecords.keys()).filter(tabId => !tabData[tabId]);
+  unsavedTabIds.forEach(tabId => {
+    if (!tabData[tabId]) {
+      unsavedTabIds.delete(tabId);
+    }
+  });
+
+  if (Object.keys(changedRecords).length > 0) {
+    await writeRecordsWithPruning(changedRecords);
+  }
+
+  if (removedTabIds.length > 0) {
+    await chrome.storage.local.remove(removedTabIds.map(getTabRecordKey));
+    removedTabIds.forEach(tabId => {
+      persistedRecords.delete(tabId);
+      persistedContent.delete(tabId);
+    });
+    await deleteContent(removedTabIds);
+  }
+
+  // Content of tabs whose records were just pruned isn't stored either
+  const contentToWrite = changedContent.filter(record => !unsavedTabIds.has(record.id));
+  if (contentToWrite.length > 0) {
+    await writeContentWithEviction(contentToWrite);
+  }
+}
+
+function setStoredRecords(changedRecords) {
+  const storedRecords = {};
+  Object.entries(changedRecords).forEach(([key, { record }]) => {
+    storedRecords[key] = toStoredRecord(record);
+  });
+  return chrome.storage.local.set(storedRecords);
+}
+
+// Function to store changed records, making room by dropping the records of the least recently
+// used tabs when chrome.storage.local is full
+async function writeRecordsWithPruning(changedRecords) {
+  try {
+    await setStoredRecords(changedRecords);
+  } catch (error) {
+    if (!isQuotaError(error)) {
+      throw error;
+    }
+
+    const pruned = await pruneOldRecords();
+    pruned.forEach(tabId => delete changedRecords[getTabRecordKey(tabId)]);
+    console.warn(`Storage full: stopped saving the records of ${pruned.length} least recently used tabs`);
+    await setStoredRecords(changedRecords);
+  }
+
+  Object.values(changedRecords).forEach(({ record, serialized }) => {
+    persistedRecords.set(record.id, serialized);
+  });
+}
+
+// Function to remove the stored records of the least recently used tabs; returns their ids
+// Their records stay in memory (see unsavedTabIds) until the tab closes or the worker restarts.
+async function pruneOldRecords() {
+  const candidates = Object.values(tabData)
+    .filter(record => !unsavedTabIds.has(record.id))
+    .sort((a, b) => a.lastAccessed - b.lastAccessed);
+  const prunedIds = candidates
+    .slice(0, Math.max(1, Math.ceil(candidates.length * QUOTA_EVICTION_SHARE)))
+    .map(record => record.id);
+
+  await chrome.storage.local.remove(prunedIds.map(getTabRecordKey));
+  prunedIds.forEach(tabId => {
+    unsavedTabIds.add(tabId);
+    persistedRecords.delete(tabId);
+    persistedContent.delete(tabId);
+  });
+  try {
+    await deleteContent(prunedIds);
+  } catch (error) {
+    console.error('Error deleting page content:', error);
+  }
+  return prunedIds;
+}
+
+// Function to tell the user, once per service worker, that tab data no longer fits in storage
+function warnStorageFull() {
+  if (storageFullWarned) {
+    return;
+  }
+  storageFullWarned = true;
+  sendMessageToPopupIfOpen({
+    action: "tabDataError",
+    error: 'Extension storage is full, so some tab data is not being saved. ' +
+      'Clear the tab archive or the cleanup trash, or close tabs you no longer need.'
+  });
+}
+
+// Function to store page content, making room by evicting old content when storage is full
+async function writeContentWithEviction(records) {
+  try {
+    await writeContent(records);
+  } catch (error) {
+    if (!isQuotaError(error)) {
+      throw error;
+    }
+
+    const evicted = await evictOldContent();
+    console.warn(`Storage full: dropped stored page content of ${evicted} least recently used tabs`);
+    await writeContent(records);
+  }
+
+  records.forEach(record => persistedContent.set(record.id, record.content));
+}
+
+// Function to delete the stored content of the least recently used tabs
+// Their text stays in memory for this session and is extracted again on the next analysis.
+async function evictOldContent() {
+  const candidates = Object.values(tabData)
+    .filter(record => persistedContent.has(record.id))
+    .sort((a, b) => a.lastAccessed - b.lastAccessed);
+  const evictedIds = candidates
+    .slice(0, Math.max(1, Math.ceil(candidates.length * QUOTA_EVICTION_SHARE)))
+    .map(record => record.id);
+
+  await deleteContent(evictedIds);
+  return evictedIds.length;
+}
+
+// Write anything pending before the service worker shuts down
+chrome.runtime.onSuspend.addListener(() => {
+  flushTabStore();
+});
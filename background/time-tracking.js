@@ -0,0 +1,223 @@
+// Tracks how long each tab is actually in front of the user
+// Time counts only while a browser window is focused and the user is not idle. It is credited to the
+// tab (tabData[id].timeSpent) and rolled up into daily buckets by domain and category (storage key "timeStats").
+
+const TIME_FLUSH_ALARM = 'time-tracking-flush';
+
+// Seconds without input before the user counts as away
+const IDLE_DETECTION_SECONDS = 120;
+
+// Days of daily buckets to keep
+const TIME_STATS_RETENTION_DAYS = 90;
+
+// A single stretch is never credited with more than this (guards against missed events, e.g. sleep)
+const MAX_CREDITED_MS = 15 * 60 * 1000;
+
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+
+// Credit the running stretch every minute so the numbers stay current
+chrome.alarms.create(TIME_FLUSH_ALARM, { periodInMinutes: 1 });
+
+// Writes are serialized so overlapping events don't lose time
+let timeTrackingChain = Promise.resolve();
+
+function queueTimeTracking(task) {
+  timeTrackingChain = timeTrackingChain.then(task).catch(error => {
+    console.error('Error tracking time:', error);
+  });
+  return timeTrackingChain;
+}
+
+// Local date key (YYYY-MM-DD) for a timestamp
+function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// The stretch being timed lives in session storage so it survives service worker restarts
+async function getActiveSession() {
+  const result = await chrome.storage.session.get('activeSession');
+  return result.activeSession || null;
+}
+
+async function setActiveSession(session) {
+  if (session) {
+    await chrome.storage.session.set({ activeSession: session });
+  } else {
+    await chrome.storage.session.remove('activeSession');
+  }
+}
+
+// Add time spent on a tab to its record and to the daily buckets
+async function creditTime(session, endTime) {
+  const elapsed = Math.min(endTime - session.startedAt, MAX_CREDITED_MS);
+  if (elapsed <= 0) {
+    return;
+  }
+
+  // Alarms and tab events often wake a fresh service worker; load the records to credit
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+
+  const record = tabData[session.tabId];
+  if (record) {
+    record.timeSpent = (record.timeSpent || 0) + elapsed;
+    queueTabDataSave();
+  }
+
+  const domain = getUrlHost(session.url) || 'other';
+  const category = (record && record.category) || session.category || 'Uncategorized';
+  const dayKey = getDayKey(session.startedAt);
+
+  const result = await chrome.storage.local.get('timeStats');
+  const stats = result.timeStats || { days: {} };
+  const day = stats.days[dayKey] || (stats.days[dayKey] = { total: 0, domains: {}, categories: {} });
+
+  day.total += elapsed;
+  day.domains[domain] = (day.domains[domain] || 0) + elapsed;
+  day.categories[category] = (day.categories[category] || 0) + elapsed;
+
+  // Forget days past the retention period
+  const oldestKept = getDayKey(Date.now() - TIME_STATS_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  Object.keys(stats.days).forEach(key => {
+    if (key < oldestKept) {
+      delete stats.days[key];
+    }
+  });
+
+  await chrome.storage.local.set({ timeStats: stats });
+}
+
+// Function to stop timing the current stretch (crediting it) and optionally start a new one
+function switchActiveTab(tab) {
+  return queueTimeTracking(async () => {
+    const now = Date.now();
+    const session = await getActiveSession();
+    if (session) {
+      await creditTime(session, now);
+    }
+
+    const trackable = tab && tab.url && /^https?:/i.test(tab.url);
+    await setActiveSession(trackable ? {
+      tabId: tab.id,
+      url: tab.url,
+      // Remembered in case the tab is gone by the time the stretch is credited
+      category: tabData[tab.id] ? tabData[tab.id].category : null,
+      startedAt: now
+    } : null);
+  });
+}
+
+// Start timing whatever tab is in front, if the user is present
+async function resumeTracking() {
+  const state = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+  if (state !== 'active') {
+    return switchActiveTab(null);
+  }
+
+  const window = await chrome.windows.getLastFocused();
+  if (!window || !window.focused) {
+    return switchActiveTab(null);
+  }
+
+  const [tab] = await chrome.tabs.query({ active: true, windowId: window.id });
+  return switchActiveTab(tab || null);
+}
+
+// Function to credit the running stretch without ending it
+function flushTimeTracking() {
+  return queueTimeTracking(async () => {
+    const session = await getActiveSession();
+    if (!session) {
+      return;
+    }
+
+    const now = Date.now();
+    await creditTime(session, now);
+    await setActiveSession({ ...session, startedAt: now });
+  });
+}
+
+// Function to get the daily buckets plus per-tab totals for the dashboard
+async function getTimeStats() {
+  await flushTimeTracking();
+
+  // The service worker may have restarted since the data was loaded
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+
+  const result = await chrome.storage.local.get('timeStats');
+  const tabs = Object.values(tabData).map(tab => ({
+    id: tab.id,
+    url: tab.url,
+    title: tab.title,
+    category: tab.category,
+    timeSpent: tab.timeSpent || 0,
+    firstSeen: tab.firstSeen,
+    lastAccessed: tab.lastAccessed
+  }));
+
+  return { days: (result.timeStats || { days: {} }).days, tabs };
+}
+
+chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+  try {
+    const window = await chrome.windows.get(windowId);
+    const tab = await chrome.tabs.get(tabId);
+    await switchActiveTab(window.focused ? tab : null);
+  } catch (error) {
+    console.error('Error tracking tab activation:', error);
+  }
+});
+
+// A page change in the tab being timed starts a new stretch for the new domain
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (!changeInfo.url) {
+    return;
+  }
+  const session = await getActiveSession();
+  if (session && session.tabId === tabId) {
+    await switchActiveTab(tab);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const session = await getActiveSession();
+  if (session && session.tabId === tabId) {
+    await switchActiveTab(null);
+  }
+});
+
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  try {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+      await switchActiveTab(null);
+      return;
+    }
+    await resumeTracking();
+  } catch (error) {
+    console.error('Error tracking window focus:', error);
+  }
+});
+
+chrome.idle.onStateChanged.addListener(async (state) => {
+  try {
+    if (state === 'active') {
+      await resumeTracking();
+    } else {
+      await switchActiveTab(null);
+    }
+  } catch (error) {
+    console.error('Error tracking idle state:', error);
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TIME_FLUSH_ALARM) {
+    flushTimeTracking();
+  }
+});
@@ -0,0 +1,261 @@
+// Topic extraction: TF-IDF keywords, phrases and named entities across all open tabs
+// Each tab's candidate terms are counted once per page version (cached by fingerprint); the
+// scores are recomputed over all tabs whenever one is analyzed or closed, so words every page
+// uses (site names, "sign in", ...) are discounted against the rest of the open tabs.
+
+const TOPICS_PER_TAB = 5;
+const TOPIC_REFRESH_DELAY = 1500;
+
+// Where a word appears counts this many times
+const TOPIC_FIELD_WEIGHTS = { title: 3, headings: 2, metaDescription: 2, bodyText: 1 };
+
+// Terms seen less often (after field weights) are noise, unless they are in the title
+const TOPIC_MIN_WEIGHT = 2;
+
+// Multi-word phrases and proper names say more than single words
+const TOPIC_PHRASE_BONUS = 1.2;
+const TOPIC_ENTITY_BONUS = 1.5;
+
+// Page furniture that is never a topic
+const TOPIC_EXTRA_STOPWORDS = new Set([
+  'home', 'menu', 'login', 'log', 'sign', 'signup', 'account', 'search', 'cookie', 'cookies',
+  'privacy', 'policy', 'terms', 'click', 'read', 'share', 'new', 'one', 'two', 'get', 'use',
+  'used', 'using', 'like', 'just', 'see', 'may', 'more', 'most', 'other', 'only', 'some', 'such',
+  'make', 'way', 'well', 'even', 'each', 'many', 'much', 'should', 'could', 'here', 'now',
+  'page', 'site', 'website', 'com', 'www', 'http', 'https', 'html', 'skip', 'content', 'main',
+  'our', 'out', 'up', 'no', 'yes', 'my', 'me', 'us', 'them', 'him', 'were', 'being', 'after',
+  'before', 'over', 'under', 'between', 'through', 'while', 'because', 'very', 'still', 'first'
+]);
+
+// tabId -> { fingerprint, terms: Map(key -> { weight, label, entity, phrase, labels }) }
+const topicTermCache = new Map();
+let topicRefreshTimeout = null;
+
+function isTopicStopword(word) {
+  return SUMMARY_STOPWORDS.has(word) || TOPIC_EXTRA_STOPWORDS.has(word);
+}
+
+// A word worth counting on its own: not a stopword or number, long enough to mean something
+function isTopicWord(word) {
+  if (isTopicStopword(word) || /^[\p{N}\p{P}]+$/u.test(word)) {
+    return false;
+  }
+  // One Chinese or Japanese character is often a whole word; two are plenty
+  const minLength = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(word) ? 2 : 3;
+  return word.length >= minLength;
+}
+
+// Function to split text into runs of adjacent words; punctuation ends a run
+function getWordRuns(text, language) {
+  const runs = [[]];
+  const segmenter = getSegmenter('word', language);
+  const segments = segmenter
+    ? Array.from(segmenter.segment(text), part => ({ segment: part.segment, isWord: part.isWordLike }))
+    : (text.match(/[\p{L}\p{N}]+|[^\p{L}\p{N}]+/gu) || []).map(segment => ({
+      segment,
+      isWord: /[\p{L}\p{N}]/u.test(segment)
+    }));
+
+  segments.forEach(({ segment, isWord }) => {
+    if (isWord) {
+      runs[runs.length - 1].push(segment);
+    } else if (!/^[ \t]+$/.test(segment)) {
+      runs.push([]);
+    }
+  });
+
+  return runs.filter(run => run.length > 0);
+}
+
+// Proper-name-looking word: "Rust", "OpenAI", "NASA" (not "the", not "3D")
+function isCapitalized(word) {
+  return /^\p{Lu}[\p{L}\p{N}]*$/u.test(word) && /\p{Ll}|^\p{Lu}{2,6}$/u.test(word);
+}
+
+// Function to join words into a phrase; Chinese and Japanese words are written without spaces
+function joinTopicWords(words) {
+  const spaceless = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+  return words.reduce((phrase, word) =>
+    spaceless.test(phrase.slice(-1)) && spaceless.test(word[0]) ? phrase + word : `${phrase} ${word}`);
+}
+
+// Function to count a page's candidate terms: words, two-word phrases and capitalized names
+function extractTopicTerms(record) {
+  const content = record.content || {};
+  const language = content.language || record.language || '';
+  const terms = new Map();
+
+  const addTerm = (words, weight, { entity = false } = {}) => {
+    const label = joinTopicWords(words);
+    const key = label.toLocaleLowerCase();
+    if (!terms.has(key)) {
+      terms.set(key, { weight: 0, labels: new Map(), entity: false, phrase: words.length > 1 });
+    }
+    const term = terms.get(key);
+    term.weight += weight;
+    term.entity = term.entity || entity;
+    term.labels.set(label, (term.labels.get(label) || 0) + 1);
+  };
+
+  const sources = {
+    title: record.title || content.title || '',
+    headings: Array.isArray(content.headings) ? content.headings.join('\n') : '',
+    metaDescription: content.metaDescription || '',
+    bodyText: content.bodyText || ''
+  };
+
+  Object.entries(sources).forEach(([field, text]) => {
+    const fieldWeight = TOPIC_FIELD_WEIGHTS[field];
+
+    getWordRuns(text, language).forEach(run => {
+      run.forEach((word, i) => {
+        const lower = word.toLocaleLowerCase();
+        if (!isTopicWord(lower)) {
+          return;
+        }
+        // A capitalized word that starts a sentence says nothing about it being a name
+        addTerm([word], fieldWeight, { entity: i > 0 && isCapitalized(word) });
+
+        const next = run[i + 1];
+        if (next && isTopicWord(next.toLocaleLowerCase())) {
+          addTerm([word, next], fieldWeight);
+        }
+      });
+
+      // Runs of two to four capitalized words are names: "Visual Studio Code", "New York Times"
+      let start = 0;
+      for (let i = 0; i <= run.length; i++) {
+        if (i < run.length && isCapitalized(run[i])) {
+          continue;
+        }
+        // "The Rust Foundation" is about "Rust Foundation" (but "New York" keeps its "New")
+        while (start < i && SUMMARY_STOPWORDS.has(run[start].toLocaleLowerCase())) {
+          start++;
+        }
+        const name = run.slice(start, i);
+        if (name.length >= 2 && name.length <= 4) {
+          // Two-word names were already counted as a phrase above; just mark them as names
+          const counted = name.length === 2 && name.every(word => isTopicWord(word.toLocaleLowerCase()));
+          addTerm(name, counted ? 0 : fieldWeight, { entity: true });
+        }
+        start = i + 1;
+      }
+    });
+  });
+
+  // Most common spelling wins ("JavaScript" over "javascript")
+  terms.forEach(term => {
+    term.label = Array.from(term.labels.entries()).sort((a, b) => b[1] - a[1])[0][0];
+    delete term.labels;
+  });
+
+  return terms;
+}
+
+// Function to get a tab's candidate terms, reusing the last count while the page is unchanged
+function getTopicTerms(record) {
+  const fingerprint = record.analysisFingerprint || record.url;
+  const cached = topicTermCache.get(record.id);
+  if (cached && cached.fingerprint === fingerprint) {
+    return cached.terms;
+  }
+
+  const terms = extractTopicTerms(record);
+  topicTermCache.set(record.id, { fingerprint, terms });
+  return terms;
+}
+
+// Function to pick each tab's topics by TF-IDF over all open tabs
+// Returns { tabId: [topic, ...] }
+function computeTopics() {
+  const records = Object.values(tabData).filter(record => record.content && record.analysisFingerprint);
+  const termsByTab = new Map(records.map(record => [record.id, getTopicTerms(record)]));
+
+  // Forget tabs that are gone
+  topicTermCache.forEach((_, tabId) => {
+    if (!tabData[tabId]) {
+      topicTermCache.delete(tabId);
+    }
+  });
+
+  const documentFrequency = new Map();
+  termsByTab.forEach(terms => {
+    terms.forEach((_, key) => {
+      documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1);
+    });
+  });
+
+  const tabCount = records.length;
+  const topics = {};
+
+  termsByTab.forEach((terms, tabId) => {
+    const scored = [];
+    terms.forEach((term, key) => {
+      const frequency = documentFrequency.get(key);
+      // With a few tabs open, a term on every one of them is boilerplate
+      if (term.weight < TOPIC_MIN_WEIGHT || (tabCount >= 3 && frequency === tabCount)) {
+        return;
+      }
+
+      const idf = Math.log((1 + tabCount) / (1 + frequency)) + 1;
+      let score = (1 + Math.log(term.weight)) * idf;
+      if (term.phrase) {
+        score *= TOPIC_PHRASE_BONUS;
+      }
+      if (term.entity) {
+        score *= TOPIC_ENTITY_BONUS;
+      }
+      scored.push({ key, label: term.label, score });
+    });
+
+    // Best first, skipping words already covered by a chosen phrase (and the other way round)
+    const chosen = [];
+    scored.sort((a, b) => b.score - a.score);
+    for (const candidate of scored) {
+      if (chosen.length >= TOPICS_PER_TAB) {
+        break;
+      }
+      const overlaps = chosen.some(topic =>
+        ` ${topic.key} `.includes(` ${candidate.key} `) || ` ${candidate.key} `.includes(` ${topic.key} `));
+      if (!overlaps) {
+        chosen.push(candidate);
+      }
+    }
+
+    topics[tabId] = chosen.map(topic => topic.label);
+  });
+
+  return topics;
+}
+
+// Function to recompute every tab's topics and tell open UIs about the ones that changed
+function refreshTopics() {
+  clearTimeout(topicRefreshTimeout);
+  topicRefreshTimeout = null;
+
+  const topics = computeTopics();
+  const changedTabIds = Object.keys(topics).filter(tabId =>
+    tabData[tabId] && JSON.stringify(tabData[tabId].topics) !== JSON.stringify(topics[tabId]));
+
+  if (changedTabIds.length === 0) {
+    return;
+  }
+
+  changedTabIds.forEach(tabId => {
+    tabData[tabId].topics = topics[tabId];
+  });
+  queueTabDataSave();
+
+  // One analyzed page can shift the weights of every other tab
+  if (changedTabIds.length <= 3) {
+    changedTabIds.forEach(tabId => broadcastTabChange('tabUpdated', parseInt(tabId)));
+  } else {
+    broadcastTabSnapshot();
+  }
+}
+
+// Function to recompute topics soon; analyses that finish together are handled in one pass
+function scheduleTopicRefresh() {
+  clearTimeout(topicRefreshTimeout);
+  topicRefreshTimeout = setTimeout(refreshTopics, TOPIC_REFRESH_DELAY);
+}
@@ -0,0 +1,46 @@
+// Change messages from the background to open UIs (popup and side panel)
+// Single-tab changes go out as tabAdded / tabUpdated / tabRemoved deltas; bulk changes as a
+// tabSnapshot. Every message carries the worker's epoch and a sequence number, so a UI that
+// misses a message (or sees a new epoch after the worker restarted) asks for a snapshot.
+
+const uiSyncEpoch = Date.now();
+let uiSyncSequence = 0;
+
+// Records sent to UIs leave out the extracted page content, which is by far the largest part
+function toUiRecord(record) {
+  const { content, ...rest } = record;
+  return rest;
+}
+
+function getUiTabData() {
+  const uiTabData = {};
+  Object.values(tabData).forEach(record => {
+    uiTabData[record.id] = toUiRecord(record);
+  });
+  return uiTabData;
+}
+
+// Function to tell open UIs that one tab was added, changed or removed
+function broadcastTabChange(action, tabId) {
+  if (action !== 'tabRemoved' && !tabData[tabId]) {
+    return;
+  }
+
+  uiSyncSequence++;
+  const message = { action, epoch: uiSyncEpoch, seq: uiSyncSequence, tabId };
+  if (action !== 'tabRemoved') {
+    message.tab = toUiRecord(tabData[tabId]);
+  }
+  sendMessageToPopupIfOpen(message);
+}
+
+// Function to send the whole tab list after bulk changes (status 'complete' ends an analysis run)
+function broadcastTabSnapshot(status) {
+  uiSyncSequence++;
+  sendMessageToPopupIfOpen({ action: "tabSnapshot", ...getTabSnapshot(), status });
+}
+
+// Current state for a UI that is (re)connecting
+function getTabSnapshot() {
+  return { epoch: uiSyncEpoch, seq: uiSyncSequence, tabData: getUiTabData() };
+}
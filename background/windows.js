@@ -0,0 +1,133 @@
+// Window awareness: each tab record keeps its windowId and index, and tabs or whole categories
+// can be moved between windows or consolidated into one window per category
+
+const TAB_POSITIONS_REFRESH_DELAY = 300;
+
+let tabPositionsTimeout = null;
+
+// Function to copy live windowId/index onto the records; returns the ids of records that changed
+function updateTabPositions(liveTabs) {
+  const changedTabIds = [];
+  liveTabs.forEach(tab => {
+    const record = tabData[tab.id];
+    if (record && (record.windowId !== tab.windowId || record.index !== tab.index)) {
+      record.windowId = tab.windowId;
+      record.index = tab.index;
+      changedTabIds.push(tab.id);
+    }
+  });
+  return changedTabIds;
+}
+
+// Function to re-read every tab's position after tabs moved, opened or closed
+async function refreshTabPositions() {
+  tabPositionsTimeout = null;
+  try {
+    const changedTabIds = updateTabPositions(await chrome.tabs.query({}));
+    if (changedTabIds.length === 0) {
+      return;
+    }
+
+    queueTabDataSave();
+    // Dragging a tab shifts the index of every tab after it
+    if (changedTabIds.length <= 3) {
+      changedTabIds.forEach(tabId => broadcastTabChange('tabUpdated', tabId));
+    } else {
+      broadcastTabSnapshot();
+    }
+  } catch (error) {
+    console.error('Error updating tab positions:', error);
+  }
+}
+
+// Moves come in bursts (one event per tab); read the positions once they settle
+function scheduleTabPositionsRefresh() {
+  clearTimeout(tabPositionsTimeout);
+  tabPositionsTimeout = setTimeout(refreshTabPositions, TAB_POSITIONS_REFRESH_DELAY);
+}
+
+// Function to move tabs to a window ('new' opens one); returns the target window id
+async function moveTabsToWindow(tabIds, windowId) {
+  if (tabIds.length === 0) {
+    throw new Error('No tabs to move');
+  }
+
+  if (windowId === 'new') {
+    const window = await chrome.windows.create({ tabId: tabIds[0], focused: true });
+    if (tabIds.length > 1) {
+      await chrome.tabs.move(tabIds.slice(1), { windowId: window.id, index: -1 });
+    }
+    return { windowId: window.id };
+  }
+
+  await chrome.tabs.move(tabIds, { windowId, index: -1 });
+  return { windowId };
+}
+
+// Function to move every open tab of a category to a window ('new' opens one)
+async function moveCategoryToWindow(category, windowId) {
+  const liveTabs = await chrome.tabs.query({});
+  const tabIds = liveTabs
+    .filter(tab => tabData[tab.id] && tabData[tab.id].category === category)
+    .map(tab => tab.id);
+  const result = await moveTabsToWindow(tabIds, windowId);
+  return { ...result, moved: tabIds.length };
+}
+
+// Function to rearrange normal windows so that each category has one window
+// A category keeps the window that already holds most of its tabs (if no bigger category
+// claimed it first); the others get new windows. Pinned tabs stay where they are.
+async function consolidateWindowsByCategory() {
+  if (Object.keys(tabData).length === 0) {
+    await loadSavedData();
+  }
+
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  const tabsByCategory = new Map();
+  windows.filter(window => !window.incognito).forEach(window => {
+    window.tabs.filter(tab => !tab.pinned).forEach(tab => {
+      const category = tabData[tab.id] ? tabData[tab.id].category : 'Uncategorized';
+      if (!tabsByCategory.has(category)) {
+        tabsByCategory.set(category, []);
+      }
+      tabsByCategory.get(category).push(tab);
+    });
+  });
+
+  // Biggest categories choose their window first
+  const categoriesBySize = Array.from(tabsByCategory.keys())
+    .sort((a, b) => tabsByCategory.get(b).length - tabsByCategory.get(a).length);
+  const claimedWindows = new Set();
+  let moved = 0;
+  let windowsCreated = 0;
+
+  for (const category of categoriesBySize) {
+    const tabs = tabsByCategory.get(category);
+    const counts = new Map();
+    tabs.forEach(tab => counts.set(tab.windowId, (counts.get(tab.windowId) || 0) + 1));
+    const home = Array.from(counts.entries())
+      .filter(([windowId]) => !claimedWindows.has(windowId))
+      .sort((a, b) => b[1] - a[1])[0];
+
+    const strays = tabs.filter(tab => !home || tab.windowId !== home[0]).map(tab => tab.id);
+    if (strays.length === 0) {
+      claimedWindows.add(home[0]);
+      continue;
+    }
+
+    const { windowId } = await moveTabsToWindow(strays, home ? home[0] : 'new');
+    claimedWindows.add(windowId);
+    moved += strays.length;
+    if (!home) {
+      windowsCreated++;
+    }
+  }
+
+  return { moved, windowsCreated, categories: categoriesBySize.length };
+}
+
+// Keep positions current as tabs move within and between windows
+chrome.tabs.onMoved.addListener(scheduleTabPositionsRefresh);
+chrome.tabs.onAttached.addListener(scheduleTabPositionsRefresh);
+chrome.tabs.onCreated.addListener(scheduleTabPositionsRefresh);
+chrome.tabs.onRemoved.addListener(scheduleTabPositionsRefresh);
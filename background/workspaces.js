@@ -0,0 +1,220 @@
+// Named workspaces: saved sets of tabs that can be restored later
+// Stored under their own key so they survive the pruning in loadSavedData()
+
+async function getWorkspaces() {
+  const result = await chrome.storage.local.get('workspaces');
+  return Array.isArray(result.workspaces) ? result.workspaces : [];
+}
+
+async function saveWorkspaces(workspaces) {
+  await chrome.storage.local.set({ workspaces });
+}
+
+function createWorkspaceId() {
+  return `ws-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Query the live tabs for a scope: { type: 'window', windowId } | { type: 'category', category } | { type: 'tabs', tabIds }
+async function queryTabsForScope(scope) {
+  let tabs;
+
+  if (scope.type === 'window') {
+    tabs = await chrome.tabs.query({ windowId: scope.windowId });
+  } else if (scope.type === 'category') {
+    const allTabs = await chrome.tabs.query({});
+    tabs = allTabs.filter(tab => tabData[tab.id] && tabData[tab.id].category === scope.category);
+  } else if (scope.type === 'tabs') {
+    const wanted = new Set(scope.tabIds || []);
+    const allTabs = await chrome.tabs.query({});
+    tabs = allTabs.filter(tab => wanted.has(tab.id));
+  } else {
+    throw new Error(`Unknown workspace scope "${scope.type}"`);
+  }
+
+  // Keep the tab strip order
+  return tabs.sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index));
+}
+
+// Snapshot the fields a workspace keeps for each tab
+function toWorkspaceTab(tab) {
+  const data = tabData[tab.id] || {};
+  return {
+    url: tab.url || tab.pendingUrl,
+    title: tab.title || data.title || '',
+    pinned: Boolean(tab.pinned),
+    category: data.category || 'Uncategorized',
+    summary: data.summary || '',
+    topics: data.topics || []
+  };
+}
+
+function isRestorableUrl(url) {
+  return Boolean(url) && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://');
+}
+
+// Save a scope as a new named workspace, optionally closing its tabs
+async function saveWorkspace({ name, scope, closeTabs }) {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) {
+    throw new Error('Workspace name is required');
+  }
+
+  const tabs = (await queryTabsForScope(scope)).filter(tab => isRestorableUrl(tab.url));
+  if (tabs.length === 0) {
+    throw new Error('No tabs to save in this workspace');
+  }
+
+  const now = Date.now();
+  const workspace = {
+    id: createWorkspaceId(),
+    name: trimmedName,
+    scope: scope.type === 'tabs' ? { type: 'tabs' } : scope,
+    createdAt: now,
+    updatedAt: now,
+    tabs: tabs.map(toWorkspaceTab)
+  };
+
+  const workspaces = await getWorkspaces();
+  workspaces.push(workspace);
+  await saveWorkspaces(workspaces);
+
+  if (closeTabs) {
+    await chrome.tabs.remove(tabs.map(tab => tab.id));
+  }
+
+  return workspace;
+}
+
+// Save a list of { url, title, pinned, category } entries as a workspace (e.g. from an import)
+async function createWorkspaceFromEntries(name, entries) {
+  const trimmedName = (name || '').trim();
+  const tabs = (entries || [])
+    .filter(entry => isRestorableUrl(entry.url))
+    .map(entry => ({
+      url: entry.url,
+      title: entry.title || entry.url,
+      pinned: Boolean(entry.pinned),
+      category: entry.category || 'Uncategorized',
+      summary: entry.summary || '',
+      topics: entry.topics || []
+    }));
+
+  if (!trimmedName || tabs.length === 0) {
+    throw new Error('A workspace needs a name and at least one tab');
+  }
+
+  const now = Date.now();
+  const workspace = {
+    id: createWorkspaceId(),
+    name: trimmedName,
+    scope: { type: 'tabs' },
+    createdAt: now,
+    updatedAt: now,
+    tabs
+  };
+
+  const workspaces = await getWorkspaces();
+  workspaces.push(workspace);
+  await saveWorkspaces(workspaces);
+  return workspace;
+}
+
+async function renameWorkspace(id, name) {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) {
+    throw new Error('Workspace name is required');
+  }
+
+  const workspaces = await getWorkspaces();
+  const workspace = workspaces.find(ws => ws.id === id);
+  if (!workspace) {
+    throw new Error('Workspace not found');
+  }
+
+  workspace.name = trimmedName;
+  workspace.updatedAt = Date.now();
+  await saveWorkspaces(workspaces);
+  return workspace;
+}
+
+// Replace a workspace's tabs with the current tabs of the given scope
+async function updateWorkspace(id, scope) {
+  const workspaces = await getWorkspaces();
+  const workspace = workspaces.find(ws => ws.id === id);
+  if (!workspace) {
+    throw new Error('Workspace not found');
+  }
+
+  const tabs = (await queryTabsForScope(scope)).filter(tab => isRestorableUrl(tab.url));
+  if (tabs.length === 0) {
+    throw new Error('No tabs to save in this workspace');
+  }
+
+  workspace.tabs = tabs.map(toWorkspaceTab);
+  workspace.scope = scope.type === 'tabs' ? { type: 'tabs' } : scope;
+  workspace.updatedAt = Date.now();
+  await saveWorkspaces(workspaces);
+  return workspace;
+}
+
+async function deleteWorkspace(id) {
+  const workspaces = await getWorkspaces();
+  await saveWorkspaces(workspaces.filter(ws => ws.id !== id));
+}
+
+// Open a list of workspace-style tab entries in a new window
+// Pinned tabs go first, as Chrome requires; the rest keep their saved order
+async function openTabsInNewWindow(entries) {
+  const restorable = entries.filter(entry => isRestorableUrl(entry.url));
+  if (restorable.length === 0) {
+    throw new Error('Nothing to restore');
+  }
+
+  const ordered = [
+    ...restorable.filter(entry => entry.pinned),
+    ...restorable.filter(entry => !entry.pinned)
+  ];
+
+  const urls = ordered.map(entry => entry.url);
+  const window = await openExtensionTabs(urls, () => chrome.windows.create({ url: urls, focused: true }));
+
+  const createdTabs = window.tabs || await chrome.tabs.query({ windowId: window.id });
+  const now = new Date().getTime();
+
+  for (let i = 0; i < createdTabs.length && i < ordered.length; i++) {
+    const tab = createdTabs[i];
+    const entry = ordered[i];
+
+    if (entry.pinned) {
+      await chrome.tabs.update(tab.id, { pinned: true });
+    }
+
+    // Seed the record so the saved category shows before analysis finishes
+    tabData[tab.id] = {
+      id: tab.id,
+      url: entry.url,
+      title: entry.title,
+      category: entry.category || 'Uncategorized',
+      summary: entry.summary || entry.title || "No summary available",
+      topics: entry.topics || [],
+      windowId: tab.windowId,
+      index: tab.index,
+      lastAccessed: now,
+      content: { title: entry.title, metaDescription: "", bodyText: "" }
+    };
+  }
+
+  queueTabDataSave();
+  return window;
+}
+
+async function restoreWorkspace(id) {
+  const workspaces = await getWorkspaces();
+  const workspace = workspaces.find(ws => ws.id === id);
+  if (!workspace) {
+    throw new Error('Workspace not found');
+  }
+
+  const window = await openTabsInNewWindow(workspace.tabs);
+  return { windowId: window.id };
+}
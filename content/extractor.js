@@ -0,0 +1,410 @@
+// Main content extraction for analysis, in the spirit of Readability
+// Paragraph-like blocks score their parent and grandparent by length and commas; the best
+// candidate (scaled down by its link density) plus any strong siblings is the article. Navigation,
+// footers, ads, cookie banners and other boilerplate are left out of both scoring and text.
+//
+// Loaded as a content script and injected again by the background before each analysis, so it
+// only uses `var` and function declarations, which may be declared twice in the same page.
+
+// Long enough for full-text search to find things further down the page; the text is kept in
+// IndexedDB with the rest of the page content, never in chrome.storage.local (background/tab-store.js)
+var EXTRACTOR_MAX_TEXT_LENGTH = 10000;
+var EXTRACTOR_MAX_HEADINGS = 20;
+var EXTRACTOR_MIN_PARAGRAPH_LENGTH = 25;
+var EXTRACTOR_MIN_ARTICLE_LENGTH = 250;
+var EXTRACTOR_WORDS_PER_MINUTE = 230;
+
+// Elements that never hold article text
+var EXTRACTOR_SKIP_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'button', 'select',
+  'input', 'textarea', 'form', 'nav', 'footer', 'aside', 'dialog',
+  '[hidden]', '[aria-hidden="true"]', '[aria-modal="true"]',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[role="dialog"]', '[role="alertdialog"]', '[role="menu"]', '[role="search"]'
+].join(', ');
+
+// Class or id words of boilerplate blocks
+var EXTRACTOR_NEGATIVE_PATTERN = /(^|[\s_-])(ads?|adv|advert\w*|banner|breadcrumbs?|comments?|consent|cookies?|disqus|footer|gdpr|masthead|menu|modal|nav\w*|newsletter|outbrain|overlay|popup|promo\w*|related|share|sharing|sidebar|social|sponsor\w*|subscribe|taboola|toolbar|widget)($|[\s_-])/i;
+
+// Class or id words of likely content blocks
+var EXTRACTOR_POSITIVE_PATTERN = /(^|[\s_-])(article|body|content|entry|main|page|post|story|text|blog)($|[\s_-])/i;
+
+var EXTRACTOR_BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION',
+  'TABLE', 'TD', 'TH', 'TR', 'UL'
+]);
+
+// Schema.org types that describe the page's main item, most specific first
+var EXTRACTOR_ARTICLE_TYPES = [
+  'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report', 'Article',
+  'Recipe', 'Product', 'VideoObject', 'WebPage'
+];
+
+// Function to extract the page's main text and metadata for the background's analysis
+function extractPageContent() {
+  const metadata = {
+    openGraph: getOpenGraphMetadata(),
+    jsonLd: getJsonLdMetadata()
+  };
+
+  const articleElements = findArticleElements();
+  const fullText = articleElements.map(getCleanText).filter(Boolean).join('\n\n');
+  const wordCount = countWords(fullText);
+
+  return {
+    title: document.title,
+    metaDescription: getMetaContent('description') || metadata.openGraph.description ||
+      metadata.jsonLd.description || '',
+    bodyText: fullText.substring(0, EXTRACTOR_MAX_TEXT_LENGTH),
+    headings: getHeadings(articleElements),
+    byline: getByline(metadata),
+    publishedAt: getPublishedDate(metadata, articleElements),
+    language: getPageLanguage(metadata),
+    siteName: metadata.openGraph.site_name || metadata.jsonLd.publisher || '',
+    wordCount,
+    readingTime: wordCount > 0 ? Math.max(1, Math.round(wordCount / EXTRACTOR_WORDS_PER_MINUTE)) : 0,
+    metadata
+  };
+}
+
+function getClassAndId(element) {
+  return `${typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+}
+
+// Function to check whether an element is navigation, ads or other boilerplate
+function isBoilerplate(element) {
+  if (element.matches(EXTRACTOR_SKIP_SELECTOR)) {
+    return true;
+  }
+
+  // A site header is boilerplate; an article's own header holds its title and byline
+  if (element.tagName === 'HEADER' && !element.closest('article')) {
+    return true;
+  }
+
+  const style = element.getAttribute('style') || '';
+  if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(style)) {
+    return true;
+  }
+
+  const names = getClassAndId(element);
+  return EXTRACTOR_NEGATIVE_PATTERN.test(names) && !EXTRACTOR_POSITIVE_PATTERN.test(names);
+}
+
+function isInsideBoilerplate(element) {
+  for (let node = element; node && node !== document.body; node = node.parentElement) {
+    if (isBoilerplate(node)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function normalizeWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function countWords(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu);
+  return words ? words.length : 0;
+}
+
+// Share of an element's text that is link text
+function getLinkDensity(element) {
+  const textLength = normalizeWhitespace(element.textContent).length;
+  if (textLength === 0) {
+    return 0;
+  }
+
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += normalizeWhitespace(link.textContent).length;
+  });
+  return Math.min(1, linkLength / textLength);
+}
+
+// Starting score of a candidate container from its tag and class names
+function getBaseScore(element) {
+  let score = 0;
+  const names = getClassAndId(element);
+  if (EXTRACTOR_POSITIVE_PATTERN.test(names)) {
+    score += 25;
+  }
+  if (EXTRACTOR_NEGATIVE_PATTERN.test(names)) {
+    score -= 25;
+  }
+
+  switch (element.tagName) {
+    case 'ARTICLE':
+    case 'MAIN':
+      score += 10;
+      break;
+    case 'DIV':
+    case 'SECTION':
+      score += 5;
+      break;
+    case 'PRE':
+    case 'TD':
+    case 'BLOCKQUOTE':
+      score += 3;
+      break;
+    case 'OL':
+    case 'UL':
+    case 'DL':
+    case 'FORM':
+      score -= 3;
+      break;
+  }
+  return score;
+}
+
+// Function to find the elements that make up the main content
+// Falls back to the whole body when nothing scores well (e.g. app-like pages)
+function findArticleElements() {
+  const body = document.body;
+  if (!body) {
+    return [];
+  }
+
+  const scores = new Map();
+  const addScore = (element, points) => {
+    if (!element || element === document.documentElement) {
+      return;
+    }
+    if (!scores.has(element)) {
+      scores.set(element, getBaseScore(element));
+    }
+    scores.set(element, scores.get(element) + points);
+  };
+
+  // Paragraphs, plus divs that hold text directly instead of wrapping it in <p>
+  const paragraphs = Array.from(body.querySelectorAll('p, pre, blockquote, td, div'))
+    .filter(element => element.tagName !== 'DIV' || !element.querySelector('p, div, pre, blockquote, table, ul, ol'));
+
+  paragraphs.forEach(paragraph => {
+    const text = normalizeWhitespace(paragraph.textContent);
+    if (text.length < EXTRACTOR_MIN_PARAGRAPH_LENGTH || isInsideBoilerplate(paragraph)) {
+      return;
+    }
+
+    const commas = (text.match(/[,，、]/g) || []).length;
+    const points = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parentElement, points);
+    if (paragraph.parentElement) {
+      addScore(paragraph.parentElement.parentElement, points / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    const finalScore = score * (1 - getLinkDensity(element));
+    scores.set(element, finalScore);
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  });
+
+  if (!best || normalizeWhitespace(best.textContent).length < EXTRACTOR_MIN_ARTICLE_LENGTH) {
+    return [body];
+  }
+
+  // Articles split into several containers: keep siblings that score well or read like prose
+  const threshold = Math.max(10, bestScore * 0.2);
+  const siblings = best.parentElement ? Array.from(best.parentElement.children) : [best];
+  return siblings.filter(sibling => {
+    if (sibling === best) {
+      return true;
+    }
+    if (isBoilerplate(sibling)) {
+      return false;
+    }
+    if ((scores.get(sibling) || 0) >= threshold) {
+      return true;
+    }
+    const text = normalizeWhitespace(sibling.textContent);
+    return sibling.tagName === 'P' && text.length > 80 && getLinkDensity(sibling) < 0.25;
+  });
+}
+
+// Function to get an element's readable text, skipping boilerplate and keeping paragraph breaks
+function getCleanText(root) {
+  const parts = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      if (node.nodeType === Node.ELEMENT_NODE && node !== root && isBoilerplate(node)) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  for (let node = walker.currentNode; node; node = walker.nextNode()) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      parts.push(node.nodeValue);
+    } else if (EXTRACTOR_BLOCK_TAGS.has(node.tagName)) {
+      parts.push('\n');
+    }
+  }
+
+  return parts.join('')
+    .split('\n')
+    .map(normalizeWhitespace)
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Headings of the main content, falling back to the whole page
+function getHeadings(articleElements) {
+  const fromArticle = [];
+  articleElements.forEach(element => {
+    element.querySelectorAll('h1, h2, h3').forEach(heading => fromArticle.push(heading));
+  });
+
+  const headings = fromArticle.length > 0
+    ? fromArticle
+    : Array.from(document.querySelectorAll('h1, h2, h3')).filter(heading => !isInsideBoilerplate(heading));
+
+  // The page's main h1 usually sits just above the article container
+  const mainHeading = document.querySelector('h1');
+  if (mainHeading && !headings.includes(mainHeading) && !isInsideBoilerplate(mainHeading)) {
+    headings.unshift(mainHeading);
+  }
+
+  return headings
+    .map(heading => normalizeWhitespace(heading.textContent))
+    .filter(Boolean)
+    .slice(0, EXTRACTOR_MAX_HEADINGS);
+}
+
+function getMetaContent(name) {
+  const meta = document.querySelector(`meta[name="${name}" i], meta[property="${name}" i]`);
+  return meta ? normalizeWhitespace(meta.getAttribute('content')) : '';
+}
+
+// Function to read the og:* (and article:*) meta tags, e.g. { title, site_name, published_time }
+function getOpenGraphMetadata() {
+  const openGraph = {};
+  document.querySelectorAll('meta[property^="og:"], meta[property^="article:"]').forEach(meta => {
+    const key = meta.getAttribute('property').replace(/^og:/, '').replace(':', '_');
+    const value = normalizeWhitespace(meta.getAttribute('content'));
+    if (value && !openGraph[key]) {
+      openGraph[key] = value;
+    }
+  });
+  return openGraph;
+}
+
+// Names from a schema.org author/publisher value (a string, a Person, or a list of them)
+function getJsonLdNames(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .map(item => typeof item === 'string' ? item : item && item.name)
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim());
+}
+
+// Function to read the page's main schema.org item from its JSON-LD scripts
+function getJsonLdMetadata() {
+  const items = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      items.push(value);
+      if (value['@graph']) {
+        collect(value['@graph']);
+      }
+    }
+  };
+
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collect(JSON.parse(script.textContent));
+    } catch (e) {
+      // Broken JSON-LD is common; ignore it
+    }
+  });
+
+  const typeRank = (item) => {
+    const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
+    const ranks = types.map(type => EXTRACTOR_ARTICLE_TYPES.indexOf(type)).filter(rank => rank !== -1);
+    return ranks.length > 0 ? Math.min(...ranks) : Infinity;
+  };
+  const main = items
+    .filter(item => typeRank(item) !== Infinity)
+    .sort((a, b) => typeRank(a) - typeRank(b))[0];
+
+  if (!main) {
+    return {};
+  }
+
+  const keywords = Array.isArray(main.keywords)
+    ? main.keywords
+    : String(main.keywords || '').split(',');
+
+  return {
+    type: Array.isArray(main['@type']) ? main['@type'][0] : main['@type'],
+    headline: normalizeWhitespace(main.headline || main.name),
+    description: normalizeWhitespace(main.description),
+    author: getJsonLdNames(main.author).join(', '),
+    publisher: getJsonLdNames(main.publisher).join(', '),
+    datePublished: main.datePublished || '',
+    dateModified: main.dateModified || '',
+    keywords: keywords.map(normalizeWhitespace).filter(Boolean)
+  };
+}
+
+// Function to find who wrote the page
+function getByline({ openGraph, jsonLd }) {
+  const candidates = [
+    jsonLd.author,
+    getMetaContent('author'),
+    openGraph.article_author,
+    (() => {
+      const element = document.querySelector('[rel="author"], [itemprop="author"], .byline, .author, .post-author');
+      return element ? normalizeWhitespace(element.textContent) : '';
+    })()
+  ];
+
+  // Skip profile URLs and blocks of text that merely have an "author" class
+  const byline = candidates.find(candidate =>
+    candidate && !/^https?:\/\//i.test(candidate) && candidate.length <= 100);
+  return byline ? byline.replace(/^by\s+/i, '') : '';
+}
+
+// Function to find when the page was published, as an ISO string ('' when unknown)
+function getPublishedDate({ openGraph, jsonLd }, articleElements) {
+  const timeElement = articleElements
+    .map(element => element.querySelector('time[datetime]'))
+    .find(Boolean) || document.querySelector('time[datetime]');
+
+  const candidates = [
+    jsonLd.datePublished,
+    openGraph.article_published_time,
+    getMetaContent('date'),
+    getMetaContent('pubdate'),
+    getMetaContent('publish-date'),
+    getMetaContent('dc.date'),
+    timeElement ? timeElement.getAttribute('datetime') : ''
+  ];
+
+  for (const candidate of candidates) {
+    const date = candidate ? new Date(candidate) : null;
+    if (date && !isNaN(date.getTime())) {
+      return date.toISOString();
+    }
+  }
+  return '';
+}
+
+// Function to find the page's language code (e.g. "en-US")
+function getPageLanguage({ openGraph }) {
+  const httpEquiv = document.querySelector('meta[http-equiv="content-language" i]');
+  const language = document.documentElement.lang ||
+    (httpEquiv && httpEquiv.getAttribute('content')) ||
+    (openGraph.locale || '').replace('_', '-');
+  return normalizeWhitespace(language).split(/[\s,]/)[0];
+}
@@ -0,0 +1,265 @@
+// Time dashboard: charts of active browsing time by day, domain and category
+
+// Daily buckets and per-tab totals from the background
+let timeStats = { days: {}, tabs: [] };
+
+const DAILY_CHART_DAYS = 14;
+
+// Tabs open this long with less attention than IGNORED_MAX_MS count as "never looked at"
+const IGNORED_MIN_OPEN_MS = 24 * 60 * 60 * 1000;
+const IGNORED_MAX_MS = 60 * 1000;
+
+// Function to show a short status message
+function showStatus(text, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.className = isError ? 'status error' : 'status';
+  status.hidden = false;
+
+  clearTimeout(showStatus.timeoutId);
+  showStatus.timeoutId = setTimeout(() => {
+    status.hidden = true;
+  }, 3000);
+}
+
+// Local date key (YYYY-MM-DD), matching the background's buckets
+function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Day keys for the last `count` days, oldest first
+// Steps by calendar day: around a DST change a day isn't 24 hours long
+function getRecentDayKeys(count) {
+  const keys = [];
+  const date = new Date();
+  for (let i = 0; i < count; i++) {
+    keys.unshift(getDayKey(date.getTime()));
+    date.setDate(date.getDate() - 1);
+  }
+  return keys;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// Function to draw the daily totals as a bar chart
+function drawDailyChart() {
+  const canvas = document.getElementById('daily-chart');
+  const context = canvas.getContext('2d');
+
+  // Draw at device resolution so the chart stays sharp
+  const scale = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  context.scale(scale, scale);
+  context.clearRect(0, 0, width, height);
+
+  const styles = getComputedStyle(document.documentElement);
+  const barColor = styles.getPropertyValue('--primary-color').trim() || '#7c3aed';
+  const textColor = styles.getPropertyValue('--text-secondary').trim() || '#6b7280';
+  const gridColor = styles.getPropertyValue('--border').trim() || '#e5e7eb';
+
+  const keys = getRecentDayKeys(DAILY_CHART_DAYS);
+  const totals = keys.map(key => (timeStats.days[key] ? timeStats.days[key].total : 0));
+  const max = Math.max(...totals, 60 * 60 * 1000);
+
+  const padding = { top: 16, right: 8, bottom: 28, left: 48 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+  const slot = chartWidth / keys.length;
+
+  context.font = '11px sans-serif';
+  context.textBaseline = 'middle';
+
+  // Horizontal grid lines with hour labels
+  const gridSteps = 4;
+  for (let i = 0; i <= gridSteps; i++) {
+    const y = padding.top + chartHeight - (chartHeight * i) / gridSteps;
+    context.strokeStyle = gridColor;
+    context.beginPath();
+    context.moveTo(padding.left, y);
+    context.lineTo(width - padding.right, y);
+    context.stroke();
+
+    context.fillStyle = textColor;
+    context.textAlign = 'right';
+    context.fillText(formatDuration((max * i) / gridSteps), padding.left - 6, y);
+  }
+
+  // One bar per day
+  totals.forEach((total, index) => {
+    const barHeight = (total / max) * chartHeight;
+    const x = padding.left + index * slot + slot * 0.2;
+    const y = padding.top + chartHeight - barHeight;
+
+    context.fillStyle = barColor;
+    context.fillRect(x, y, slot * 0.6, barHeight);
+
+    const date = new Date(`${keys[index]}T00:00:00`);
+    context.fillStyle = textColor;
+    context.textAlign = 'center';
+    context.fillText(`${date.getDate()}/${date.getMonth() + 1}`, x + slot * 0.3, height - padding.bottom / 2);
+  });
+}
+
+// Sum domain or category totals over the last `dayCount` days
+function sumBreakdown(field, dayCount) {
+  const totals = {};
+  getRecentDayKeys(dayCount).forEach(key => {
+    const day = timeStats.days[key];
+    if (!day) {
+      return;
+    }
+    Object.entries(day[field]).forEach(([name, ms]) => {
+      totals[name] = (totals[name] || 0) + ms;
+    });
+  });
+  return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+}
+
+// Function to render a ranked list of horizontal bars
+function renderBreakdown(containerId, entries) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="empty-state">No time recorded yet.</div>';
+    return;
+  }
+
+  const max = entries[0][1];
+  entries.slice(0, 10).forEach(([name, ms]) => {
+    const row = document.createElement('div');
+    row.className = 'bar-row';
+
+    const label = document.createElement('span');
+    label.className = 'bar-label';
+    label.textContent = name;
+    label.title = name;
+
+    const value = document.createElement('span');
+    value.className = 'bar-value';
+    value.textContent = formatDuration(ms);
+
+    const track = document.createElement('div');
+    track.className = 'bar-track';
+    const fill = document.createElement('div');
+    fill.className = 'bar-fill';
+    fill.style.width = `${Math.max((ms / max) * 100, 1)}%`;
+    track.appendChild(fill);
+
+    row.appendChild(label);
+    row.appendChild(value);
+    row.appendChild(track);
+    container.appendChild(row);
+  });
+}
+
+function renderBreakdowns() {
+  const dayCount = parseInt(document.getElementById('range-select').value);
+  renderBreakdown('domains-breakdown', sumBreakdown('domains', dayCount));
+  renderBreakdown('categories-breakdown', sumBreakdown('categories', dayCount));
+}
+
+// Function to list open tabs that never got any attention
+function renderIgnoredTabs() {
+  const container = document.getElementById('ignored-tabs');
+  container.innerHTML = '';
+
+  const now = Date.now();
+  const ignored = timeStats.tabs
+    .filter(tab => tab.url && /^https?:/.test(tab.url))
+    .filter(tab => tab.firstSeen && now - tab.firstSeen > IGNORED_MIN_OPEN_MS && tab.timeSpent < IGNORED_MAX_MS)
+    .sort((a, b) => a.firstSeen - b.firstSeen);
+
+  if (ignored.length === 0) {
+    container.innerHTML = '<div class="empty-state">Every open tab has had some attention.</div>';
+    return;
+  }
+
+  ignored.forEach(tab => {
+    const row = document.createElement('div');
+    row.className = 'ignored-item';
+
+    const info = document.createElement('div');
+    info.className = 'ignored-info';
+
+    const title = document.createElement('div');
+    title.className = 'ignored-title';
+    title.textContent = tab.title || tab.url;
+    title.title = tab.url;
+
+    const meta = document.createElement('div');
+    meta.className = 'ignored-meta';
+    const openDays = Math.floor((now - tab.firstSeen) / (24 * 60 * 60 * 1000));
+    meta.textContent = `${tab.category || 'Uncategorized'} · open ${openDays} day${openDays === 1 ? '' : 's'} · viewed ${Math.round(tab.timeSpent / 1000)}s`;
+
+    info.appendChild(title);
+    info.appendChild(meta);
+
+    const gotoBtn = document.createElement('button');
+    gotoBtn.className = 'secondary-btn';
+    gotoBtn.textContent = 'Go to tab';
+    gotoBtn.addEventListener('click', async () => {
+      try {
+        const liveTab = await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(liveTab.windowId, { focused: true });
+      } catch (error) {
+        showStatus(`Could not switch to the tab: ${error.message}`, true);
+      }
+    });
+
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', async () => {
+      try {
+        await chrome.tabs.remove(tab.id);
+        row.remove();
+      } catch (error) {
+        showStatus(`Could not close the tab: ${error.message}`, true);
+      }
+    });
+
+    row.appendChild(info);
+    row.appendChild(gotoBtn);
+    row.appendChild(closeBtn);
+    container.appendChild(row);
+  });
+}
+
+// Function to load the stats and draw everything
+async function loadDashboard() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: "getTimeStats" });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'No response from the background');
+    }
+
+    timeStats = { days: response.days, tabs: response.tabs };
+    drawDailyChart();
+    renderBreakdowns();
+    renderIgnoredTabs();
+  } catch (error) {
+    console.error('Error loading time stats:', error);
+    showStatus(`Error loading time stats: ${error.message}`, true);
+  }
+}
+
+// Initialize the dashboard
+document.addEventListener('DOMContentLoaded', () => {
+  loadDashboard();
+
+  document.getElementById('range-select').addEventListener('change', renderBreakdowns);
+  window.addEventListener('resize', drawDailyChart);
+});
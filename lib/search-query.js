@@ -0,0 +1,297 @@
+// Structured search query language for tabs
+//
+//   category:Development domain:github.com inactive:>2h window:current pinned:no audible:yes
+//   topic:"machine learning"    a tab whose extracted topics include the value
+//   tag:reading                  a tab with this tag (the user's own tags)
+//   -domain:youtube.com          negation (also: NOT domain:youtube.com)
+//   docs OR wiki                 alternatives (also: |)
+//   "exact phrase"               quoted values and terms
+//
+// Plain terms are matched fuzzily against title, summary, URL, category and the user's note, and ranked.
+// Tabs passed in are tabData records merged with live chrome.tabs fields (windowId, pinned, audible).
+
+const SEARCH_FIELDS = ['category', 'domain', 'title', 'url', 'summary', 'topic', 'tag', 'inactive', 'window', 'pinned', 'audible', 'muted'];
+
+// Minutes since last access that count as "inactive" when no duration is given
+const DEFAULT_INACTIVE_MINUTES = 30;
+
+const DURATION_UNITS = { s: 1 / 60, m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+
+// Split a query into OR-groups of clauses
+function parseSearchQuery(text) {
+  const groups = [[]];
+  const tokenPattern = /(-)?(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+  let negateNext = false;
+  let match;
+
+  while ((match = tokenPattern.exec(text || '')) !== null) {
+    const [, minus, rawField, quoted, bare] = match;
+    const value = quoted !== undefined ? quoted : bare;
+
+    if (!rawField && quoted === undefined && (value === 'OR' || value === '|')) {
+      groups.push([]);
+      continue;
+    }
+    if (!rawField && quoted === undefined && value === 'NOT') {
+      negateNext = true;
+      continue;
+    }
+
+    const negate = Boolean(minus) || negateNext;
+    negateNext = false;
+
+    const field = rawField ? rawField.toLowerCase() : null;
+    if (field && SEARCH_FIELDS.includes(field)) {
+      if (value) {
+        groups[groups.length - 1].push({ field, value, negate });
+      }
+    } else {
+      // Unknown "field:" prefixes are treated as part of a plain term
+      const term = rawField ? `${rawField}:${value}` : value;
+      if (term) {
+        groups[groups.length - 1].push({ term, negate });
+      }
+    }
+  }
+
+  return { groups: groups.filter(group => group.length > 0) };
+}
+
+function parseBooleanValue(value) {
+  return ['yes', 'true', '1', 'on'].includes(String(value).toLowerCase());
+}
+
+// Parse "<2h", ">=30m", "1d" into { op, minutes }
+function parseDurationFilter(value) {
+  const lower = String(value).toLowerCase();
+  if (['yes', 'true'].includes(lower)) {
+    return { op: '>', minutes: DEFAULT_INACTIVE_MINUTES };
+  }
+  if (['no', 'false'].includes(lower)) {
+    return { op: '<=', minutes: DEFAULT_INACTIVE_MINUTES };
+  }
+
+  const match = lower.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)([smhdw])?$/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    op: match[1] || '>',
+    minutes: parseFloat(match[2]) * DURATION_UNITS[match[3] || 'm']
+  };
+}
+
+function compareNumbers(actual, op, expected) {
+  switch (op) {
+    case '>': return actual > expected;
+    case '<': return actual < expected;
+    case '>=': return actual >= expected;
+    case '<=': return actual <= expected;
+    default: return Math.abs(actual - expected) < 1;
+  }
+}
+
+function getTabHost(tab) {
+  try {
+    return new URL(tab.url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+// Check one field filter against a tab
+function matchesFieldFilter(tab, { field, value }, context) {
+  const lowerValue = value.toLowerCase();
+
+  switch (field) {
+    case 'category':
+      return (tab.category || '').toLowerCase().includes(lowerValue);
+    case 'domain': {
+      const host = getTabHost(tab);
+      const domain = lowerValue.replace(/^www\./, '');
+      return host === domain || host.endsWith(`.${domain}`) || (!domain.includes('.') && host.includes(domain));
+    }
+    case 'title':
+      return (tab.title || '').toLowerCase().includes(lowerValue);
+    case 'url':
+      return (tab.url || '').toLowerCase().includes(lowerValue);
+    case 'summary':
+      return (tab.summary || '').toLowerCase().includes(lowerValue);
+    case 'topic':
+      return (tab.topics || []).some(topic => topic.toLowerCase().includes(lowerValue));
+    case 'tag': {
+      const tag = lowerValue.replace(/^#/, '');
+      return (tab.tags || []).some(tabTag => tabTag.toLowerCase() === tag);
+    }
+    case 'inactive': {
+      const filter = parseDurationFilter(value);
+      if (!filter) {
+        return false;
+      }
+      const idleMinutes = (context.now - (tab.lastAccessed || context.now)) / 60000;
+      return compareNumbers(idleMinutes, filter.op, filter.minutes);
+    }
+    case 'window':
+      return lowerValue === 'current'
+        ? tab.windowId === context.currentWindowId
+        : String(tab.windowId) === lowerValue;
+    case 'pinned':
+      return Boolean(tab.pinned) === parseBooleanValue(value);
+    case 'audible':
+      return Boolean(tab.audible) === parseBooleanValue(value);
+    case 'muted':
+      return Boolean(tab.mutedInfo && tab.mutedInfo.muted) === parseBooleanValue(value);
+    default:
+      return false;
+  }
+}
+
+// Merge touching/overlapping [start, end) ranges
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([range[0], range[1]]);
+    }
+  }
+  return merged;
+}
+
+function isWordStart(text, index) {
+  return index === 0 || /[^\p{L}\p{N}]/u.test(text[index - 1]);
+}
+
+// Fuzzy-match a needle in a haystack; returns { score, ranges } or null
+function fuzzyMatch(needle, haystack) {
+  const n = (needle || '').toLowerCase();
+  const h = (haystack || '').toLowerCase();
+  if (!n || !h) {
+    return null;
+  }
+
+  // Substring matches always rank above scattered ones
+  const index = h.indexOf(n);
+  if (index >= 0) {
+    const score = 100 + n.length * 2 + (isWordStart(h, index) ? 20 : 0) - Math.min(index, 50) * 0.2;
+    return { score, ranges: [[index, index + n.length]] };
+  }
+
+  // Very short needles only match as substrings
+  if (n.length < 3) {
+    return null;
+  }
+
+  // Greedy in-order character match
+  const ranges = [];
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (const char of n) {
+    const found = h.indexOf(char, position);
+    if (found < 0) {
+      return null;
+    }
+
+    score += 1;
+    if (found === previous + 1) {
+      score += 5;
+    }
+    if (isWordStart(h, found)) {
+      score += 3;
+    }
+    score -= Math.min(found - position, 10) * 0.5;
+
+    ranges.push([found, found + 1]);
+    previous = found;
+    position = found + 1;
+  }
+
+  // Reject matches spread too thinly across the text
+  const span = ranges[ranges.length - 1][1] - ranges[0][0];
+  if (span > n.length * 4) {
+    return null;
+  }
+
+  return { score, ranges: mergeRanges(ranges) };
+}
+
+// Fields plain terms are matched against, with their weight in the ranking
+const TERM_FIELDS = [
+  { name: 'title', weight: 3 },
+  { name: 'summary', weight: 1.5 },
+  { name: 'category', weight: 1 },
+  { name: 'url', weight: 1 },
+  { name: 'note', weight: 1.5 }
+];
+
+// Match a group of clauses (all must hold); returns { score, highlights } or null
+function matchGroup(tab, group, context) {
+  let score = 0;
+  const highlights = {};
+
+  for (const clause of group) {
+    if (clause.field) {
+      const matched = matchesFieldFilter(tab, clause, context);
+      if (matched === clause.negate) {
+        return null;
+      }
+      continue;
+    }
+
+    if (clause.negate) {
+      const lowerTerm = clause.term.toLowerCase();
+      const found = TERM_FIELDS.some(({ name }) => (tab[name] || '').toLowerCase().includes(lowerTerm));
+      if (found) {
+        return null;
+      }
+      continue;
+    }
+
+    let best = 0;
+    for (const { name, weight } of TERM_FIELDS) {
+      const result = fuzzyMatch(clause.term, tab[name]);
+      if (result) {
+        best = Math.max(best, result.score * weight);
+        highlights[name] = mergeRanges([...(highlights[name] || []), ...result.ranges]);
+      }
+    }
+
+    if (best === 0) {
+      return null;
+    }
+    score += best;
+  }
+
+  return { score, highlights };
+}
+
+// Run a parsed query over tabs; returns ranked [{ tab, score, highlights }]
+function searchTabs(query, tabs, context) {
+  const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+  if (parsed.groups.length === 0) {
+    return tabs.map(tab => ({ tab, score: 0, highlights: {} }));
+  }
+
+  const results = [];
+  for (const tab of tabs) {
+    let best = null;
+    for (const group of parsed.groups) {
+      const result = matchGroup(tab, group, context);
+      if (result && (!best || result.score > best.score)) {
+        best = result;
+      }
+    }
+    if (best) {
+      results.push({ tab, score: best.score, highlights: best.highlights });
+    }
+  }
+
+  // Best matches first; ties go to the most recently used tab
+  return results.sort((a, b) => (b.score - a.score) || ((b.tab.lastAccessed || 0) - (a.tab.lastAccessed || 0)));
+}
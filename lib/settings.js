@@ -0,0 +1,106 @@
+// Shared settings helpers
+// Loaded by the background service worker (importScripts) and by extension pages (<script>)
+
+// Default values for every setting the extension understands
+const DEFAULT_SETTINGS = {
+  // 'prepend' checks user rules before the built-in list, 'replace' uses only user rules
+  categoryRuleMode: 'prepend',
+  
+  // Mirror categories into native Chrome tab groups
+  applyToTabStrip: false,
+  
+  // How the popup groups the tab list: 'category', 'topic', 'task' (similar tabs) or 'window' (then category)
+  groupBy: 'category',
+  
+  // Provider used for tab analysis: 'heuristic', 'openai' or 'ollama'
+  llm: {
+    provider: 'heuristic',
+    openaiEndpoint: 'https://api.openai.com/v1/chat/completions',
+    openaiModel: 'gpt-4o-mini',
+    apiKey: '',
+    ollamaEndpoint: 'http://localhost:11434/api/chat',
+    ollamaModel: 'llama3.1',
+    timeoutMs: 20000
+  },
+  
+  // URL normalization rules for duplicate detection
+  duplicates: {
+    stripParams: ['utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid', 'ref_src', 'si'],
+    ignoreFragment: true,
+    ignoreTrailingSlash: true,
+    ignoreWww: true,
+    // Switch to the existing tab when a duplicate is opened
+    focusExistingOnOpen: false
+  },
+  
+  // Automatic suspension (discarding) of idle tabs
+  suspension: {
+    enabled: false,
+    idleMinutes: 60,
+    // Overrides by category name or domain; 0 means never suspend
+    categoryMinutes: {},
+    domainMinutes: {},
+    // URL patterns that are never suspended (same syntax as category rules)
+    whitelist: []
+  },
+  
+  // Cleanup rules offered by "Close Inactive"; a tab matches a rule when all its conditions hold
+  cleanup: {
+    rules: [
+      {
+        id: 'inactive-30m',
+        name: 'Inactive for 30 minutes',
+        enabled: true,
+        conditions: { minIdleMinutes: 30, categories: [], domains: [], duplicatesOnly: false, importance: [] }
+      },
+      {
+        id: 'duplicates',
+        name: 'Duplicate copies',
+        enabled: false,
+        conditions: { minIdleMinutes: 0, categories: [], domains: [], duplicatesOnly: true, importance: [] }
+      },
+      {
+        id: 'low-importance-day',
+        name: 'Low importance, idle for a day',
+        enabled: false,
+        conditions: { minIdleMinutes: 24 * 60, categories: [], domains: [], duplicatesOnly: false, importance: ['low'] }
+      }
+    ],
+    // Number of closed batches kept in the trash
+    trashLimit: 20
+  },
+  
+  // Archive of closed tabs
+  archive: {
+    enabled: true,
+    maxEntries: 500,
+    // Entries older than this are dropped; 0 keeps them until the cap is reached
+    retentionDays: 30
+  }
+};
+
+// Merge changes into a settings object, one level deep so that
+// nested sections (e.g. { duplicates: { ... } }) keep their other keys
+function mergeSettings(base, changes) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(changes || {})) {
+    const isSection = value && typeof value === 'object' && !Array.isArray(value);
+    const baseIsSection = merged[key] && typeof merged[key] === 'object' && !Array.isArray(merged[key]);
+    merged[key] = isSection && baseIsSection ? { ...merged[key], ...value } : value;
+  }
+  return merged;
+}
+
+// Read the current settings, filling in defaults for anything not stored yet
+async function getSettings() {
+  const result = await chrome.storage.local.get('settings');
+  return mergeSettings(DEFAULT_SETTINGS, result.settings);
+}
+
+// Persist a partial settings update and return the full updated settings
+async function updateSettings(changes) {
+  const current = await getSettings();
+  const updated = mergeSettings(current, changes);
+  await chrome.storage.local.set({ settings: updated });
+  return updated;
+}
@@ -0,0 +1,223 @@
+// Export and import of tab sets in several formats
+// Pure functions shared by extension pages; entries look like tabData records ({ url, title, category, ... })
+
+const TAB_EXPORT_FORMATS = {
+  json: { label: 'JSON (full data)', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown links', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'Bookmarks HTML (Netscape)', extension: 'html', mimeType: 'text/html' },
+  onetab: { label: 'OneTab list', extension: 'txt', mimeType: 'text/plain' }
+};
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeHtml(text) {
+  return String(text || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Group entries by category, keeping first-seen order
+function groupEntriesByCategory(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const category = entry.category || 'Uncategorized';
+    if (!groups.has(category)) {
+      groups.set(category, []);
+    }
+    groups.get(category).push(entry);
+  }
+  return groups;
+}
+
+function exportAsJson(entries) {
+  return JSON.stringify({
+    format: 'smart-tab-manager',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    tabs: entries
+  }, null, 2);
+}
+
+function exportAsMarkdown(entries) {
+  const lines = [];
+  for (const [category, group] of groupEntriesByCategory(entries)) {
+    lines.push(`## ${category}`, '');
+    for (const entry of group) {
+      const title = (entry.title || entry.url).replace(/([\[\]])/g, '\\$1');
+      const summary = entry.summary && entry.summary !== entry.title ? ` — ${entry.summary}` : '';
+      // <...> keeps URLs with parentheses or spaces (like Wikipedia's) in one piece
+      const url = /[()\s]/.test(entry.url) ? `<${entry.url}>` : entry.url;
+      lines.push(`- [${title}](${url})${summary}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function exportAsBookmarksHtml(entries) {
+  const now = Math.floor(Date.now() / 1000);
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file. -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>'
+  ];
+
+  for (const [category, group] of groupEntriesByCategory(entries)) {
+    lines.push(`    <DT><H3 ADD_DATE="${now}">${escapeHtml(category)}</H3>`);
+    lines.push('    <DL><p>');
+    for (const entry of group) {
+      lines.push(`        <DT><A HREF="${escapeHtml(entry.url)}" ADD_DATE="${now}">${escapeHtml(entry.title || entry.url)}</A>`);
+    }
+    lines.push('    </DL><p>');
+  }
+
+  lines.push('</DL><p>');
+  return lines.join('\n');
+}
+
+// OneTab's plain format: one "url | title" per line
+function exportAsOneTab(entries) {
+  return entries.map(entry => `${entry.url} | ${(entry.title || '').replace(/\s+/g, ' ')}`).join('\n');
+}
+
+// Serialize entries in one of TAB_EXPORT_FORMATS
+function exportTabs(entries, format) {
+  switch (format) {
+    case 'json':
+      return exportAsJson(entries);
+    case 'markdown':
+      return exportAsMarkdown(entries);
+    case 'html':
+      return exportAsBookmarksHtml(entries);
+    case 'onetab':
+      return exportAsOneTab(entries);
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+function isImportableUrl(url) {
+  return /^(https?|ftp|file):\/\//i.test(url || '');
+}
+
+function parseJsonImport(text) {
+  const data = JSON.parse(text);
+  let records;
+
+  if (Array.isArray(data)) {
+    records = data;
+  } else if (Array.isArray(data.tabs)) {
+    records = data.tabs;
+  } else if (data && typeof data === 'object') {
+    // A raw tabData map keyed by tab id
+    records = Object.values(data);
+  } else {
+    records = [];
+  }
+
+  return records
+    .filter(record => record && isImportableUrl(record.url))
+    .map(record => ({
+      url: record.url,
+      title: record.title || record.url,
+      category: record.category,
+      summary: record.summary,
+      topics: Array.isArray(record.topics) ? record.topics : [],
+      pinned: Boolean(record.pinned)
+    }));
+}
+
+function parseBookmarksHtmlImport(text) {
+  const entries = [];
+  const folders = [];
+  const tokenPattern = /<H3[^>]*>([\s\S]*?)<\/H3>|<A\s[^>]*HREF="([^"]*)"[^>]*>([\s\S]*?)<\/A>|<\/DL>/gi;
+
+  let match;
+  while ((match = tokenPattern.exec(text)) !== null) {
+    if (match[1] !== undefined) {
+      folders.push(unescapeHtml(match[1]).trim());
+    } else if (match[2] !== undefined) {
+      const url = unescapeHtml(match[2]);
+      if (isImportableUrl(url)) {
+        entries.push({
+          url,
+          title: unescapeHtml(match[3]).trim() || url,
+          category: folders[folders.length - 1]
+        });
+      }
+    } else {
+      folders.pop();
+    }
+  }
+
+  return entries;
+}
+
+function parseMarkdownImport(text) {
+  const entries = [];
+  let category;
+
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*$/);
+    if (heading) {
+      category = heading[1];
+      continue;
+    }
+
+    const linkPattern = /\[((?:\\.|[^\]])*)\]\((?:<([^>]+)>|([^)\s]+))\)/g;
+    let link;
+    while ((link = linkPattern.exec(line)) !== null) {
+      const url = link[2] || link[3];
+      if (isImportableUrl(url)) {
+        entries.push({ url, title: link[1].replace(/\\([\[\]])/g, '$1') || url, category });
+      }
+    }
+  }
+
+  return entries;
+}
+
+// OneTab lists, or any text with one URL per line
+function parsePlainListImport(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const separator = line.indexOf(' | ');
+      const url = separator >= 0 ? line.slice(0, separator).trim() : line.split(/\s+/)[0];
+      const title = separator >= 0 ? line.slice(separator + 3).trim() : '';
+      return { url, title: title || url };
+    })
+    .filter(entry => isImportableUrl(entry.url));
+}
+
+// Detect the format of pasted/uploaded text and return tab entries
+function parseTabImport(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    return [];
+  }
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return parseJsonImport(trimmed);
+  }
+  if (/<!DOCTYPE NETSCAPE-Bookmark-file|<DL>/i.test(trimmed)) {
+    return parseBookmarksHtmlImport(trimmed);
+  }
+  if (/\[[^\]]*\]\([^)]+\)/.test(trimmed)) {
+    return parseMarkdownImport(trimmed);
+  }
+  return parsePlainListImport(trimmed);
+}
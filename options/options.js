@@ -0,0 +1,643 @@
+// Options page for editing category rules and other settings
+
+// Working copy of the user's category rules
+let categoryRules = [];
+
+// Function to show a short status message
+function showStatus(text, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.className = isError ? 'status error' : 'status';
+  status.hidden = false;
+
+  clearTimeout(showStatus.timeoutId);
+  showStatus.timeoutId = setTimeout(() => {
+    status.hidden = true;
+  }, 3000);
+}
+
+// Generate a reasonably unique id for a new rule
+function createRuleId() {
+  return `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Function to load rules and settings into the page
+async function loadCategoryRules() {
+  try {
+    const [result, settings] = await Promise.all([
+      chrome.storage.local.get('categoryRules'),
+      getSettings()
+    ]);
+
+    categoryRules = Array.isArray(result.categoryRules) ? result.categoryRules : [];
+
+    const modeInput = document.querySelector(`input[name="rule-mode"][value="${settings.categoryRuleMode}"]`);
+    if (modeInput) {
+      modeInput.checked = true;
+    }
+
+    renderRules();
+  } catch (error) {
+    console.error('Error loading category rules:', error);
+    showStatus(`Error loading rules: ${error.message}`, true);
+  }
+}
+
+// Copy the current editor values back into categoryRules
+function readRulesFromEditors() {
+  document.querySelectorAll('.rule-editor').forEach(editor => {
+    const rule = categoryRules.find(r => r.id === editor.dataset.ruleId);
+    if (!rule) {
+      return;
+    }
+
+    rule.category = editor.querySelector('.rule-category-input').value.trim();
+    rule.patterns = editor.querySelector('.rule-patterns-input').value
+      .split('\n')
+      .map(pattern => pattern.trim())
+      .filter(Boolean);
+  });
+}
+
+// Function to render the rule editors
+function renderRules() {
+  const container = document.getElementById('rules-container');
+  container.innerHTML = '';
+
+  if (categoryRules.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'No custom categories yet. Click "Add Category" to create one.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  categoryRules.forEach((rule, index) => {
+    const editor = document.createElement('div');
+    editor.className = 'rule-editor';
+    editor.dataset.ruleId = rule.id;
+
+    const header = document.createElement('div');
+    header.className = 'rule-editor-header';
+
+    const categoryInput = document.createElement('input');
+    categoryInput.type = 'text';
+    categoryInput.className = 'rule-category-input';
+    categoryInput.placeholder = 'Category name (e.g. Internal Tools)';
+    categoryInput.value = rule.category || '';
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'icon-btn';
+    upBtn.title = 'Move up';
+    upBtn.textContent = '▲';
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => moveRule(index, -1));
+
+    const downBtn = document.createElement('button');
+    downBtn.className = 'icon-btn';
+    downBtn.title = 'Move down';
+    downBtn.textContent = '▼';
+    downBtn.disabled = index === categoryRules.length - 1;
+    downBtn.addEventListener('click', () => moveRule(index, 1));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'icon-btn';
+    deleteBtn.title = 'Delete category';
+    deleteBtn.textContent = '✕';
+    deleteBtn.addEventListener('click', () => deleteRule(index));
+
+    header.appendChild(categoryInput);
+    header.appendChild(upBtn);
+    header.appendChild(downBtn);
+    header.appendChild(deleteBtn);
+
+    const patternsInput = document.createElement('textarea');
+    patternsInput.className = 'rule-patterns-input';
+    patternsInput.placeholder = 'One pattern per line, e.g.\njira.mycompany.com\n*.staging.mycompany.com';
+    patternsInput.value = (rule.patterns || []).join('\n');
+
+    editor.appendChild(header);
+    editor.appendChild(patternsInput);
+    fragment.appendChild(editor);
+  });
+
+  container.appendChild(fragment);
+}
+
+// Function to add an empty rule
+function addRule() {
+  readRulesFromEditors();
+  categoryRules.push({ id: createRuleId(), category: '', patterns: [] });
+  renderRules();
+
+  const inputs = document.querySelectorAll('.rule-category-input');
+  inputs[inputs.length - 1]?.focus();
+}
+
+// Function to move a rule up or down in priority
+function moveRule(index, direction) {
+  readRulesFromEditors();
+  const target = index + direction;
+  if (target < 0 || target >= categoryRules.length) {
+    return;
+  }
+
+  [categoryRules[index], categoryRules[target]] = [categoryRules[target], categoryRules[index]];
+  renderRules();
+}
+
+// Function to delete a rule
+function deleteRule(index) {
+  readRulesFromEditors();
+  categoryRules.splice(index, 1);
+  renderRules();
+}
+
+// Function to save rules and mode
+async function saveCategoryRules() {
+  readRulesFromEditors();
+
+  const invalidRule = categoryRules.find(rule => !rule.category);
+  if (invalidRule) {
+    showStatus('Every category needs a name', true);
+    return;
+  }
+
+  try {
+    const mode = document.querySelector('input[name="rule-mode"]:checked')?.value || DEFAULT_SETTINGS.categoryRuleMode;
+
+    // Write both keys together so the background re-categorizes only once
+    const settings = mergeSettings(await getSettings(), { categoryRuleMode: mode });
+    await chrome.storage.local.set({ categoryRules, settings });
+
+    showStatus('Rules saved. Open tabs are being re-categorized.');
+  } catch (error) {
+    console.error('Error saving category rules:', error);
+    showStatus(`Error saving rules: ${error.message}`, true);
+  }
+}
+
+// Show only the fields for the selected provider
+function updateProviderFields() {
+  const provider = document.getElementById('llm-provider').value;
+  document.querySelectorAll('.provider-fields').forEach(fields => {
+    fields.hidden = fields.dataset.provider !== provider;
+  });
+}
+
+// Function to load the LLM provider settings into the form
+async function loadLlmSettings() {
+  try {
+    const { llm } = await getSettings();
+
+    document.getElementById('llm-provider').value = llm.provider;
+    document.getElementById('llm-openai-endpoint').value = llm.openaiEndpoint;
+    document.getElementById('llm-openai-model').value = llm.openaiModel;
+    document.getElementById('llm-api-key').value = llm.apiKey;
+    document.getElementById('llm-ollama-endpoint').value = llm.ollamaEndpoint;
+    document.getElementById('llm-ollama-model').value = llm.ollamaModel;
+    document.getElementById('llm-timeout').value = Math.round(llm.timeoutMs / 1000);
+
+    updateProviderFields();
+  } catch (error) {
+    console.error('Error loading LLM settings:', error);
+    showStatus(`Error loading AI settings: ${error.message}`, true);
+  }
+}
+
+// Read the LLM provider form
+function readLlmForm() {
+  const timeoutSeconds = parseInt(document.getElementById('llm-timeout').value) || 20;
+
+  return {
+    provider: document.getElementById('llm-provider').value,
+    openaiEndpoint: document.getElementById('llm-openai-endpoint').value.trim(),
+    openaiModel: document.getElementById('llm-openai-model').value.trim(),
+    apiKey: document.getElementById('llm-api-key').value.trim(),
+    ollamaEndpoint: document.getElementById('llm-ollama-endpoint').value.trim(),
+    ollamaModel: document.getElementById('llm-ollama-model').value.trim(),
+    timeoutMs: Math.min(Math.max(timeoutSeconds, 1), 120) * 1000
+  };
+}
+
+// Function to save the LLM provider settings
+async function saveLlmSettings() {
+  try {
+    await updateSettings({ llm: readLlmForm() });
+    showStatus('AI settings saved');
+  } catch (error) {
+    console.error('Error saving LLM settings:', error);
+    showStatus(`Error saving AI settings: ${error.message}`, true);
+  }
+}
+
+// Function to run the current form values against a sample page
+function testLlmProvider() {
+  const resultElement = document.getElementById('llm-test-result');
+  const testBtn = document.getElementById('test-llm-btn');
+
+  resultElement.hidden = false;
+  resultElement.className = 'test-result';
+  resultElement.textContent = 'Testing...';
+  testBtn.disabled = true;
+
+  chrome.runtime.sendMessage({ action: 'testLlmProvider', config: readLlmForm() }, (response) => {
+    testBtn.disabled = false;
+
+    if (chrome.runtime.lastError || !response) {
+      resultElement.className = 'test-result error';
+      resultElement.textContent = chrome.runtime.lastError?.message || 'No response from background';
+      return;
+    }
+
+    if (response.success) {
+      resultElement.textContent = JSON.stringify(response.analysis, null, 2);
+    } else {
+      resultElement.className = 'test-result error';
+      resultElement.textContent = response.error;
+    }
+  });
+}
+
+// Function to load the duplicate detection settings into the form
+async function loadDuplicateSettings() {
+  try {
+    const { duplicates } = await getSettings();
+
+    document.getElementById('duplicates-strip-params').value = duplicates.stripParams.join('\n');
+    document.getElementById('duplicates-ignore-fragment').checked = duplicates.ignoreFragment;
+    document.getElementById('duplicates-ignore-trailing-slash').checked = duplicates.ignoreTrailingSlash;
+    document.getElementById('duplicates-ignore-www').checked = duplicates.ignoreWww;
+    document.getElementById('duplicates-focus-existing').checked = duplicates.focusExistingOnOpen;
+  } catch (error) {
+    console.error('Error loading duplicate settings:', error);
+    showStatus(`Error loading duplicate settings: ${error.message}`, true);
+  }
+}
+
+// Function to save the duplicate detection settings
+async function saveDuplicateSettings() {
+  try {
+    const stripParams = document.getElementById('duplicates-strip-params').value
+      .split('\n')
+      .map(param => param.trim())
+      .filter(Boolean);
+
+    await updateSettings({
+      duplicates: {
+        stripParams,
+        ignoreFragment: document.getElementById('duplicates-ignore-fragment').checked,
+        ignoreTrailingSlash: document.getElementById('duplicates-ignore-trailing-slash').checked,
+        ignoreWww: document.getElementById('duplicates-ignore-www').checked,
+        focusExistingOnOpen: document.getElementById('duplicates-focus-existing').checked
+      }
+    });
+    showStatus('Duplicate settings saved');
+  } catch (error) {
+    console.error('Error saving duplicate settings:', error);
+    showStatus(`Error saving duplicate settings: ${error.message}`, true);
+  }
+}
+
+// Format a { name: minutes } map as "name = minutes" lines
+function formatThresholds(thresholds) {
+  return Object.entries(thresholds || {})
+    .map(([name, minutes]) => `${name} = ${minutes}`)
+    .join('\n');
+}
+
+// Parse "name = minutes" lines into a { name: minutes } map
+function parseThresholds(text, label) {
+  const thresholds = {};
+  for (const line of text.split('\n').map(line => line.trim()).filter(Boolean)) {
+    const match = line.match(/^(.+?)\s*=\s*(\d+)$/);
+    if (!match) {
+      throw new Error(`${label}: can't read "${line}" (expected "name = minutes")`);
+    }
+    thresholds[match[1]] = parseInt(match[2]);
+  }
+  return thresholds;
+}
+
+// Function to load the suspension settings into the form
+async function loadSuspensionSettings() {
+  try {
+    const { suspension } = await getSettings();
+
+    document.getElementById('suspension-enabled').checked = suspension.enabled;
+    document.getElementById('suspension-idle-minutes').value = suspension.idleMinutes;
+    document.getElementById('suspension-category-minutes').value = formatThresholds(suspension.categoryMinutes);
+    document.getElementById('suspension-domain-minutes').value = formatThresholds(suspension.domainMinutes);
+    document.getElementById('suspension-whitelist').value = suspension.whitelist.join('\n');
+  } catch (error) {
+    console.error('Error loading suspension settings:', error);
+    showStatus(`Error loading suspension settings: ${error.message}`, true);
+  }
+}
+
+// Function to save the suspension settings
+async function saveSuspensionSettings() {
+  try {
+    const idleMinutes = parseInt(document.getElementById('suspension-idle-minutes').value);
+    if (!idleMinutes || idleMinutes < 1) {
+      throw new Error('Idle time must be at least 1 minute');
+    }
+
+    await updateSettings({
+      suspension: {
+        enabled: document.getElementById('suspension-enabled').checked,
+        idleMinutes,
+        categoryMinutes: parseThresholds(document.getElementById('suspension-category-minutes').value, 'Category thresholds'),
+        domainMinutes: parseThresholds(document.getElementById('suspension-domain-minutes').value, 'Domain thresholds'),
+        whitelist: document.getElementById('suspension-whitelist').value
+          .split('\n')
+          .map(pattern => pattern.trim())
+          .filter(Boolean)
+      }
+    });
+    showStatus('Suspension settings saved');
+  } catch (error) {
+    console.error('Error saving suspension settings:', error);
+    showStatus(`Error saving suspension settings: ${error.message}`, true);
+  }
+}
+
+// Working copy of the cleanup rules
+let cleanupRules = [];
+
+const IMPORTANCE_LEVELS = ['high', 'medium', 'low'];
+
+function splitList(text) {
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Function to load the cleanup rules into the page
+async function loadCleanupSettings() {
+  try {
+    const { cleanup } = await getSettings();
+    cleanupRules = cleanup.rules.map(rule => ({ ...rule, conditions: { ...rule.conditions } }));
+    document.getElementById('cleanup-trash-limit').value = cleanup.trashLimit;
+    renderCleanupRules();
+  } catch (error) {
+    console.error('Error loading cleanup rules:', error);
+    showStatus(`Error loading cleanup rules: ${error.message}`, true);
+  }
+}
+
+// Copy the current editor values back into cleanupRules
+function readCleanupRulesFromEditors() {
+  document.querySelectorAll('.cleanup-rule-editor').forEach(editor => {
+    const rule = cleanupRules.find(r => r.id === editor.dataset.ruleId);
+    if (!rule) {
+      return;
+    }
+
+    rule.name = editor.querySelector('.cleanup-name-input').value.trim();
+    rule.enabled = editor.querySelector('.cleanup-enabled-input').checked;
+    rule.conditions = {
+      minIdleMinutes: parseInt(editor.querySelector('.cleanup-idle-input').value) || 0,
+      categories: splitList(editor.querySelector('.cleanup-categories-input').value),
+      domains: splitList(editor.querySelector('.cleanup-domains-input').value),
+      duplicatesOnly: editor.querySelector('.cleanup-duplicates-input').checked,
+      importance: IMPORTANCE_LEVELS.filter(level =>
+        editor.querySelector(`.cleanup-importance-input[value="${level}"]`).checked
+      )
+    };
+  });
+}
+
+// Helper to create a labelled field for a rule editor
+function createConditionField(labelText, input) {
+  const group = document.createElement('div');
+  group.className = 'field-group';
+
+  const label = document.createElement('label');
+  label.className = 'field-label';
+  label.textContent = labelText;
+
+  group.appendChild(label);
+  group.appendChild(input);
+  return group;
+}
+
+function createCheckboxOption(className, labelText, checked, value) {
+  const label = document.createElement('label');
+  label.className = 'checkbox-option';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.className = className;
+  input.checked = checked;
+  if (value) {
+    input.value = value;
+  }
+
+  label.appendChild(input);
+  label.appendChild(document.createTextNode(labelText));
+  return label;
+}
+
+// Function to render the cleanup rule editors
+function renderCleanupRules() {
+  const container = document.getElementById('cleanup-rules-container');
+  container.innerHTML = '';
+
+  if (cleanupRules.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'No cleanup rules. Click "Add Rule" to create one.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  cleanupRules.forEach((rule, index) => {
+    const conditions = rule.conditions || {};
+
+    const editor = document.createElement('div');
+    editor.className = 'rule-editor cleanup-rule-editor';
+    editor.dataset.ruleId = rule.id;
+
+    const header = document.createElement('div');
+    header.className = 'rule-editor-header';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'cleanup-name-input';
+    nameInput.placeholder = 'Rule name (e.g. Old shopping tabs)';
+    nameInput.value = rule.name || '';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'icon-btn';
+    deleteBtn.title = 'Delete rule';
+    deleteBtn.textContent = '✕';
+    deleteBtn.addEventListener('click', () => {
+      readCleanupRulesFromEditors();
+      cleanupRules.splice(index, 1);
+      renderCleanupRules();
+    });
+
+    header.appendChild(createCheckboxOption('cleanup-enabled-input', 'Enabled', rule.enabled));
+    header.appendChild(nameInput);
+    header.appendChild(deleteBtn);
+
+    const idleInput = document.createElement('input');
+    idleInput.type = 'number';
+    idleInput.min = '0';
+    idleInput.className = 'cleanup-idle-input';
+    idleInput.value = conditions.minIdleMinutes || 0;
+
+    const categoriesInput = document.createElement('input');
+    categoriesInput.type = 'text';
+    categoriesInput.className = 'cleanup-categories-input';
+    categoriesInput.placeholder = 'Any category (e.g. Shopping, Entertainment)';
+    categoriesInput.value = (conditions.categories || []).join(', ');
+
+    const domainsInput = document.createElement('input');
+    domainsInput.type = 'text';
+    domainsInput.className = 'cleanup-domains-input';
+    domainsInput.placeholder = 'Any domain (e.g. reddit.com, news.ycombinator.com)';
+    domainsInput.value = (conditions.domains || []).join(', ');
+
+    const importanceOptions = document.createElement('div');
+    importanceOptions.className = 'inline-options';
+    IMPORTANCE_LEVELS.forEach(level => {
+      importanceOptions.appendChild(createCheckboxOption('cleanup-importance-input', level,
+        (conditions.importance || []).includes(level), level));
+    });
+
+    const conditionsGrid = document.createElement('div');
+    conditionsGrid.className = 'rule-conditions';
+    conditionsGrid.appendChild(createConditionField('Idle for at least (minutes)', idleInput));
+    conditionsGrid.appendChild(createConditionField('Importance (none checked = any)', importanceOptions));
+    conditionsGrid.appendChild(createConditionField('Categories', categoriesInput));
+    conditionsGrid.appendChild(createConditionField('Domains', domainsInput));
+
+    editor.appendChild(header);
+    editor.appendChild(conditionsGrid);
+    editor.appendChild(createCheckboxOption('cleanup-duplicates-input',
+      'Only extra copies of duplicate tabs (the newest copy is kept)', conditions.duplicatesOnly));
+    fragment.appendChild(editor);
+  });
+
+  container.appendChild(fragment);
+}
+
+// Function to add an empty cleanup rule
+function addCleanupRule() {
+  readCleanupRulesFromEditors();
+  cleanupRules.push({
+    id: createRuleId(),
+    name: '',
+    enabled: true,
+    conditions: { minIdleMinutes: 60, categories: [], domains: [], duplicatesOnly: false, importance: [] }
+  });
+  renderCleanupRules();
+
+  const inputs = document.querySelectorAll('.cleanup-name-input');
+  inputs[inputs.length - 1]?.focus();
+}
+
+// Function to save the cleanup rules
+async function saveCleanupSettings() {
+  readCleanupRulesFromEditors();
+
+  if (cleanupRules.some(rule => !rule.name)) {
+    showStatus('Every cleanup rule needs a name', true);
+    return;
+  }
+
+  try {
+    const trashLimit = parseInt(document.getElementById('cleanup-trash-limit').value) || DEFAULT_SETTINGS.cleanup.trashLimit;
+    await updateSettings({ cleanup: { rules: cleanupRules, trashLimit } });
+    showStatus('Cleanup rules saved');
+  } catch (error) {
+    console.error('Error saving cleanup rules:', error);
+    showStatus(`Error saving cleanup rules: ${error.message}`, true);
+  }
+}
+
+// Function to load the archive settings into the form
+async function loadArchiveSettings() {
+  try {
+    const { archive } = await getSettings();
+
+    document.getElementById('archive-enabled').checked = archive.enabled;
+    document.getElementById('archive-max-entries').value = archive.maxEntries;
+    document.getElementById('archive-retention-days').value = archive.retentionDays;
+  } catch (error) {
+    console.error('Error loading archive settings:', error);
+    showStatus(`Error loading archive settings: ${error.message}`, true);
+  }
+}
+
+// Function to save the archive settings
+async function saveArchiveSettings() {
+  try {
+    const maxEntries = parseInt(document.getElementById('archive-max-entries').value);
+    const retentionDays = parseInt(document.getElementById('archive-retention-days').value);
+    if (!maxEntries || maxEntries < 1) {
+      throw new Error('Keep at least one archived tab');
+    }
+
+    await updateSettings({
+      archive: {
+        enabled: document.getElementById('archive-enabled').checked,
+        maxEntries,
+        retentionDays: Math.max(retentionDays || 0, 0)
+      }
+    });
+    showStatus('Archive settings saved');
+  } catch (error) {
+    console.error('Error saving archive settings:', error);
+    showStatus(`Error saving archive settings: ${error.message}`, true);
+  }
+}
+
+// Function to delete every archived tab
+async function clearArchive() {
+  if (!confirm('Delete every tab in the closed tab archive?')) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: "removeArchived" });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'No response from the background');
+    }
+    showStatus('Archive cleared');
+  } catch (error) {
+    console.error('Error clearing archive:', error);
+    showStatus(`Error clearing archive: ${error.message}`, true);
+  }
+}
+
+// Initialize the options page
+document.addEventListener('DOMContentLoaded', () => {
+  loadCategoryRules();
+  loadLlmSettings();
+  loadDuplicateSettings();
+  loadSuspensionSettings();
+  loadCleanupSettings();
+  loadArchiveSettings();
+
+  document.getElementById('add-rule-btn').addEventListener('click', addRule);
+  document.getElementById('save-rules-btn').addEventListener('click', saveCategoryRules);
+
+  document.getElementById('llm-provider').addEventListener('change', updateProviderFields);
+  document.getElementById('save-llm-btn').addEventListener('click', saveLlmSettings);
+  document.getElementById('test-llm-btn').addEventListener('click', testLlmProvider);
+
+  document.getElementById('save-duplicates-btn').addEventListener('click', saveDuplicateSettings);
+
+  document.getElementById('save-suspension-btn').addEventListener('click', saveSuspensionSettings);
+
+  document.getElementById('add-cleanup-rule-btn').addEventListener('click', addCleanupRule);
+  document.getElementById('save-cleanup-btn').addEventListener('click', saveCleanupSettings);
+
+  document.getElementById('save-archive-btn').addEventListener('click', saveArchiveSettings);
+  document.getElementById('clear-archive-btn').addEventListener('click', clearArchive);
+});
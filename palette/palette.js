@@ -0,0 +1,328 @@
+// Command palette page: fuzzy tab switcher with per-tab actions
+// Lists are rendered from "items" ({ title, detail, tag, favicon, highlights, run }) so tabs,
+// actions, windows and groups share the same keyboard handling.
+
+// Data loaded from the background
+let paletteTabs = [];
+let paletteWindows = [];
+let paletteGroups = [];
+
+// Window the palette was opened from (passed in the URL)
+const originWindowId = parseInt(new URLSearchParams(location.search).get('window'));
+
+// Stack of menus; the first is the tab list, later ones are action submenus
+let menuStack = [];
+let visibleItems = [];
+let selectedIndex = 0;
+
+// Tabs used in the last few switches get this much extra score per rank step
+const MRU_BOOST_RANKS = 5;
+const MRU_BOOST = 15;
+
+// Helper to send a message to the background and throw on errors
+async function sendBackgroundMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'No response from the background');
+  }
+  return response;
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+// Run a background action, then close the palette
+async function runAction(message) {
+  try {
+    await sendBackgroundMessage({ action: "paletteAction", ...message });
+    window.close();
+  } catch (error) {
+    console.error('Error running palette action:', error);
+    showPaletteError(error.message);
+  }
+}
+
+function showPaletteError(text) {
+  const results = document.getElementById('palette-results');
+  results.innerHTML = '';
+  const message = document.createElement('div');
+  message.className = 'palette-empty';
+  message.textContent = text;
+  results.appendChild(message);
+}
+
+// Items for the tab list, ordered by match score and recent use
+function getTabItems(query) {
+  const context = { now: Date.now(), currentWindowId: originWindowId };
+  const results = searchTabs(query, paletteTabs, context).map(result => {
+    const rank = result.tab.mruRank;
+    const boost = rank !== null && rank < MRU_BOOST_RANKS ? (MRU_BOOST_RANKS - rank) * MRU_BOOST : 0;
+    return { ...result, score: result.score + boost };
+  });
+
+  // Without a query the most recently used tabs lead
+  results.sort((a, b) => {
+    if (!query) {
+      const rankA = a.tab.mruRank === null ? Infinity : a.tab.mruRank;
+      const rankB = b.tab.mruRank === null ? Infinity : b.tab.mruRank;
+      return (rankA - rankB) || ((b.tab.lastAccessed || 0) - (a.tab.lastAccessed || 0));
+    }
+    return b.score - a.score;
+  });
+
+  return results.map(({ tab, highlights }) => ({
+    title: tab.title || tab.url,
+    detail: [tab.category, getHost(tab.url), tab.summary && tab.summary !== tab.title ? tab.summary : '']
+      .filter(Boolean).join(' · '),
+    tag: [tab.pinned ? 'pinned' : '', tab.audible ? 'playing' : '', tab.windowId !== originWindowId ? 'other window' : '']
+      .filter(Boolean).join(' · '),
+    favicon: getHost(tab.url),
+    highlights: { title: tab.title ? highlights.title : highlights.url },
+    tab,
+    run: () => runAction({ command: 'switch', tabIds: [tab.id] }),
+    openActions: () => pushMenu(tab.title || tab.url, query => getActionItems(tab, query))
+  }));
+}
+
+// Filter simple items by fuzzy-matching their title
+function filterItems(items, query) {
+  if (!query) {
+    return items;
+  }
+  return items
+    .map(item => ({ item, match: fuzzyMatch(query, item.title) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(({ item, match }) => ({ ...item, highlights: { title: match.ranges } }));
+}
+
+// Actions for one tab
+function getActionItems(tab, query) {
+  const muted = tab.mutedInfo && tab.mutedInfo.muted;
+  const categoryCount = paletteTabs.filter(other => other.category === tab.category).length;
+  const actions = [
+    { title: 'Switch to tab', run: () => runAction({ command: 'switch', tabIds: [tab.id] }) },
+    { title: 'Close tab', run: () => runAction({ command: 'close', tabIds: [tab.id] }) },
+    { title: 'Move to window…', run: () => pushMenu('Move to window', q => getWindowItems(tab, q)) },
+    { title: 'Add to group…', run: () => pushMenu('Add to group', q => getGroupItems(tab, q)) },
+    tab.groupId !== undefined && tab.groupId !== -1
+      ? { title: 'Remove from group', run: () => runAction({ command: 'ungroup', tabIds: [tab.id] }) }
+      : null,
+    { title: tab.pinned ? 'Unpin tab' : 'Pin tab', run: () => runAction({ command: 'togglePin', tabIds: [tab.id] }) },
+    { title: muted ? 'Unmute tab' : 'Mute tab', run: () => runAction({ command: 'toggleMute', tabIds: [tab.id] }) },
+    { title: 'Bookmark tab', run: () => runAction({ command: 'bookmark', tabIds: [tab.id] }) },
+    {
+      title: `Close all in "${tab.category}"`,
+      detail: `${categoryCount} tabs`,
+      // Ask inside the palette; a native confirm() would blur and close the window
+      run: () => pushMenu(`Close ${categoryCount} tabs?`, () => [
+        { title: `Yes, close all ${categoryCount} tabs in "${tab.category}"`, run: () => runAction({ command: 'closeCategory', category: tab.category }) },
+        { title: 'Cancel', run: popMenu }
+      ])
+    }
+  ].filter(Boolean);
+
+  return filterItems(actions, query);
+}
+
+// Target windows for "Move to window"
+function getWindowItems(tab, query) {
+  const items = paletteWindows
+    .filter(window => window.id !== tab.windowId)
+    .map(window => ({
+      title: window.title || `Window ${window.id}`,
+      detail: `${window.tabCount} tabs${window.id === originWindowId ? ' · current window' : ''}`,
+      run: () => runAction({ command: 'moveToWindow', tabIds: [tab.id], windowId: window.id })
+    }));
+  items.push({ title: 'New window', run: () => runAction({ command: 'moveToWindow', tabIds: [tab.id], windowId: 'new' }) });
+  return filterItems(items, query);
+}
+
+// Existing tab groups, plus a new group named after the typed text
+function getGroupItems(tab, query) {
+  const items = filterItems(paletteGroups.map(group => ({
+    title: group.title || `Untitled ${group.color} group`,
+    detail: group.windowId === tab.windowId ? 'this window' : 'other window',
+    run: () => runAction({ command: 'group', tabIds: [tab.id], groupId: group.id })
+  })), query);
+
+  const name = query.trim() || tab.category;
+  items.push({
+    title: `New group "${name}"`,
+    run: () => runAction({ command: 'group', tabIds: [tab.id], groupTitle: name })
+  });
+  return items;
+}
+
+// Open a submenu; typing filters it
+function pushMenu(label, getItems) {
+  menuStack.push({ label, getItems, query: document.getElementById('palette-input').value });
+  document.getElementById('palette-input').value = '';
+  renderPalette();
+}
+
+function popMenu() {
+  const menu = menuStack.pop();
+  document.getElementById('palette-input').value = menu.query;
+  renderPalette();
+}
+
+// Function to fill an element with text, wrapping the given ranges in <mark>
+function setHighlightedText(element, text, ranges) {
+  element.textContent = '';
+  let position = 0;
+
+  (ranges || []).forEach(([start, end]) => {
+    if (start > position) {
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+    }
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    position = end;
+  });
+
+  if (position < text.length) {
+    element.appendChild(document.createTextNode(text.slice(position)));
+  }
+}
+
+function createItemElement(item, index) {
+  const element = document.createElement('div');
+  element.className = 'palette-item';
+  element.dataset.index = index;
+
+  if (item.favicon !== undefined) {
+    const favicon = document.createElement('img');
+    favicon.className = 'palette-favicon';
+    favicon.alt = '';
+    if (item.favicon) {
+      favicon.src = `https://www.google.com/s2/favicons?domain=${item.favicon}&sz=32`;
+    }
+    element.appendChild(favicon);
+  }
+
+  const text = document.createElement('div');
+  text.className = 'palette-text';
+
+  const title = document.createElement('div');
+  title.className = 'palette-title';
+  setHighlightedText(title, item.title, item.highlights && item.highlights.title);
+  text.appendChild(title);
+
+  if (item.detail) {
+    const detail = document.createElement('div');
+    detail.className = 'palette-detail';
+    detail.textContent = item.detail;
+    text.appendChild(detail);
+  }
+  element.appendChild(text);
+
+  if (item.tag) {
+    const tag = document.createElement('span');
+    tag.className = 'palette-tag';
+    tag.textContent = item.tag;
+    element.appendChild(tag);
+  }
+
+  element.addEventListener('mousemove', () => {
+    if (selectedIndex !== index) {
+      selectedIndex = index;
+      updateSelection();
+    }
+  });
+  element.addEventListener('click', () => item.run());
+  return element;
+}
+
+// Function to render the current menu for the typed query
+function renderPalette() {
+  const query = document.getElementById('palette-input').value.trim();
+  const menu = menuStack[menuStack.length - 1];
+
+  const mode = document.getElementById('palette-mode');
+  mode.hidden = !menu;
+  mode.textContent = menu ? menu.label : '';
+
+  visibleItems = menu ? menu.getItems(query) : getTabItems(query);
+  selectedIndex = 0;
+
+  const results = document.getElementById('palette-results');
+  results.innerHTML = '';
+
+  if (visibleItems.length === 0) {
+    results.innerHTML = '<div class="palette-empty">No matches</div>';
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  visibleItems.forEach((item, index) => fragment.appendChild(createItemElement(item, index)));
+  results.appendChild(fragment);
+  updateSelection();
+}
+
+function updateSelection() {
+  document.querySelectorAll('.palette-item').forEach(element => {
+    element.classList.toggle('selected', parseInt(element.dataset.index) === selectedIndex);
+  });
+  const selected = document.querySelector('.palette-item.selected');
+  if (selected) {
+    selected.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function handlePaletteKeydown(event) {
+  const item = visibleItems[selectedIndex];
+
+  if (event.key === 'ArrowDown') {
+    event.preventDefault();
+    selectedIndex = Math.min(selectedIndex + 1, visibleItems.length - 1);
+    updateSelection();
+  } else if (event.key === 'ArrowUp') {
+    event.preventDefault();
+    selectedIndex = Math.max(selectedIndex - 1, 0);
+    updateSelection();
+  } else if (event.key === 'Enter' && item) {
+    event.preventDefault();
+    item.run();
+  } else if (event.key === 'Tab' && item && item.openActions) {
+    event.preventDefault();
+    item.openActions();
+  } else if (event.key === 'Escape') {
+    event.preventDefault();
+    if (menuStack.length > 0) {
+      popMenu();
+    } else {
+      window.close();
+    }
+  }
+}
+
+// Function to load tabs, windows and groups and show the palette
+async function initPalette() {
+  const input = document.getElementById('palette-input');
+  input.addEventListener('input', renderPalette);
+  input.addEventListener('keydown', handlePaletteKeydown);
+
+  // Behave like an overlay: go away when the user clicks elsewhere
+  window.addEventListener('blur', () => window.close());
+
+  try {
+    const data = await sendBackgroundMessage({ action: "getPaletteData" });
+    paletteTabs = data.tabs;
+    paletteWindows = data.windows;
+    paletteGroups = data.groups;
+    renderPalette();
+    input.focus();
+  } catch (error) {
+    console.error('Error loading palette:', error);
+    showPaletteError(`Could not load tabs: ${error.message}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', initPalette);
@@ -0,0 +1,150 @@
+// Archive panel of the popup: search and reopen closed tabs
+
+// Entries loaded from the background, newest first
+let archiveEntries = [];
+let archiveSearchTimeout = null;
+
+// Function to load the archive view
+async function loadArchiveView() {
+  try {
+    const { entries } = await sendBackgroundMessage({ action: "getArchive" });
+    archiveEntries = entries;
+    renderArchive();
+  } catch (error) {
+    console.error('Error loading archive:', error);
+    document.getElementById('archive-list').innerHTML =
+      `<div class="error">Error loading archive: ${error.message}</div>`;
+  }
+}
+
+// Filter the archive with the same query language as the tab search
+function getVisibleArchiveEntries() {
+  const query = document.getElementById('archive-search-input').value.trim();
+  if (!query) {
+    return archiveEntries.map(entry => ({ entry, highlights: {} }));
+  }
+
+  // Archived tabs have no live state, so only the text filters apply
+  return searchTabs(query, archiveEntries, { now: Date.now(), currentWindowId: null })
+    .map(({ tab, highlights }) => ({ entry: tab, highlights }));
+}
+
+// Function to render the (filtered) archive
+function renderArchive() {
+  const list = document.getElementById('archive-list');
+  list.innerHTML = '';
+
+  const visible = getVisibleArchiveEntries();
+  document.getElementById('archive-select-all').checked = false;
+  updateArchiveButtons();
+
+  if (visible.length === 0) {
+    list.innerHTML = archiveEntries.length === 0
+      ? '<div class="empty-state">Closed tabs will show up here.</div>'
+      : '<div class="empty-state">No archived tabs match.</div>';
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  visible.forEach(({ entry, highlights }) => fragment.appendChild(createArchiveRow(entry, highlights)));
+  list.appendChild(fragment);
+}
+
+// Function to create the row for one archived tab
+function createArchiveRow(entry, highlights) {
+  const row = document.createElement('div');
+  row.className = 'panel-item archive-item';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'archive-checkbox';
+  checkbox.dataset.entryId = entry.id;
+  checkbox.addEventListener('change', updateArchiveButtons);
+
+  const info = document.createElement('div');
+  info.className = 'tab-info';
+
+  const title = document.createElement('div');
+  title.className = 'tab-title';
+  setHighlightedText(title, entry.title, highlights.title);
+  title.title = entry.url;
+
+  const meta = document.createElement('div');
+  meta.className = 'tab-summary';
+  const closed = new Date(entry.closedAt).toLocaleString();
+  meta.textContent = `${entry.category} · closed ${closed}${entry.summary && entry.summary !== entry.title ? ` · ${entry.summary}` : ''}`;
+  meta.title = entry.summary || '';
+
+  info.appendChild(title);
+  info.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'panel-item-actions';
+  actions.appendChild(createPanelButton('Reopen', 'Open this tab again', async () => {
+    await sendBackgroundMessage({ action: "reopenArchived", entryIds: [entry.id] });
+    await loadArchiveView();
+  }));
+  actions.appendChild(createPanelButton('✕', 'Remove from the archive', async () => {
+    await sendBackgroundMessage({ action: "removeArchived", entryIds: [entry.id] });
+    await loadArchiveView();
+  }));
+
+  row.appendChild(checkbox);
+  row.appendChild(info);
+  row.appendChild(actions);
+  return row;
+}
+
+function getCheckedArchiveIds() {
+  return Array.from(document.querySelectorAll('.archive-checkbox:checked'))
+    .map(checkbox => checkbox.dataset.entryId);
+}
+
+function updateArchiveButtons() {
+  const count = getCheckedArchiveIds().length;
+  const reopenBtn = document.getElementById('archive-reopen-btn');
+  reopenBtn.textContent = count > 0 ? `Reopen ${count}` : 'Reopen';
+  reopenBtn.disabled = count === 0;
+  document.getElementById('archive-remove-btn').disabled = count === 0;
+}
+
+// Function to reopen the checked entries together (in a new window when there are several)
+async function reopenCheckedArchive() {
+  const entryIds = getCheckedArchiveIds();
+  if (entryIds.length === 0) {
+    return;
+  }
+
+  try {
+    await sendBackgroundMessage({ action: "reopenArchived", entryIds });
+    await loadArchiveView();
+  } catch (error) {
+    console.error('Error reopening archived tabs:', error);
+    alert(`Could not reopen tabs: ${error.message}`);
+  }
+}
+
+// Function to set up the archive controls (called once)
+function setupArchiveControls() {
+  document.getElementById('archive-search-input').addEventListener('input', () => {
+    clearTimeout(archiveSearchTimeout);
+    archiveSearchTimeout = setTimeout(renderArchive, 120);
+  });
+
+  document.getElementById('archive-select-all').addEventListener('change', (event) => {
+    document.querySelectorAll('.archive-checkbox').forEach(checkbox => {
+      checkbox.checked = event.target.checked;
+    });
+    updateArchiveButtons();
+  });
+
+  document.getElementById('archive-reopen-btn').addEventListener('click', reopenCheckedArchive);
+
+  document.getElementById('archive-remove-btn').addEventListener('click', async () => {
+    const entryIds = getCheckedArchiveIds();
+    if (entryIds.length > 0 && confirm(`Remove ${entryIds.length} tabs from the archive?`)) {
+      await sendBackgroundMessage({ action: "removeArchived", entryIds });
+      await loadArchiveView();
+    }
+  });
+}
@@ -0,0 +1,250 @@
+// Cleanup panel of the popup: preview tabs matched by the cleanup rules, close them, undo from the trash
+
+// Tabs currently offered for closing
+let cleanupCandidates = [];
+
+// Function to load the cleanup view
+async function loadCleanupView() {
+  try {
+    const { cleanup } = await getSettings();
+    renderCleanupRules(cleanup.rules);
+    await refreshCleanupPreview();
+    await loadTrash();
+  } catch (error) {
+    console.error('Error loading cleanup view:', error);
+    document.getElementById('cleanup-preview-list').innerHTML =
+      `<div class="error">Error loading cleanup: ${error.message}</div>`;
+  }
+}
+
+// Function to render a checkbox per cleanup rule; toggling one is remembered
+function renderCleanupRules(rules) {
+  const container = document.getElementById('cleanup-rules-list');
+  container.innerHTML = '';
+
+  rules.forEach(rule => {
+    const label = document.createElement('label');
+    label.className = 'toggle-option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = rule.enabled;
+    checkbox.addEventListener('change', async () => {
+      const { cleanup } = await getSettings();
+      const updatedRules = cleanup.rules.map(item =>
+        item.id === rule.id ? { ...item, enabled: checkbox.checked } : item
+      );
+      await updateSettings({ cleanup: { rules: updatedRules } });
+      await refreshCleanupPreview();
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(rule.name));
+    container.appendChild(label);
+  });
+}
+
+// Function to fetch and render the tabs the enabled rules would close
+async function refreshCleanupPreview() {
+  const { candidates } = await sendBackgroundMessage({ action: "previewCleanup" });
+  cleanupCandidates = candidates;
+
+  const list = document.getElementById('cleanup-preview-list');
+  list.innerHTML = '';
+
+  if (candidates.length === 0) {
+    list.innerHTML = '<div class="empty-state">No tabs match the selected rules.</div>';
+  }
+
+  const fragment = document.createDocumentFragment();
+  candidates.forEach(candidate => fragment.appendChild(createCleanupRow(candidate)));
+  list.appendChild(fragment);
+
+  document.getElementById('cleanup-select-all').checked = true;
+  updateCleanupButton();
+}
+
+// Function to describe how long ago a timestamp was
+function formatIdleTime(timestamp) {
+  const minutes = Math.round((Date.now() - (timestamp || Date.now())) / 60000);
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+  if (minutes < 24 * 60) {
+    return `${Math.round(minutes / 60)} h`;
+  }
+  return `${Math.round(minutes / (24 * 60))} d`;
+}
+
+// Function to create the preview row for one candidate tab
+function createCleanupRow(candidate) {
+  const row = document.createElement('label');
+  row.className = 'panel-item cleanup-item';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'cleanup-checkbox';
+  checkbox.dataset.tabId = candidate.tabId;
+  checkbox.checked = true;
+  checkbox.addEventListener('change', updateCleanupButton);
+
+  const info = document.createElement('div');
+  info.className = 'tab-info';
+
+  const title = document.createElement('div');
+  title.className = 'tab-title';
+  title.textContent = candidate.title;
+
+  const meta = document.createElement('div');
+  meta.className = 'tab-summary';
+  meta.textContent = `${candidate.category} · idle ${formatIdleTime(candidate.lastAccessed)} · ${candidate.reasons.join(', ')}`;
+  meta.title = candidate.url;
+
+  info.appendChild(title);
+  info.appendChild(meta);
+
+  row.appendChild(checkbox);
+  row.appendChild(info);
+  return row;
+}
+
+function getCheckedCleanupTabIds() {
+  return Array.from(document.querySelectorAll('.cleanup-checkbox:checked'))
+    .map(checkbox => parseInt(checkbox.dataset.tabId));
+}
+
+function updateCleanupButton() {
+  const count = getCheckedCleanupTabIds().length;
+  const button = document.getElementById('cleanup-run-btn');
+  button.textContent = count > 0 ? `Close ${count} tab${count === 1 ? '' : 's'}` : 'Close';
+  button.disabled = count === 0;
+}
+
+// Function to close the checked tabs into the trash
+async function runCleanup() {
+  const tabIds = getCheckedCleanupTabIds();
+  if (tabIds.length === 0) {
+    return;
+  }
+
+  const button = document.getElementById('cleanup-run-btn');
+  button.disabled = true;
+
+  try {
+    const label = `Cleanup: ${tabIds.length} tab${tabIds.length === 1 ? '' : 's'}`;
+    await sendBackgroundMessage({ action: "runCleanup", tabIds, label });
+    tabIds.forEach(tabId => delete tabData[tabId]);
+    renderTabGroups();
+    await refreshCleanupPreview();
+    await loadTrash();
+  } catch (error) {
+    console.error('Error running cleanup:', error);
+    alert(`Cleanup failed: ${error.message}`);
+    updateCleanupButton();
+  }
+}
+
+// Function to load and render the trash
+async function loadTrash() {
+  const { trash } = await sendBackgroundMessage({ action: "getTrash" });
+
+  const list = document.getElementById('trash-list');
+  list.innerHTML = '';
+  document.getElementById('empty-trash-btn').disabled = trash.length === 0;
+
+  if (trash.length === 0) {
+    list.innerHTML = '<div class="empty-state">The trash is empty.</div>';
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  trash.forEach(batch => fragment.appendChild(createTrashBatch(batch)));
+  list.appendChild(fragment);
+}
+
+// Function to create a trash batch with its restorable entries
+function createTrashBatch(batch) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'trash-batch';
+
+  const row = document.createElement('div');
+  row.className = 'panel-item';
+
+  const info = document.createElement('div');
+  info.className = 'tab-info';
+
+  const name = document.createElement('div');
+  name.className = 'tab-title';
+  name.textContent = batch.label;
+
+  const meta = document.createElement('div');
+  meta.className = 'tab-summary';
+  meta.textContent = `${batch.tabs.length} tabs · closed ${new Date(batch.closedAt).toLocaleString()}`;
+
+  info.appendChild(name);
+  info.appendChild(meta);
+
+  const entries = document.createElement('div');
+  entries.className = 'trash-entries';
+  entries.hidden = true;
+
+  batch.tabs.forEach(entry => {
+    const entryRow = document.createElement('div');
+    entryRow.className = 'panel-item trash-entry';
+
+    const title = document.createElement('div');
+    title.className = 'tab-info tab-title';
+    title.textContent = entry.title || entry.url;
+    title.title = entry.url;
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-item-actions';
+    actions.appendChild(createPanelButton('Restore', 'Reopen this tab', async () => {
+      await sendBackgroundMessage({ action: "restoreTrash", batchId: batch.id, entryIds: [entry.id] });
+      await loadTrash();
+    }));
+
+    entryRow.appendChild(title);
+    entryRow.appendChild(actions);
+    entries.appendChild(entryRow);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'panel-item-actions';
+
+  const toggleBtn = createPanelButton('Show', 'Show the tabs in this batch', async () => {
+    entries.hidden = !entries.hidden;
+    toggleBtn.textContent = entries.hidden ? 'Show' : 'Hide';
+  });
+  actions.appendChild(toggleBtn);
+
+  actions.appendChild(createPanelButton('Undo', 'Reopen every tab in this batch', async () => {
+    await sendBackgroundMessage({ action: "restoreTrash", batchId: batch.id });
+    await loadTrash();
+  }));
+
+  row.appendChild(info);
+  row.appendChild(actions);
+  wrapper.appendChild(row);
+  wrapper.appendChild(entries);
+  return wrapper;
+}
+
+// Function to set up the cleanup controls (called once)
+function setupCleanupControls() {
+  document.getElementById('cleanup-run-btn').addEventListener('click', runCleanup);
+
+  document.getElementById('cleanup-select-all').addEventListener('change', (event) => {
+    document.querySelectorAll('.cleanup-checkbox').forEach(checkbox => {
+      checkbox.checked = event.target.checked;
+    });
+    updateCleanupButton();
+  });
+
+  document.getElementById('empty-trash-btn').addEventListener('click', async () => {
+    if (confirm('Permanently forget every batch in the trash?')) {
+      await sendBackgroundMessage({ action: "emptyTrash" });
+      await loadTrash();
+    }
+  });
+}
@@ -0,0 +1,73 @@
+// Page content matches shown below the search results
+
+// Plain (non-negated) terms of a query; field filters don't apply to page text
+function getContentSearchTerms(query) {
+  const terms = [];
+  parseSearchQuery(query).groups.forEach(group => {
+    group.forEach(clause => {
+      if (clause.term && !clause.negate) {
+        terms.push(clause.term);
+      }
+    });
+  });
+  return terms.join(' ');
+}
+
+// Function to ask the background for full-text matches and render them
+async function renderContentMatches(query, shownTabIds) {
+  const terms = getContentSearchTerms(query);
+  if (!terms) {
+    return;
+  }
+
+  try {
+    const response = await sendBackgroundMessage({ action: "fullTextSearch", query: terms });
+
+    // Ignore results for a query that has since changed
+    if (query !== getSearchText()) {
+      return;
+    }
+
+    const matches = response.results.filter(result => tabData[result.tabId] && !shownTabIds.has(result.tabId));
+    if (matches.length === 0) {
+      return;
+    }
+
+    const groupElement = document.createElement('div');
+    groupElement.className = 'tab-group search-results content-matches';
+
+    const headerElement = document.createElement('div');
+    headerElement.className = 'group-header';
+    headerElement.dataset.listenersBound = 'true';
+    headerElement.innerHTML = `
+      <div class="group-title">
+        <span>Page content matches</span>
+        <span class="group-count">${matches.length}</span>
+      </div>
+    `;
+
+    const tabListElement = document.createElement('div');
+    tabListElement.className = 'tab-list';
+
+    matches.forEach(({ tabId, snippet }) => {
+      const tabElement = createTabElement(tabData[tabId]);
+      const summaryElement = tabElement.querySelector('.tab-summary');
+      summaryElement.classList.add('content-snippet');
+      setHighlightedText(summaryElement, snippet.text, snippet.highlights);
+      tabListElement.appendChild(tabElement);
+    });
+
+    groupElement.appendChild(headerElement);
+    groupElement.appendChild(tabListElement);
+    document.getElementById('tab-groups-container').appendChild(groupElement);
+
+    // Keep a selection if the title search found nothing
+    if (selectedResultIndex < 0) {
+      selectedResultIndex = 0;
+    }
+    updateSelectedResult();
+    addEventListeners();
+  } catch (error) {
+    console.error('Error searching page contents:', error);
+  }
+}
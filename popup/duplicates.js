@@ -0,0 +1,163 @@
+// Duplicates section of the popup
+
+// Pending refresh while tab changes are streaming in
+let duplicatesRefreshTimeout = null;
+
+// Function to refresh the duplicates section once changes settle
+function scheduleDuplicatesRefresh() {
+  clearTimeout(duplicatesRefreshTimeout);
+  duplicatesRefreshTimeout = setTimeout(renderDuplicatesSection, 500);
+}
+
+// Function to request duplicate groups from the background and render them
+function renderDuplicatesSection() {
+  const container = document.getElementById('duplicates-container');
+  if (!container) {
+    return;
+  }
+
+  chrome.runtime.sendMessage({ action: "getDuplicates" }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.warn('Could not load duplicates:', chrome.runtime.lastError || (response && response.error));
+      container.innerHTML = '';
+      return;
+    }
+
+    const groups = [...response.exact, ...response.near];
+    container.innerHTML = '';
+
+    if (groups.length === 0) {
+      return;
+    }
+
+    const section = document.createElement('div');
+    section.className = 'tab-group duplicates-group';
+
+    const header = document.createElement('div');
+    header.className = 'group-header';
+    header.dataset.listenersBound = 'true';
+
+    const titleElement = document.createElement('div');
+    titleElement.className = 'group-title';
+    titleElement.innerHTML = '<span>Duplicates</span>';
+    const count = document.createElement('span');
+    count.className = 'group-count';
+    count.textContent = groups.length;
+    titleElement.appendChild(count);
+    header.appendChild(titleElement);
+
+    const list = document.createElement('div');
+    list.className = 'tab-list';
+
+    groups.forEach(group => {
+      list.appendChild(createDuplicateRow(group));
+    });
+
+    header.addEventListener('click', () => {
+      list.style.display = list.style.display === 'none' ? 'block' : 'none';
+    });
+
+    section.appendChild(header);
+    section.appendChild(list);
+    container.appendChild(section);
+  });
+}
+
+// Function to create one row for a set of duplicate tabs
+function createDuplicateRow(group) {
+  const keepTab = tabData[group.keepTabId] || {};
+
+  const row = document.createElement('div');
+  row.className = 'tab-item duplicate-item';
+  row.dataset.listenersBound = 'true';
+
+  const info = document.createElement('div');
+  info.className = 'tab-info';
+
+  const title = document.createElement('div');
+  title.className = 'tab-title';
+  title.textContent = keepTab.title || keepTab.url || group.key;
+
+  const summary = document.createElement('div');
+  summary.className = 'tab-summary';
+  summary.textContent = group.type === 'exact'
+    ? `${group.tabIds.length} identical tabs`
+    : `${group.tabIds.length} similar tabs · ${group.reason}`;
+
+  info.appendChild(title);
+  info.appendChild(summary);
+
+  row.appendChild(info);
+
+  // Similar tabs may be different pages: list them to review and close one by one
+  if (group.type !== 'exact') {
+    info.appendChild(createDuplicateMemberList(group));
+    return row;
+  }
+
+  const mergeBtn = document.createElement('button');
+  mergeBtn.className = 'secondary-action-btn';
+  mergeBtn.textContent = 'Keep newest, close rest';
+  mergeBtn.title = 'Keep the most recently used tab and close the others';
+  mergeBtn.addEventListener('click', (event) => {
+    event.stopPropagation();
+    mergeBtn.disabled = true;
+
+    chrome.runtime.sendMessage({ action: "mergeDuplicates", tabIds: group.tabIds }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error merging duplicates:', chrome.runtime.lastError || (response && response.error));
+        mergeBtn.disabled = false;
+        return;
+      }
+
+      response.closedTabIds.forEach(tabId => delete tabData[tabId]);
+      renderTabGroups();
+    });
+  });
+
+  // Clicking the row jumps to the tab that would be kept
+  row.addEventListener('click', () => {
+    chrome.tabs.update(group.keepTabId, { active: true });
+  });
+
+  row.appendChild(mergeBtn);
+  return row;
+}
+
+// Function to list the tabs of a near-duplicate set, each with its own close button
+function createDuplicateMemberList(group) {
+  const list = document.createElement('ul');
+  list.className = 'duplicate-members';
+
+  group.tabIds.forEach(tabId => {
+    const tab = tabData[tabId] || {};
+    const member = document.createElement('li');
+
+    const title = document.createElement('span');
+    title.className = 'duplicate-member-title';
+    title.textContent = tab.title || tab.url || `Tab ${tabId}`;
+    title.title = tab.url || '';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'tab-action-btn tab-close-btn';
+    closeBtn.textContent = '✕';
+    closeBtn.title = 'Close this tab';
+    closeBtn.addEventListener('click', (event) => {
+      event.stopPropagation();
+      chrome.tabs.remove(tabId);
+      member.remove();
+    });
+
+    // Clicking a member jumps to that tab
+    member.addEventListener('click', (event) => {
+      event.stopPropagation();
+      chrome.tabs.update(tabId, { active: true });
+    });
+
+    member.appendChild(title);
+    member.appendChild(closeBtn);
+    list.appendChild(member);
+  });
+
+  return list;
+}
@@ -3,39 +3,11 @@ let tabData = {};
 let categories = new Set();
 let isInitialized = false;
 
-// Create a favicon cache
-const faviconCache = new Map();
+// How the tab list is grouped ('category', 'topic', 'task' or 'window'), from the settings
+let groupBy = 'category';
 
-// Function to get favicon URL with caching
-function getFaviconUrl(domain) {
-  if (faviconCache.has(domain)) {
-    return faviconCache.get(domain);
-  }
-  
-  // Try to get the favicon from google's favicon service as it's more reliable
-  const faviconUrl = `https://www.google.com/s2/favicons?domain=${domain}&sz=32`;
-  faviconCache.set(domain, faviconUrl);
-  return faviconUrl;
-}
-
-// Intersection Observer for lazy loading favicons
-const faviconObserver = new IntersectionObserver((entries) => {
-  entries.forEach(entry => {
-    if (entry.isIntersecting) {
-      const container = entry.target;
-      const domain = container.dataset.domain;
-      if (domain) {
-        const img = container.querySelector('img');
-        if (img && !img.src) {
-          img.src = getFaviconUrl(domain);
-        }
-      }
-      faviconObserver.unobserve(container);
-    }
-  });
-}, {
-  rootMargin: '50px' // Start loading when favicon is 50px away from viewport
-});
+// Pending rebuild of the tab list (changes arrive in bursts)
+let tabGroupsRenderTimeout = null;
 
 // Function to initialize the popup
 async function initPopup() {
@@ -53,6 +25,7 @@ async function initPopup() {
   
   // Set up message listeners first
   setupMessageListeners();
+  setupStaticControls();
   
   // Try to get all tabs directly first to ensure we have the most up-to-date list
   let currentTabs = [];
@@ -64,15 +37,20 @@ async function initPopup() {
     console.error('Error querying tabs directly:', tabError);
   }
   
-  // Try to load data from storage first for faster display
+  // Restore the grouping chosen last time before the first render
+  groupBy = (await getSettings()).groupBy;
+  document.getElementById('group-by-select').value = groupBy;
+  await loadCurrentWindow();
+  
+  // Load the background's tab data (it owns the stored records)
   let dataLoaded = false;
   try {
-    console.log('Attempting to load tab data from storage...');
-    const result = await chrome.storage.local.get('tabData');
+    console.log('Requesting tab snapshot from background...');
+    await requestTabSnapshot();
     
-    if (result.tabData && Object.keys(result.tabData).length > 0) {
-      console.log(`Loaded ${Object.keys(result.tabData).length} tabs from storage`);
-      tabData = result.tabData;
+    if (Object.keys(tabData).length > 0) {
+      console.log(`Loaded ${Object.keys(tabData).length} tabs from background`);
+      dataLoaded = true;
       
       // Check if the stored data matches current tabs
       if (currentTabs.length > 0) {
@@ -89,33 +67,18 @@ async function initPopup() {
         if (missingTabs.length > 0 || extraTabs.length > 3) {
           console.log('Significant tab mismatch detected, forcing refresh');
           await analyzeTabs(); // Force a complete refresh
-          dataLoaded = true;
-        } else {
-          // Just render what we have for now
-          renderTabGroups();
-          dataLoaded = true;
-          
-          // Still refresh in the background
-          refreshDataFromBackground();
         }
-      } else {
-        // Just render what we have from storage
-        renderTabGroups();
-        dataLoaded = true;
-        
-        // Still refresh in the background
-        refreshDataFromBackground();
       }
     } else {
-      console.log('No tab data found in storage or empty data');
+      console.log('No tab data in the background yet');
     }
-  } catch (storageError) {
-    console.error('Error loading from storage:', storageError);
+  } catch (loadError) {
+    console.error('Error loading tab data:', loadError);
   }
   
-  // If we couldn't load from storage or there was a mismatch, force a refresh
+  // If we couldn't load any data, force a refresh
   if (!dataLoaded) {
-    console.log('No data loaded from storage, forcing complete refresh');
+    console.log('No data loaded, forcing complete refresh');
     await analyzeTabs(); // This will force a complete refresh
   }
   
@@ -123,60 +86,6 @@ async function initPopup() {
   addEventListeners();
 }
 
-// Function to refresh data from background script
-async function refreshDataFromBackground() {
-  try {
-    console.log('Refreshing data from background...');
-    
-    // Get initial tab data with timeout to prevent hanging
-    const response = await getTabDataWithTimeout(5000);
-    
-    if (response && response.tabData && Object.keys(response.tabData).length > 0) {
-      console.log(`Refreshed data with ${Object.keys(response.tabData).length} tabs`);
-      tabData = response.tabData;
-      renderTabGroups();
-      return true;
-    } else if (response && response.error) {
-      console.error('Error refreshing data:', response.error);
-      // If we have an error but already have tab data, keep using it
-      if (Object.keys(tabData).length > 0) {
-        console.log('Using existing tab data instead');
-        renderTabGroups();
-        return true;
-      }
-    }
-    
-    // If we got here, we need to analyze tabs
-    console.log('No data received, trying to analyze tabs...');
-    await analyzeTabs();
-    return true;
-  } catch (error) {
-    console.error('Error refreshing data:', error);
-    
-    // If we already rendered something, don't show error
-    if (document.querySelector('.tab-group')) {
-      console.log('Already rendered groups, keeping current view');
-      return true;
-    }
-    
-    // If we have tab data but failed to render, try rendering again
-    if (Object.keys(tabData).length > 0) {
-      console.log('Have tab data, trying to render again');
-      try {
-        renderTabGroups();
-        return true;
-      } catch (renderError) {
-        console.error('Error rendering tab groups:', renderError);
-      }
-    }
-    
-    document.getElementById('tab-groups-container').innerHTML = 
-      `<div class="error">Error loading tabs: ${error.message}<br><br>
-      Please try the Analyze button or reload the extension.</div>`;
-    return false;
-  }
-}
-
 // Helper function to set up message listeners
 function setupMessageListeners() {
   try {
@@ -193,34 +102,10 @@ function setupMessageListeners() {
 function handleBackgroundMessages(message, sender, sendResponse) {
   console.log('Received message from background:', message);
   
-  if (message.action === "tabDataUpdated") {
-    console.log('Received updated tab data from background');
-    
-    if (message.tabData) {
-      tabData = message.tabData;
-      renderTabGroups();
-      
-      // Save to storage for faster access next time
-      chrome.storage.local.set({ tabData });
-    } else if (message.status === 'complete') {
-      // If we just got a completion notification without data, refresh from storage
-      chrome.storage.local.get('tabData', result => {
-        if (result.tabData) {
-          tabData = result.tabData;
-          renderTabGroups();
-        }
-      });
-    }
+  if (isTabSyncMessage(message)) {
+    handleTabSyncMessage(message);
   } else if (message.action === "tabAnalysisProgress") {
-    // Update progress indicator
-    const { processed, total } = message;
-    const container = document.getElementById('tab-groups-container');
-    
-    // Only update if we're still in loading state
-    if (container.querySelector('.loading')) {
-      container.innerHTML = 
-        `<div class="loading">Analyzing tabs... ${processed}/${total} (${Math.round(processed/total*100)}%)</div>`;
-    }
+    showAnalysisProgress(message);
   } else if (message.action === "tabDataError") {
     console.error('Error from background:', message.error);
     
@@ -251,58 +136,42 @@ function handleBackgroundMessages(message, sender, sendResponse) {
   }
 }
 
-// Helper function to get tab data with a timeout
-async function getTabDataWithTimeout(timeout = 5000) {
-  console.log(`Getting tab data with ${timeout}ms timeout...`);
+// Helper to send a message to the background and get a promise for the response
+function sendBackgroundMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response || !response.success) {
+        reject(new Error((response && response.error) || 'No response from background'));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+// Function to show the analysis queue's progress on the Analyze button
+function showAnalysisProgress({ processed, total, failed, deferred, done }) {
+  const analyzeBtn = document.getElementById('analyze-btn');
   
-  // First try to get from storage directly
-  try {
-    console.log('Trying to get tab data from storage...');
-    const storageData = await chrome.storage.local.get('tabData');
-    if (storageData && storageData.tabData && Object.keys(storageData.tabData).length > 0) {
-      console.log(`Found ${Object.keys(storageData.tabData).length} tabs in storage`);
-      return { tabData: storageData.tabData };
-    }
-    console.log('No tab data in storage or empty data');
-  } catch (storageError) {
-    console.error('Error getting tab data from storage:', storageError);
+  if (done) {
+    analyzeBtn.textContent = "Analyze Tabs";
+    analyzeBtn.disabled = false;
+    analyzeBtn.title = failed > 0 || deferred > 0
+      ? `Last run: ${failed} failed, ${deferred} waiting for their tab to load`
+      : '';
+  } else if (total > 1) {
+    // Single-tab runs (switching tabs) finish too fast to be worth showing
+    analyzeBtn.textContent = `Analyzing ${processed}/${total}`;
+    analyzeBtn.disabled = true;
   }
   
-  // Then try to get from background script
-  return new Promise((resolve) => {
-    console.log('Requesting tab data from background script...');
-    
-    // Set a timeout to prevent hanging if background doesn't respond
-    const timeoutId = setTimeout(() => {
-      console.warn(`getTabData timed out after ${timeout}ms`);
-      resolve({ tabData: {}, error: 'Timeout getting tab data' });
-    }, timeout);
-    
-    // Request the data
-    try {
-      chrome.runtime.sendMessage({ action: "getTabData" }, (response) => {
-        clearTimeout(timeoutId);
-        
-        if (chrome.runtime.lastError) {
-          console.error('Runtime error getting tab data:', chrome.runtime.lastError);
-          resolve({ tabData: {}, error: chrome.runtime.lastError.message });
-          return;
-        }
-        
-        if (response && response.tabData) {
-          console.log(`Received ${Object.keys(response.tabData).length} tabs from background`);
-          resolve(response);
-        } else {
-          console.warn('Received empty or invalid response from background');
-          resolve({ tabData: {}, error: 'Invalid response from background' });
-        }
-      });
-    } catch (error) {
-      clearTimeout(timeoutId);
-      console.error('Error sending getTabData message:', error);
-      resolve({ tabData: {}, error: error.message });
-    }
-  });
+  // Also update the placeholder if nothing is shown yet
+  const loading = document.querySelector('#tab-groups-container .loading');
+  if (loading && !done) {
+    loading.textContent = `Analyzing tabs... ${processed}/${total} (${Math.round(processed / total * 100)}%)`;
+  }
 }
 
 // Function to analyze all tabs
@@ -319,14 +188,8 @@ async function analyzeTabs() {
 
     console.log('Starting forced tab analysis...');
     
-    // Clear existing tab data to force a fresh start
+    // Clear the displayed tab data to force a fresh start
     tabData = {};
-    try {
-      await chrome.storage.local.remove('tabData');
-      console.log('Cleared existing tab data');
-    } catch (clearError) {
-      console.warn('Error clearing storage:', clearError);
-    }
     
     // First try to get tabs directly to check if we have access
     let allTabs;
@@ -367,13 +230,11 @@ async function analyzeTabs() {
     console.log('Analysis response:', response);
 
     if (response && response.success) {
-      // Even if successful, force a fresh data load
-      console.log('Forcing fresh data load...');
-      const freshData = await getTabDataWithTimeout(10000); // Increased timeout
+      // Show what the background has now; tabs then update one by one as they are analyzed
+      console.log('Loading tab snapshot...');
+      await requestTabSnapshot();
       
-      if (freshData && freshData.tabData && Object.keys(freshData.tabData).length > 0) {
-        tabData = freshData.tabData;
-        renderTabGroups();
+      if (Object.keys(tabData).length > 0) {
         console.log('Successfully refreshed tab data');
       } else {
         // If we can't get fresh data but have tabs, create basic data
@@ -437,184 +298,320 @@ async function analyzeTabs() {
   }
 }
 
-// Function to close inactive tabs
-async function closeInactiveTabs() {
-  const now = new Date().getTime();
-  const thirtyMinutesAgo = now - (30 * 60 * 1000); // 30 minutes in milliseconds
-  
-  const inactiveTabIds = Object.entries(tabData)
-    .filter(([_, data]) => data.lastAccessed < thirtyMinutesAgo)
-    .map(([tabId, _]) => parseInt(tabId));
-  
-  if (inactiveTabIds.length > 0) {
-    if (confirm(`Close ${inactiveTabIds.length} inactive tabs?`)) {
-      chrome.runtime.sendMessage({ 
-        action: "closeTabs", 
-        tabIds: inactiveTabIds 
-      }, () => {
-        renderTabGroups();
-      });
+// Function to review inactive tabs before closing them (opens the cleanup view)
+function closeInactiveTabs() {
+  showView('cleanup-view');
+}
+
+// Search state: pending debounce and keyboard selection in the results
+let searchTimeout = null;
+let selectedResultIndex = -1;
+
+// Function to handle search input
+function handleSearch() {
+  clearTimeout(searchTimeout);
+  searchTimeout = setTimeout(runSearch, 120);
+}
+
+// Function to check whether a search is active
+function getSearchText() {
+  return document.getElementById('search-input').value.trim();
+}
+
+// Function to run the current query and show ranked results
+async function runSearch() {
+  const query = getSearchText();
+  if (!query) {
+    selectedResultIndex = -1;
+    renderTabGroups();
+    return;
+  }
+  
+  try {
+    const [liveTabs, currentWindow] = await Promise.all([
+      chrome.tabs.query({}),
+      chrome.windows.getCurrent()
+    ]);
+    
+    // Combine our analysis with live tab state for the field filters
+    const tabs = liveTabs.map(tab => ({
+      id: tab.id,
+      url: tab.url,
+      title: tab.title,
+      category: 'Uncategorized',
+      summary: '',
+      ...(tabData[tab.id] || {}),
+      windowId: tab.windowId,
+      pinned: tab.pinned,
+      audible: tab.audible,
+      mutedInfo: tab.mutedInfo
+    }));
+    
+    const results = searchTabs(query, tabs, {
+      now: Date.now(),
+      currentWindowId: currentWindow.id
+    });
+    
+    // Ignore results for a query that has since changed
+    if (query === getSearchText()) {
+      renderSearchResults(results);
+      await renderContentMatches(query, new Set(results.map(({ tab }) => tab.id)));
     }
-  } else {
-    alert("No inactive tabs found.");
+  } catch (error) {
+    console.error('Error running search:', error);
   }
 }
 
-// Function to handle search input
-function handleSearch(event) {
-  const searchTerm = event.target.value.toLowerCase();
+// Function to fill an element with text, wrapping the given ranges in <mark>
+function setHighlightedText(element, text, ranges) {
+  element.textContent = '';
+  let position = 0;
+  
+  (ranges || []).forEach(([start, end]) => {
+    if (start > position) {
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+    }
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    position = end;
+  });
+  
+  if (position < text.length) {
+    element.appendChild(document.createTextNode(text.slice(position)));
+  }
+}
+
+// Function to render ranked search results as a single list
+function renderSearchResults(results) {
+  const container = document.getElementById('tab-groups-container');
+  container.innerHTML = '';
   
-  // Get all tab items
-  const tabItems = document.querySelectorAll('.tab-item');
+  const groupElement = document.createElement('div');
+  groupElement.className = 'tab-group search-results';
   
-  // Filter tabs based on search term
-  tabItems.forEach(item => {
-    const tabTitle = item.querySelector('.tab-title').textContent.toLowerCase();
-    const tabSummary = item.querySelector('.tab-summary').textContent.toLowerCase();
+  const headerElement = document.createElement('div');
+  headerElement.className = 'group-header';
+  headerElement.innerHTML = `
+    <div class="group-title">
+      <span>Results</span>
+      <span class="group-count">${results.length}</span>
+    </div>
+    <div class="search-hint">↑↓ to select, Enter to open</div>
+  `;
+  
+  const tabListElement = document.createElement('div');
+  tabListElement.className = 'tab-list';
+  
+  if (results.length === 0) {
+    tabListElement.innerHTML = '<div class="empty-state">No matching tabs</div>';
+  }
+  
+  results.forEach(({ tab, highlights }) => {
+    const tabElement = createTabElement(tab);
     
-    if (tabTitle.includes(searchTerm) || tabSummary.includes(searchTerm)) {
-      item.style.display = 'flex';
-    } else {
-      item.style.display = 'none';
+    const titleElement = tabElement.querySelector('.tab-title');
+    const badge = titleElement.querySelector('.category-badge');
+    setHighlightedText(titleElement, tab.title || tab.url || '', tab.title ? highlights.title : highlights.url);
+    if (badge) {
+      titleElement.prepend(badge);
     }
+    setHighlightedText(tabElement.querySelector('.tab-summary'), tab.summary || '', highlights.summary);
+    const noteElement = tabElement.querySelector('.tab-note');
+    if (noteElement) {
+      setHighlightedText(noteElement, tab.note, highlights.note);
+    }
+    
+    tabListElement.appendChild(tabElement);
   });
   
-  // Show/hide group headers based on whether they have visible tabs
-  const tabGroups = document.querySelectorAll('.tab-group');
-  tabGroups.forEach(group => {
-    const visibleTabs = group.querySelectorAll('.tab-item[style="display: flex;"]');
-    if (visibleTabs.length === 0 && searchTerm !== '') {
-      group.style.display = 'none';
-    } else {
-      group.style.display = 'block';
-    }
+  groupElement.appendChild(headerElement);
+  groupElement.appendChild(tabListElement);
+  container.appendChild(groupElement);
+  
+  selectedResultIndex = results.length > 0 ? 0 : -1;
+  updateSelectedResult();
+  addEventListeners();
+}
+
+// Function to mark the keyboard-selected result
+function updateSelectedResult() {
+  const items = document.querySelectorAll('.search-results .tab-item');
+  items.forEach((item, index) => {
+    item.classList.toggle('selected', index === selectedResultIndex);
   });
+  
+  if (items[selectedResultIndex]) {
+    items[selectedResultIndex].scrollIntoView({ block: 'nearest' });
+  }
+}
+
+// Function to handle arrow keys, Enter and Escape in the search box
+function handleSearchKeydown(event) {
+  const items = document.querySelectorAll('.search-results .tab-item');
+  
+  if (event.key === 'ArrowDown' && items.length > 0) {
+    event.preventDefault();
+    selectedResultIndex = Math.min(selectedResultIndex + 1, items.length - 1);
+    updateSelectedResult();
+  } else if (event.key === 'ArrowUp' && items.length > 0) {
+    event.preventDefault();
+    selectedResultIndex = Math.max(selectedResultIndex - 1, 0);
+    updateSelectedResult();
+  } else if (event.key === 'Enter' && items[selectedResultIndex]) {
+    event.preventDefault();
+    const tabId = parseInt(items[selectedResultIndex].dataset.tabId);
+    focusTab(tabId);
+  } else if (event.key === 'Escape' && event.target.value) {
+    event.preventDefault();
+    event.target.value = '';
+    runSearch();
+  }
+}
+
+// Function to switch to a tab and its window
+async function focusTab(tabId) {
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    console.error('Error switching to tab:', error);
+  }
 }
 
 // Function to render tab groups
 function renderTabGroups() {
+  clearTimeout(tabGroupsRenderTimeout);
+  tabGroupsRenderTimeout = null;
+  
   const tabGroupsContainer = document.getElementById('tab-groups-container');
   tabGroupsContainer.innerHTML = '';
   
   // Extract categories and group tabs
-  const groupedTabs = {};
-  categories = new Set();
-  
-  // Group tabs by category
-  Object.values(tabData).forEach(tab => {
-    if (!groupedTabs[tab.category]) {
-      groupedTabs[tab.category] = [];
-      categories.add(tab.category);
-    }
-    groupedTabs[tab.category].push(tab);
-  });
-  
-  // Sort tabs within each category by last accessed time
-  Object.keys(groupedTabs).forEach(category => {
-    groupedTabs[category].sort((a, b) => b.lastAccessed - a.lastAccessed);
-  });
+  const tabs = Object.values(tabData);
+  categories = new Set(tabs.map(tab => tab.category));
   
   // Create a fragment to minimize DOM updates
   const fragment = document.createDocumentFragment();
   
-  // Create category elements
-  Object.keys(groupedTabs).sort().forEach(category => {
-    const tabs = groupedTabs[category];
-    
-    // Create group element
-    const groupElement = document.createElement('div');
-    groupElement.className = 'tab-group';
-    
-    // Create group header
-    const headerElement = document.createElement('div');
-    headerElement.className = 'group-header';
-    headerElement.innerHTML = `
-      <div class="group-title">
-        <span>${category}</span>
-        <span class="group-count">${tabs.length}</span>
-      </div>
-      <div class="group-actions">
-        <button class="group-collapse-btn">▼</button>
-      </div>
-    `;
-    
-    // Create tab list container
-    const tabListElement = document.createElement('div');
-    tabListElement.className = 'tab-list';
+  if (groupBy === 'window') {
+    // Window sections hold their own category groups
+    appendWindowSections(fragment, tabs);
+  } else {
+    let groupedTabs;
+    let groupOrder;
+    if (groupBy === 'topic') {
+      groupedTabs = groupTabsByTopic(tabs);
+      groupOrder = sortGroupsBySize(groupedTabs, OTHER_TOPICS_GROUP);
+    } else if (groupBy === 'task') {
+      groupedTabs = groupTabsByTask(tabs);
+      groupOrder = sortGroupsBySize(groupedTabs, UNCLUSTERED_TASK_GROUP);
+    } else {
+      groupedTabs = groupTabsByCategory(tabs);
+      groupOrder = Object.keys(groupedTabs).sort();
+    }
     
-    // Add tabs to the list
-    tabs.forEach(tab => {
-      const tabElement = document.createElement('div');
-      tabElement.className = 'tab-item';
-      tabElement.dataset.tabId = tab.id;
-      
-      // Create favicon container with lazy loading
-      const faviconContainer = document.createElement('div');
-      faviconContainer.className = 'favicon-container';
-      
-      try {
-        const domain = new URL(tab.url).hostname;
-        if (domain) {
-          faviconContainer.dataset.domain = domain;
-          const faviconImg = document.createElement('img');
-          faviconImg.className = 'tab-favicon';
-          faviconImg.alt = '';
-          // Don't set src yet - will be set by Intersection Observer
-          faviconContainer.appendChild(faviconImg);
-          // Observe the container for lazy loading
-          faviconObserver.observe(faviconContainer);
-        } else {
-          const defaultFavicon = document.createElement('div');
-          defaultFavicon.className = 'default-favicon';
-          faviconContainer.appendChild(defaultFavicon);
-        }
-      } catch (e) {
-        // If URL parsing fails, use default favicon
-        const defaultFavicon = document.createElement('div');
-        defaultFavicon.className = 'default-favicon';
-        faviconContainer.appendChild(defaultFavicon);
+    // Create group elements
+    groupOrder.forEach(group => {
+      // Only category groups take dropped tabs
+      const groupElement = createGroupElement(group, groupedTabs[group], { droppable: groupBy === 'category' });
+      if (groupBy === 'task') {
+        addClusterSaveButton(groupElement, group, groupedTabs[group]);
       }
-      
-      // Create tab info container
-      const tabInfo = document.createElement('div');
-      tabInfo.className = 'tab-info';
-      tabInfo.innerHTML = `
-        <div class="tab-title">${tab.title}</div>
-        <div class="tab-summary">${tab.summary}</div>
-      `;
-      
-      // Create actions container
-      const tabActions = document.createElement('div');
-      tabActions.className = 'tab-actions';
-      tabActions.innerHTML = `
-        <button class="tab-action-btn tab-goto-btn" title="Go to tab">↗</button>
-        <button class="tab-action-btn tab-close-btn" title="Close tab">✕</button>
-      `;
-      
-      // Append all elements
-      tabElement.appendChild(faviconContainer);
-      tabElement.appendChild(tabInfo);
-      tabElement.appendChild(tabActions);
-      
-      tabListElement.appendChild(tabElement);
+      fragment.appendChild(groupElement);
     });
-    
-    // Add elements to the group
-    groupElement.appendChild(headerElement);
-    groupElement.appendChild(tabListElement);
-    
-    // Add group to fragment
-    fragment.appendChild(groupElement);
-  });
+  }
   
   // Update the container
   tabGroupsContainer.appendChild(fragment);
   
   // Update tab count statistics
   updateStats();
+  updateSuspendedSummary();
+  
+  // Refresh the duplicates section for the new data
+  renderDuplicatesSection();
   
   // Add event listeners
   addEventListeners();
+  
+  // Keep showing search results if a query is active
+  if (getSearchText()) {
+    runSearch();
+  }
+}
+
+// Rebuild the list once a burst of changes settles
+function scheduleTabGroupsRender() {
+  clearTimeout(tabGroupsRenderTimeout);
+  tabGroupsRenderTimeout = setTimeout(renderTabGroups, 300);
+}
+
+// Function to describe which tabs sit in which group of the current view, in order
+// (for window grouping, the window of each tab too)
+function getTabGroupsLayout(tabs) {
+  let groupedTabs;
+  if (groupBy === 'topic') {
+    groupedTabs = groupTabsByTopic(tabs);
+  } else if (groupBy === 'task') {
+    groupedTabs = groupTabsByTask(tabs);
+  } else {
+    groupedTabs = groupTabsByCategory(tabs);
+  }
+  
+  const layout = {};
+  Object.keys(groupedTabs).forEach(group => {
+    layout[group] = groupedTabs[group].map(tab => [tab.id, tab.windowId]);
+  });
+  return JSON.stringify(layout);
+}
+
+// Function to show changes from the background without rebuilding the list
+function applyTabDataChange(nextTabData) {
+  if (getSearchText()) {
+    // Search results are a separate list; run the query again on the new data
+    tabData = nextTabData;
+    categories = new Set(Object.values(tabData).map(tab => tab.category));
+    handleSearch();
+  } else if (groupBy !== 'category') {
+    // Topic, task and window groups depend on the other tabs too (or on where tabs are);
+    // redraw changed rows in place, and rebuild the groups only when tabs change groups
+    const clustersChanged = groupBy === 'task' && haveClusterInputsChanged(tabData, nextTabData);
+    if (getTabGroupsLayout(Object.values(tabData)) === getTabGroupsLayout(Object.values(nextTabData))) {
+      patchTabRows(nextTabData);
+      addEventListeners();
+      scheduleDuplicatesRefresh();
+    } else {
+      tabData = nextTabData;
+      scheduleTabGroupsRender();
+    }
+    if (clustersChanged) {
+      scheduleTaskClustersRefresh();
+    }
+  } else {
+    patchTabGroups(nextTabData);
+    addEventListeners();
+    scheduleDuplicatesRefresh();
+  }
+  
+  updateStats();
+  updateSuspendedSummary();
+}
+
+// Function to show the tabs about one topic (clicked on a topic chip)
+function filterByTopic(topic) {
+  const searchInput = document.getElementById('search-input');
+  searchInput.value = `topic:"${topic.replace(/"/g, '')}"`;
+  searchInput.focus();
+  runSearch();
+}
+
+// Function to show the tabs with one tag (clicked on a tag chip)
+function filterByTag(tag) {
+  const searchInput = document.getElementById('search-input');
+  searchInput.value = `tag:"${tag.replace(/"/g, '')}"`;
+  searchInput.focus();
+  runSearch();
 }
 
 // Function to update statistics
@@ -632,58 +629,99 @@ function updateStats() {
   document.getElementById('groups-count').textContent = categories.size;
 }
 
-// Function to add event listeners to the UI elements
-function addEventListeners() {
-  // Add listeners for tab items
-  document.querySelectorAll('.tab-item').forEach(item => {
-    // Go to tab when clicked
-    item.addEventListener('click', (event) => {
-      // Don't trigger if clicking on a button
-      if (!event.target.closest('button')) {
-        const tabId = parseInt(item.dataset.tabId);
-        chrome.tabs.update(tabId, { active: true });
-      }
+// Loaders for views that fetch their content when shown
+const viewLoaders = {
+  'workspaces-view': loadWorkspacesView,
+  'share-view': loadShareView,
+  'cleanup-view': loadCleanupView,
+  'archive-view': loadArchiveView
+};
+
+// Function to switch between the popup views
+function showView(viewId) {
+  document.querySelectorAll('.view').forEach(view => {
+    view.hidden = view.id !== viewId;
+  });
+  document.querySelectorAll('.view-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.view === viewId);
+  });
+  
+  if (viewLoaders[viewId]) {
+    viewLoaders[viewId]();
+  }
+}
+
+// Function to set up listeners for static controls (called once)
+function setupStaticControls() {
+  document.querySelectorAll('.view-tab').forEach(tab => {
+    tab.addEventListener('click', () => showView(tab.dataset.view));
+  });
+  setupWorkspaceControls();
+  setupShareControls();
+  setupSuspensionControls();
+  setupCleanupControls();
+  setupArchiveControls();
+  setupWindowControls();
+  
+  document.getElementById('analyze-btn').addEventListener('click', analyzeTabs);
+  document.getElementById('close-inactive-btn').addEventListener('click', closeInactiveTabs);
+  document.getElementById('search-input').addEventListener('input', handleSearch);
+  document.getElementById('search-input').addEventListener('keydown', handleSearchKeydown);
+  
+  document.getElementById('open-options-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  
+  // Keep the tab list open next to the page; sidePanel.open() must run directly
+  // in the click handler, so look up the window beforehand
+  let popupWindowId = null;
+  chrome.windows.getCurrent().then(currentWindow => {
+    popupWindowId = currentWindow.id;
+  });
+  document.getElementById('open-side-panel-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.sidePanel.open({ windowId: popupWindowId }).then(() => window.close()).catch(error => {
+      console.error('Error opening side panel:', error);
     });
-    
-    // Go to tab button
-    const gotoBtn = item.querySelector('.tab-goto-btn');
-    if (gotoBtn) {
-      gotoBtn.addEventListener('click', (event) => {
-        event.stopPropagation();
-        const tabId = parseInt(item.dataset.tabId);
-        chrome.tabs.update(tabId, { active: true });
-      });
-    }
-    
-    // Close tab button
-    const closeBtn = item.querySelector('.tab-close-btn');
-    if (closeBtn) {
-      closeBtn.addEventListener('click', (event) => {
-        event.stopPropagation();
-        const tabId = parseInt(item.dataset.tabId);
-        chrome.tabs.remove(tabId);
-        delete tabData[tabId];
-        chrome.storage.local.set({ tabData });
-        item.remove();
-        updateStats();
-      });
+  });
+  
+  document.getElementById('open-dashboard-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+  });
+  
+  // Grouping of the tab list
+  const groupBySelect = document.getElementById('group-by-select');
+  groupBySelect.addEventListener('change', () => {
+    groupBy = groupBySelect.value;
+    updateSettings({ groupBy });
+    renderTabGroups();
+    if (groupBy === 'task') {
+      loadTaskClusters();
     }
   });
   
-  // Add listeners for group headers
-  document.querySelectorAll('.group-header').forEach(header => {
-    header.addEventListener('click', () => {
-      const tabList = header.nextElementSibling;
-      const collapseBtn = header.querySelector('.group-collapse-btn');
-      
-      if (tabList.style.display === 'none') {
-        tabList.style.display = 'block';
-        collapseBtn.textContent = '▼';
-      } else {
-        tabList.style.display = 'none';
-        collapseBtn.textContent = '▶';
-      }
-    });
+  // Native tab group mirroring - the background reacts to the setting change
+  const tabStripToggle = document.getElementById('apply-tab-strip-toggle');
+  getSettings().then(settings => {
+    tabStripToggle.checked = settings.applyToTabStrip;
+  });
+  tabStripToggle.addEventListener('change', () => {
+    updateSettings({ applyToTabStrip: tabStripToggle.checked });
+  });
+}
+
+// Function to add event listeners to the UI elements
+function addEventListeners() {
+  // Bind tab items and group headers (once per element - this runs after every render)
+  bindTabListEvents((tabId, item) => {
+    item.remove();
+    if (tabData[tabId]) {
+      const nextTabData = { ...tabData };
+      delete nextTabData[tabId];
+      applyTabDataChange(nextTabData);
+    }
   });
 }
 
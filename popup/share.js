@@ -0,0 +1,165 @@
+// Import / Export panel of the popup
+
+// Function to fill the export pickers
+function loadShareView() {
+  const scopeSelect = document.getElementById('export-scope-select');
+  scopeSelect.innerHTML = '';
+  scopeSelect.add(new Option('All tabs', 'all'));
+  scopeSelect.add(new Option('Current window', 'window'));
+  Array.from(categories).sort().forEach(category => {
+    scopeSelect.add(new Option(`Category: ${category}`, `category:${category}`));
+  });
+
+  const formatSelect = document.getElementById('export-format-select');
+  if (formatSelect.options.length === 0) {
+    Object.entries(TAB_EXPORT_FORMATS).forEach(([format, info]) => {
+      formatSelect.add(new Option(info.label, format));
+    });
+  }
+}
+
+// Collect the tab records for the selected export scope, in tab strip order
+async function getExportEntries() {
+  const scope = document.getElementById('export-scope-select').value;
+  const query = scope === 'window' ? { currentWindow: true } : {};
+  const tabs = await chrome.tabs.query(query);
+
+  return tabs
+    .filter(tab => !scope.startsWith('category:') ||
+      (tabData[tab.id] && tabData[tab.id].category === scope.slice('category:'.length)))
+    .map(tab => ({
+      ...(tabData[tab.id] || {}),
+      id: tab.id,
+      url: tab.url,
+      title: tab.title,
+      pinned: tab.pinned,
+      category: (tabData[tab.id] && tabData[tab.id].category) || 'Uncategorized'
+    }))
+    .filter(entry => entry.url && !entry.url.startsWith('chrome'));
+}
+
+// Function to build the export text for the current form values
+async function buildExport() {
+  const format = document.getElementById('export-format-select').value;
+  const entries = await getExportEntries();
+  return { format, entries, text: exportTabs(entries, format) };
+}
+
+function setShareStatus(elementId, text) {
+  document.getElementById(elementId).textContent = text;
+}
+
+// Function to copy the export to the clipboard
+async function copyExport() {
+  try {
+    const { entries, text } = await buildExport();
+    await navigator.clipboard.writeText(text);
+    setShareStatus('export-status', `Copied ${entries.length} tabs`);
+  } catch (error) {
+    console.error('Error copying export:', error);
+    setShareStatus('export-status', `Copy failed: ${error.message}`);
+  }
+}
+
+// Function to download the export as a file
+async function downloadExport() {
+  try {
+    const { format, entries, text } = await buildExport();
+    const info = TAB_EXPORT_FORMATS[format];
+    const blob = new Blob([text], { type: info.mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tabs-${new Date().toISOString().slice(0, 10)}.${info.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    setShareStatus('export-status', `Exported ${entries.length} tabs`);
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    setShareStatus('export-status', `Export failed: ${error.message}`);
+  }
+}
+
+// Parse whatever is in the import box
+function readImportEntries() {
+  try {
+    const entries = parseTabImport(document.getElementById('import-text').value);
+    if (entries.length === 0) {
+      setShareStatus('import-status', 'No links found');
+    }
+    return entries;
+  } catch (error) {
+    console.error('Error parsing import:', error);
+    setShareStatus('import-status', `Could not read import: ${error.message}`);
+    return [];
+  }
+}
+
+// Function to open imported tabs in a new window
+async function openImportedTabs() {
+  const entries = readImportEntries();
+  if (entries.length === 0) {
+    return;
+  }
+
+  try {
+    await sendBackgroundMessage({ action: "openTabs", tabs: entries });
+    setShareStatus('import-status', `Opened ${entries.length} tabs`);
+  } catch (error) {
+    console.error('Error opening imported tabs:', error);
+    setShareStatus('import-status', `Open failed: ${error.message}`);
+  }
+}
+
+// Function to save imported tabs as a workspace
+async function saveImportAsWorkspace() {
+  const entries = readImportEntries();
+  if (entries.length === 0) {
+    return;
+  }
+
+  const name = prompt('Workspace name:', `Imported ${new Date().toLocaleDateString()}`);
+  if (!name || !name.trim()) {
+    return;
+  }
+
+  try {
+    await sendBackgroundMessage({ action: "createWorkspace", name, tabs: entries });
+    setShareStatus('import-status', `Saved ${entries.length} tabs as "${name.trim()}"`);
+  } catch (error) {
+    console.error('Error saving import as workspace:', error);
+    setShareStatus('import-status', `Save failed: ${error.message}`);
+  }
+}
+
+// Load a chosen file into the import box
+function readImportFile(event) {
+  const file = event.target.files[0];
+  if (!file) {
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    document.getElementById('import-text').value = reader.result;
+    const count = readImportEntries().length;
+    setShareStatus('import-status', `${count} links found in ${file.name}`);
+  };
+  reader.onerror = () => {
+    setShareStatus('import-status', `Could not read ${file.name}`);
+  };
+  reader.readAsText(file);
+}
+
+// Function to set up the import/export controls (called once)
+function setupShareControls() {
+  document.getElementById('export-copy-btn').addEventListener('click', copyExport);
+  document.getElementById('export-download-btn').addEventListener('click', downloadExport);
+  document.getElementById('import-open-btn').addEventListener('click', openImportedTabs);
+  document.getElementById('import-workspace-btn').addEventListener('click', saveImportAsWorkspace);
+  document.getElementById('import-file-input').addEventListener('change', readImportFile);
+}
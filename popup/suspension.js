@@ -0,0 +1,62 @@
+// Suspended (discarded) tabs in the popup
+
+function getSuspendedTabIds(tabs) {
+  return tabs.filter(tab => tab.discarded).map(tab => tab.id);
+}
+
+// Function to wake suspended tabs; the background reloads them without switching
+async function wakeSuspendedTabs(tabIds, button) {
+  if (button) {
+    button.disabled = true;
+  }
+
+  try {
+    await sendBackgroundMessage({ action: "wakeTabs", tabIds });
+    tabIds.forEach(tabId => {
+      if (tabData[tabId]) {
+        tabData[tabId].discarded = false;
+      }
+    });
+    renderTabGroups();
+  } catch (error) {
+    console.error('Error waking tabs:', error);
+    if (button) {
+      button.disabled = false;
+    }
+  }
+}
+
+// Function to create a "Wake" button for a group header
+function createGroupWakeButton(tabIds) {
+  const button = document.createElement('button');
+  button.className = 'secondary-action-btn group-wake-btn';
+  button.textContent = `Wake ${tabIds.length}`;
+  button.title = 'Reload the suspended tabs in this group';
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    wakeSuspendedTabs(tabIds, button);
+  });
+  return button;
+}
+
+// Function to show how many tabs are suspended, with a "Wake all" action
+function updateSuspendedSummary() {
+  const summary = document.getElementById('suspended-summary');
+  if (!summary) {
+    return;
+  }
+
+  const tabIds = getSuspendedTabIds(Object.values(tabData));
+  summary.hidden = tabIds.length === 0;
+  document.getElementById('suspended-count').textContent =
+    `${tabIds.length} suspended tab${tabIds.length === 1 ? '' : 's'}`;
+  document.getElementById('wake-all-btn').disabled = false;
+}
+
+// Function to set up the suspension controls (called once)
+function setupSuspensionControls() {
+  const wakeAllBtn = document.getElementById('wake-all-btn');
+  wakeAllBtn.addEventListener('click', () => {
+    wakeSuspendedTabs(getSuspendedTabIds(Object.values(tabData)), wakeAllBtn);
+  });
+}
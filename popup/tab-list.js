@@ -0,0 +1,773 @@
+// Tab and category list rendering shared by the popup and the side panel
+// Expects the page to define tabData, categories and renderTabGroups(); a page that defines
+// filterByTopic(topic) gets clickable topic chips
+
+// Create a favicon cache
+const faviconCache = new Map();
+
+// Function to get favicon URL with caching
+function getFaviconUrl(domain) {
+  if (faviconCache.has(domain)) {
+    return faviconCache.get(domain);
+  }
+  
+  // Try to get the favicon from google's favicon service as it's more reliable
+  const faviconUrl = `https://www.google.com/s2/favicons?domain=${domain}&sz=32`;
+  faviconCache.set(domain, faviconUrl);
+  return faviconUrl;
+}
+
+// Intersection Observer for lazy loading favicons
+const faviconObserver = new IntersectionObserver((entries) => {
+  entries.forEach(entry => {
+    if (entry.isIntersecting) {
+      const container = entry.target;
+      const domain = container.dataset.domain;
+      if (domain) {
+        const img = container.querySelector('img');
+        if (img && !img.src) {
+          img.src = getFaviconUrl(domain);
+        }
+      }
+      faviconObserver.unobserve(container);
+    }
+  });
+}, {
+  rootMargin: '50px' // Start loading when favicon is 50px away from viewport
+});
+
+// Tabs whose key points are expanded (kept when their rows are re-rendered)
+const expandedSummaryTabs = new Set();
+
+// Function to create the list element for one tab
+function createTabElement(tab) {
+  const tabElement = document.createElement('div');
+  tabElement.className = tab.discarded ? 'tab-item suspended' : 'tab-item';
+  tabElement.dataset.tabId = tab.id;
+  
+  // Create favicon container with lazy loading
+  const faviconContainer = document.createElement('div');
+  faviconContainer.className = 'favicon-container';
+  
+  try {
+    const domain = new URL(tab.url).hostname;
+    if (domain) {
+      faviconContainer.dataset.domain = domain;
+      const faviconImg = document.createElement('img');
+      faviconImg.className = 'tab-favicon';
+      faviconImg.alt = '';
+      // Don't set src yet - will be set by Intersection Observer
+      faviconContainer.appendChild(faviconImg);
+      // Observe the container for lazy loading
+      faviconObserver.observe(faviconContainer);
+    } else {
+      const defaultFavicon = document.createElement('div');
+      defaultFavicon.className = 'default-favicon';
+      faviconContainer.appendChild(defaultFavicon);
+    }
+  } catch (e) {
+    // If URL parsing fails, use default favicon
+    const defaultFavicon = document.createElement('div');
+    defaultFavicon.className = 'default-favicon';
+    faviconContainer.appendChild(defaultFavicon);
+  }
+  
+  // Create tab info container
+  const tabInfo = document.createElement('div');
+  tabInfo.className = 'tab-info';
+  const titleElement = document.createElement('div');
+  titleElement.className = 'tab-title';
+  titleElement.textContent = tab.title || tab.url;
+  const summaryElement = document.createElement('div');
+  summaryElement.className = 'tab-summary';
+  summaryElement.textContent = tab.summary || '';
+  tabInfo.appendChild(titleElement);
+  tabInfo.appendChild(summaryElement);
+  
+  // Key sentences of the page, shown when the summary is expanded
+  const points = Array.isArray(tab.summaryPoints) ? tab.summaryPoints : [];
+  if (points.length > 0) {
+    summaryElement.classList.add('expandable');
+    summaryElement.title = 'Show key points';
+    const pointsElement = document.createElement('ul');
+    pointsElement.className = 'tab-summary-points';
+    points.forEach(point => {
+      const pointElement = document.createElement('li');
+      pointElement.textContent = point;
+      pointsElement.appendChild(pointElement);
+    });
+    pointsElement.hidden = !expandedSummaryTabs.has(tab.id);
+    summaryElement.classList.toggle('expanded', !pointsElement.hidden);
+    tabInfo.appendChild(pointsElement);
+  }
+  
+  // Topics found in the page
+  const topics = Array.isArray(tab.topics) ? tab.topics : [];
+  if (topics.length > 0) {
+    const topicsElement = document.createElement('div');
+    topicsElement.className = 'tab-topics';
+    const clickable = typeof filterByTopic === 'function';
+    topics.forEach(topic => {
+      const chip = document.createElement(clickable ? 'button' : 'span');
+      chip.className = 'topic-chip';
+      chip.dataset.topic = topic;
+      chip.textContent = topic;
+      if (clickable) {
+        chip.title = `Show tabs about "${topic}"`;
+      }
+      topicsElement.appendChild(chip);
+    });
+    tabInfo.appendChild(topicsElement);
+  }
+  
+  // The user's own tags and note
+  const tags = Array.isArray(tab.tags) ? tab.tags : [];
+  if (tags.length > 0) {
+    const tagsElement = document.createElement('div');
+    tagsElement.className = 'tab-tags';
+    const clickable = typeof filterByTag === 'function';
+    tags.forEach(tag => {
+      const chip = document.createElement(clickable ? 'button' : 'span');
+      chip.className = 'tag-chip';
+      chip.dataset.tag = tag;
+      chip.textContent = `#${tag}`;
+      if (clickable) {
+        chip.title = `Show tabs tagged "${tag}"`;
+      }
+      tagsElement.appendChild(chip);
+    });
+    tabInfo.appendChild(tagsElement);
+  }
+  if (tab.note) {
+    const noteElement = document.createElement('div');
+    noteElement.className = 'tab-note';
+    noteElement.textContent = tab.note;
+    tabInfo.appendChild(noteElement);
+  }
+  
+  // Reading time, author and date from the page, when it has them
+  const pageDetails = getPageDetails(tab);
+  if (pageDetails) {
+    const metaElement = document.createElement('div');
+    metaElement.className = 'tab-meta';
+    metaElement.textContent = pageDetails;
+    tabInfo.appendChild(metaElement);
+  }
+  
+  // Mark categories that were guessed rather than matched by a rule
+  const badge = createCategoryBadge(tab);
+  if (badge) {
+    tabInfo.querySelector('.tab-title').prepend(badge);
+  }
+  
+  // Create actions container
+  const tabActions = document.createElement('div');
+  tabActions.className = 'tab-actions';
+  tabActions.innerHTML = `
+    <button class="tab-action-btn tab-reanalyze-btn" title="Re-analyze this tab now">↻</button>
+    <button class="tab-action-btn tab-notes-btn" title="Tags and note">#</button>
+    <button class="tab-action-btn tab-move-btn" title="Move to another category or window (or drag it onto a group)">⇄</button>
+    <button class="tab-action-btn tab-goto-btn" title="Go to tab">↗</button>
+    <button class="tab-action-btn tab-close-btn" title="Close tab">✕</button>
+  `;
+  if (tab.discarded) {
+    tabActions.insertAdjacentHTML('afterbegin',
+      '<button class="tab-action-btn tab-wake-btn" title="Wake suspended tab">☀</button>');
+  }
+  
+  // Append all elements
+  tabElement.appendChild(faviconContainer);
+  tabElement.appendChild(tabInfo);
+  tabElement.appendChild(tabActions);
+  
+  return tabElement;
+}
+
+// Function to show or hide a tab's key points
+function toggleSummaryPoints(item) {
+  const pointsElement = item.querySelector('.tab-summary-points');
+  if (!pointsElement) {
+    return;
+  }
+  
+  const tabId = parseInt(item.dataset.tabId);
+  pointsElement.hidden = !pointsElement.hidden;
+  item.querySelector('.tab-summary').classList.toggle('expanded', !pointsElement.hidden);
+  if (pointsElement.hidden) {
+    expandedSummaryTabs.delete(tabId);
+  } else {
+    expandedSummaryTabs.add(tabId);
+  }
+}
+
+// Function to describe a page's reading time, author and publish date in one line
+function getPageDetails(tab) {
+  const details = [];
+  if (tab.readingTime) {
+    details.push(`${tab.readingTime} min read`);
+  }
+  if (tab.byline) {
+    details.push(tab.byline);
+  }
+  if (tab.publishedAt) {
+    const published = new Date(tab.publishedAt);
+    if (!isNaN(published.getTime())) {
+      details.push(published.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }));
+    }
+  }
+  return details.join(' · ');
+}
+
+// Function to force a fresh analysis of one tab; the updated row arrives as a tabUpdated change
+async function reanalyzeTab(tabId, button) {
+  button.disabled = true;
+  button.classList.add('busy');
+  
+  try {
+    await sendBackgroundMessage({ action: "analyzeSingleTab", tabId, force: true });
+  } catch (error) {
+    console.error('Error re-analyzing tab:', error);
+  } finally {
+    button.disabled = false;
+    button.classList.remove('busy');
+  }
+}
+
+// Function to create the badge showing how a tab's category was chosen
+function createCategoryBadge(tab) {
+  const badge = document.createElement('span');
+  badge.className = 'category-badge';
+  
+  if (tab.categorySource === 'classifier' && typeof tab.categoryConfidence === 'number') {
+    badge.classList.add('badge-guess');
+    badge.textContent = `${Math.round(tab.categoryConfidence * 100)}%`;
+    badge.title = 'Guessed by the learning classifier (confidence)';
+  } else if (tab.categorySource === 'llm') {
+    badge.classList.add('badge-ai');
+    badge.textContent = 'AI';
+    badge.title = 'Category suggested by the AI provider';
+  } else if (tab.categorySource === 'manual') {
+    badge.classList.add('badge-manual');
+    badge.textContent = '✎';
+    const override = tab.categoryOverride;
+    badge.title = override && override.scope === 'domain'
+      ? `Category chosen by you for all of ${override.pattern}`
+      : 'Category chosen by you for this page';
+  } else {
+    return null;
+  }
+  
+  return badge;
+}
+
+// Function to order window ids for display: the current window first, then the rest oldest first
+function sortWindowIds(windowIds, currentWindowId) {
+  return Array.from(new Set(windowIds)).sort((a, b) => (b === currentWindowId) - (a === currentWindowId) || a - b);
+}
+
+// "This window", "Window 2", ... (numbered in sortWindowIds order)
+function getWindowLabel(windowId, sortedWindowIds, currentWindowId) {
+  return windowId === currentWindowId ? 'This window' : `Window ${sortedWindowIds.indexOf(windowId) + 1}`;
+}
+
+// Function to add the open windows (and a new one) to a move menu, as "window:<id>" options
+// excludeWindowId leaves out the window the tab is already in
+async function addWindowMoveOptions(menu, excludeWindowId) {
+  const windowOptions = document.createElement('optgroup');
+  windowOptions.label = 'Move to window';
+  menu.appendChild(windowOptions);
+  
+  try {
+    const [windows, currentWindow] = await Promise.all([
+      chrome.windows.getAll({ windowTypes: ['normal'] }),
+      chrome.windows.getCurrent()
+    ]);
+    // Tabs can't move between incognito and regular windows
+    const windowIds = sortWindowIds(windows.filter(window => !window.incognito).map(window => window.id), currentWindow.id);
+    windowIds.filter(windowId => windowId !== excludeWindowId).forEach(windowId => {
+      windowOptions.appendChild(new Option(getWindowLabel(windowId, windowIds, currentWindow.id), `window:${windowId}`));
+    });
+  } catch (error) {
+    console.error('Error listing windows:', error);
+  }
+  windowOptions.appendChild(new Option('New window', 'window:new'));
+}
+
+// Function to read a "window:<id>" menu value: a window id, 'new', or null for other values
+function getMenuWindowId(value) {
+  if (!value.startsWith('window:')) {
+    return null;
+  }
+  const windowId = value.slice('window:'.length);
+  return windowId === 'new' ? 'new' : parseInt(windowId);
+}
+
+// Drag data type for tab rows (the tab id)
+const TAB_DRAG_TYPE = 'application/x-tab-id';
+
+// Function to move a tab to a category and keep it there for the page (scope 'url') or its
+// whole domain (scope 'domain')
+function setTabCategory(tabId, category, scope) {
+  chrome.runtime.sendMessage({ action: "moveTabToCategory", tabId, category, scope }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error('Error moving tab:', chrome.runtime.lastError || (response && response.error));
+    }
+  });
+}
+
+function getUrlHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Function to add "<scope>:<category>" options for the other categories (and a new one)
+function addCategoryMoveOptions(menu, label, scope, currentCategory) {
+  const categoryOptions = document.createElement('optgroup');
+  categoryOptions.label = label;
+  Array.from(categories).sort().forEach(category => {
+    if (category !== currentCategory) {
+      categoryOptions.appendChild(new Option(category, `${scope}:${category}`));
+    }
+  });
+  categoryOptions.appendChild(new Option('New category…', `${scope}:`));
+  menu.appendChild(categoryOptions);
+}
+
+// Function to show a category and window picker for moving a tab
+function showMoveMenu(item) {
+  // Only one picker at a time
+  document.querySelectorAll('.move-menu').forEach(menu => menu.remove());
+  
+  const tabId = parseInt(item.dataset.tabId);
+  const record = tabData[tabId] || {};
+  const host = getUrlHost(record.url);
+  
+  const menu = document.createElement('select');
+  menu.className = 'move-menu';
+  
+  const placeholder = new Option('Move to…', '');
+  placeholder.disabled = true;
+  placeholder.selected = true;
+  menu.add(placeholder);
+  if (record.categorySource === 'manual') {
+    menu.add(new Option('Automatic category', 'reset'));
+  }
+  
+  addCategoryMoveOptions(menu, 'This page to category', 'url', record.category);
+  if (host) {
+    addCategoryMoveOptions(menu, `All of ${host} to category`, 'domain', null);
+  }
+  addWindowMoveOptions(menu, record.windowId);
+  
+  menu.addEventListener('click', event => event.stopPropagation());
+  menu.addEventListener('blur', () => menu.remove());
+  menu.addEventListener('change', () => {
+    const value = menu.value;
+    menu.remove();
+    
+    const windowId = getMenuWindowId(value);
+    if (windowId !== null) {
+      chrome.runtime.sendMessage({ action: "moveTabsToWindow", tabIds: [tabId], windowId }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.error('Error moving tab to window:', chrome.runtime.lastError || (response && response.error));
+        }
+      });
+      return;
+    }
+    
+    if (value === 'reset') {
+      chrome.runtime.sendMessage({ action: "resetTabCategory", tabId }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.error('Error resetting category:', chrome.runtime.lastError || (response && response.error));
+        }
+      });
+      return;
+    }
+    
+    const separator = value.indexOf(':');
+    const scope = value.slice(0, separator);
+    let category = value.slice(separator + 1);
+    if (!category) {
+      category = (prompt('New category name:') || '').trim();
+    }
+    
+    if (category) {
+      setTabCategory(tabId, category, scope);
+    }
+  });
+  
+  item.querySelector('.tab-info').appendChild(menu);
+  menu.focus();
+}
+
+// Function to group tab records by category, most recently used first within each group
+function groupTabsByCategory(tabs) {
+  const groupedTabs = {};
+  
+  tabs.forEach(tab => {
+    if (!groupedTabs[tab.category]) {
+      groupedTabs[tab.category] = [];
+    }
+    groupedTabs[tab.category].push(tab);
+  });
+  
+  Object.keys(groupedTabs).forEach(category => {
+    groupedTabs[category].sort((a, b) => b.lastAccessed - a.lastAccessed);
+  });
+  
+  return groupedTabs;
+}
+
+// Group for tabs whose topics no other tab shares
+const OTHER_TOPICS_GROUP = 'Other topics';
+
+// Function to group tabs by topic: each tab goes under its best topic that another tab shares
+function groupTabsByTopic(tabs) {
+  const topicCounts = new Map();
+  tabs.forEach(tab => {
+    new Set((tab.topics || []).map(topic => topic.toLowerCase())).forEach(key => {
+      topicCounts.set(key, (topicCounts.get(key) || 0) + 1);
+    });
+  });
+  
+  const groupedTabs = {};
+  tabs.forEach(tab => {
+    const shared = (tab.topics || []).find(topic => topicCounts.get(topic.toLowerCase()) > 1);
+    const group = shared || OTHER_TOPICS_GROUP;
+    if (!groupedTabs[group]) {
+      groupedTabs[group] = [];
+    }
+    groupedTabs[group].push(tab);
+  });
+  
+  Object.keys(groupedTabs).forEach(group => {
+    groupedTabs[group].sort((a, b) => b.lastAccessed - a.lastAccessed);
+  });
+  
+  return groupedTabs;
+}
+
+// Function to order group names largest first, with the catch-all group (e.g. "Other topics") last
+function sortGroupsBySize(groupedTabs, restGroup) {
+  return Object.keys(groupedTabs).sort((a, b) =>
+    (a === restGroup) - (b === restGroup) ||
+    groupedTabs[b].length - groupedTabs[a].length ||
+    a.localeCompare(b));
+}
+
+// Function to create the collapsible element for one category
+// droppable: tabs dragged onto the group move to its category (off for topic and task groups)
+function createGroupElement(category, tabs, { droppable = true } = {}) {
+  const groupElement = document.createElement('div');
+  groupElement.className = 'tab-group';
+  groupElement.dataset.category = category;
+  if (droppable) {
+    groupElement.dataset.droppable = 'true';
+  }
+  
+  // Create group header
+  const headerElement = document.createElement('div');
+  headerElement.className = 'group-header';
+  headerElement.innerHTML = `
+    <div class="group-title">
+      <span></span>
+      <span class="group-count"></span>
+    </div>
+    <div class="group-actions">
+      <button class="group-collapse-btn">▼</button>
+    </div>
+  `;
+  headerElement.querySelector('.group-title span').textContent = category;
+  
+  // Create tab list container
+  const tabListElement = document.createElement('div');
+  tabListElement.className = 'tab-list';
+  tabs.forEach(tab => {
+    tabListElement.appendChild(createTabElement(tab));
+  });
+  
+  groupElement.appendChild(headerElement);
+  groupElement.appendChild(tabListElement);
+  updateGroupHeader(groupElement, tabs);
+  
+  return groupElement;
+}
+
+// Function to refresh a group header's count and "Wake" button
+function updateGroupHeader(groupElement, tabs) {
+  const headerElement = groupElement.querySelector('.group-header');
+  headerElement.querySelector('.group-count').textContent = tabs.length;
+  
+  // Offer to wake the group's suspended tabs
+  const wakeBtn = headerElement.querySelector('.group-wake-btn');
+  if (wakeBtn) {
+    wakeBtn.remove();
+  }
+  const suspendedTabIds = getSuspendedTabIds(tabs);
+  if (suspendedTabIds.length > 0) {
+    headerElement.querySelector('.group-actions').prepend(createGroupWakeButton(suspendedTabIds));
+  }
+}
+
+// Function to bind click handlers to tab items and group headers not yet bound
+// onTabClosed(tabId, item) runs after a tab is closed from its ✕ button
+function bindTabListEvents(onTabClosed) {
+  document.querySelectorAll('.tab-item:not([data-listeners-bound])').forEach(item => {
+    item.dataset.listenersBound = 'true';
+    
+    // Go to tab when clicked
+    item.addEventListener('click', (event) => {
+      // Clicking an expandable summary shows its key points instead
+      if (event.target.closest('.tab-summary.expandable, .tab-summary-points')) {
+        toggleSummaryPoints(item);
+        return;
+      }
+      // Don't trigger if clicking on a button
+      if (!event.target.closest('button')) {
+        const tabId = parseInt(item.dataset.tabId);
+        chrome.tabs.update(tabId, { active: true });
+      }
+    });
+    
+    // Topic chips filter the list
+    item.querySelectorAll('button.topic-chip').forEach(chip => {
+      chip.addEventListener('click', (event) => {
+        event.stopPropagation();
+        filterByTopic(chip.dataset.topic);
+      });
+    });
+    item.querySelectorAll('button.tag-chip').forEach(chip => {
+      chip.addEventListener('click', (event) => {
+        event.stopPropagation();
+        filterByTag(chip.dataset.tag);
+      });
+    });
+    
+    // Drag the row onto another category's group to move it there
+    item.draggable = true;
+    item.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData(TAB_DRAG_TYPE, item.dataset.tabId);
+      event.dataTransfer.effectAllowed = 'move';
+      item.classList.add('dragging');
+    });
+    item.addEventListener('dragend', () => item.classList.remove('dragging'));
+    
+    // Go to tab button
+    const gotoBtn = item.querySelector('.tab-goto-btn');
+    if (gotoBtn) {
+      gotoBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        const tabId = parseInt(item.dataset.tabId);
+        chrome.tabs.update(tabId, { active: true });
+      });
+    }
+    
+    // Wake suspended tab button
+    const wakeBtn = item.querySelector('.tab-wake-btn');
+    if (wakeBtn) {
+      wakeBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        wakeSuspendedTabs([parseInt(item.dataset.tabId)], wakeBtn);
+      });
+    }
+    
+    // Re-analyze button: ignores the stored result for this page
+    const reanalyzeBtn = item.querySelector('.tab-reanalyze-btn');
+    if (reanalyzeBtn) {
+      reanalyzeBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        reanalyzeTab(parseInt(item.dataset.tabId), reanalyzeBtn);
+      });
+    }
+    
+    // Tags and note button
+    const notesBtn = item.querySelector('.tab-notes-btn');
+    if (notesBtn) {
+      notesBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        showTabNotesEditor(item);
+      });
+    }
+    
+    // Move to category or window button
+    const moveBtn = item.querySelector('.tab-move-btn');
+    if (moveBtn) {
+      moveBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        showMoveMenu(item);
+      });
+    }
+    
+    // Close tab button
+    const closeBtn = item.querySelector('.tab-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        const tabId = parseInt(item.dataset.tabId);
+        chrome.tabs.remove(tabId);
+        onTabClosed(tabId, item);
+      });
+    }
+  });
+  
+  // Category groups take dropped tabs; Shift+drop applies the category to the tab's whole domain
+  document.querySelectorAll('.tab-group[data-droppable]:not([data-drop-bound])').forEach(group => {
+    group.dataset.dropBound = 'true';
+    group.addEventListener('dragover', (event) => {
+      if (event.dataTransfer.types.includes(TAB_DRAG_TYPE)) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        group.classList.add('drop-target');
+      }
+    });
+    group.addEventListener('dragleave', (event) => {
+      if (!group.contains(event.relatedTarget)) {
+        group.classList.remove('drop-target');
+      }
+    });
+    group.addEventListener('drop', (event) => {
+      event.preventDefault();
+      group.classList.remove('drop-target');
+      const tabId = parseInt(event.dataTransfer.getData(TAB_DRAG_TYPE));
+      const record = tabData[tabId];
+      if (record && (record.category !== group.dataset.category || event.shiftKey)) {
+        setTabCategory(tabId, group.dataset.category, event.shiftKey ? 'domain' : 'url');
+      }
+    });
+  });
+  
+  // Add listeners for group headers
+  document.querySelectorAll('.group-header:not([data-listeners-bound])').forEach(header => {
+    header.dataset.listenersBound = 'true';
+    header.addEventListener('click', () => {
+      const tabList = header.nextElementSibling;
+      const collapseBtn = header.querySelector('.group-collapse-btn');
+      const collapsed = tabList.style.display !== 'none';
+      
+      tabList.style.display = collapsed ? 'none' : 'block';
+      if (collapseBtn) {
+        collapseBtn.textContent = collapsed ? '▶' : '▼';
+      }
+    });
+  });
+}
+
+function getGroupElement(category) {
+  return Array.from(document.querySelectorAll('#tab-groups-container > .tab-group'))
+    .find(group => group.dataset.category === category);
+}
+
+function getTabItem(tabId) {
+  return document.querySelector(`#tab-groups-container .tab-item[data-tab-id="${tabId}"]`);
+}
+
+// Fields shown in a tab row; a change to any of them replaces the row
+const RENDERED_TAB_FIELDS = ['title', 'url', 'summary', 'category', 'categorySource', 'categoryConfidence', 'discarded',
+  'readingTime', 'byline', 'publishedAt', 'summaryPoints', 'topics', 'categoryOverride', 'tags', 'note'];
+
+function hasRenderedChanges(previous, next) {
+  // Compared as JSON so list fields (summaryPoints) only count when their contents change
+  return RENDERED_TAB_FIELDS.some(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]));
+}
+
+// Function to redraw only the rows whose content changed, where they are
+// For views whose groups and their order stay the same (checked by the caller)
+function patchTabRows(nextTabData) {
+  const touchedGroups = new Set();
+  Object.values(nextTabData).forEach(tab => {
+    const previous = tabData[tab.id];
+    const item = getTabItem(tab.id);
+    if (!previous || !item || !hasRenderedChanges(previous, tab)) {
+      return;
+    }
+    touchedGroups.add(item.closest('.tab-group'));
+    item.replaceWith(createTabElement(tab));
+  });
+  
+  tabData = nextTabData;
+  touchedGroups.forEach(groupElement => {
+    const tabs = Array.from(groupElement.querySelectorAll('.tab-item'))
+      .map(item => tabData[item.dataset.tabId])
+      .filter(Boolean);
+    updateGroupHeader(groupElement, tabs);
+  });
+}
+
+// Function to apply new tab data by touching only the rows and groups that changed
+// (renderTabGroups() rebuilds everything; this keeps scroll position and collapsed groups)
+function patchTabGroups(nextTabData) {
+  const container = document.getElementById('tab-groups-container');
+  const touchedCategories = new Set();
+  
+  // Closed tabs
+  Object.keys(tabData).forEach(tabId => {
+    if (!nextTabData[tabId]) {
+      const item = getTabItem(tabId);
+      if (item) {
+        item.remove();
+      }
+      touchedCategories.add(tabData[tabId].category);
+    }
+  });
+  
+  // New and changed tabs
+  Object.values(nextTabData).forEach(tab => {
+    const previous = tabData[tab.id];
+    if (previous && !hasRenderedChanges(previous, tab)) {
+      // Only the position can change
+      if (previous.lastAccessed !== tab.lastAccessed) {
+        touchedCategories.add(tab.category);
+      }
+      return;
+    }
+    
+    const item = getTabItem(tab.id);
+    if (item) {
+      item.remove();
+    }
+    if (previous) {
+      touchedCategories.add(previous.category);
+    }
+    touchedCategories.add(tab.category);
+  });
+  
+  tabData = nextTabData;
+  const groupedTabs = groupTabsByCategory(Object.values(tabData));
+  categories = new Set(Object.keys(groupedTabs));
+  
+  // Drop loading and empty placeholders once there is something to show
+  if (categories.size > 0) {
+    container.querySelectorAll(':scope > .loading, :scope > .empty-state').forEach(element => element.remove());
+  }
+  
+  touchedCategories.forEach(category => {
+    const tabs = groupedTabs[category];
+    let groupElement = getGroupElement(category);
+    
+    if (!tabs) {
+      if (groupElement) {
+        groupElement.remove();
+      }
+      return;
+    }
+    
+    if (!groupElement) {
+      // Keep groups in alphabetical order
+      groupElement = createGroupElement(category, tabs);
+      const next = Array.from(container.querySelectorAll(':scope > .tab-group'))
+        .find(group => group.dataset.category.localeCompare(category) > 0);
+      container.insertBefore(groupElement, next || null);
+      return;
+    }
+    
+    // Reuse existing rows; appending moves them into the new order
+    const tabList = groupElement.querySelector('.tab-list');
+    tabs.forEach(tab => {
+      tabList.appendChild(getTabItem(tab.id) || createTabElement(tab));
+    });
+    updateGroupHeader(groupElement, tabs);
+  });
+}
@@ -0,0 +1,70 @@
+// Tags and note editor for a tab row (shared by the popup and the side panel)
+
+// Function to close a tab's editor; the row can be dragged again
+function closeTabNotesEditor(editor) {
+  const item = editor.closest('.tab-item');
+  if (item) {
+    item.draggable = true;
+  }
+  editor.remove();
+}
+
+// Function to show the tags and note editor under a tab's details
+// The saved tags and note arrive as a tabUpdated change, which redraws the row
+function showTabNotesEditor(item) {
+  // Only one editor at a time
+  document.querySelectorAll('.tab-notes-editor').forEach(closeTabNotesEditor);
+
+  const tabId = parseInt(item.dataset.tabId);
+  const record = tabData[tabId] || {};
+
+  const editor = document.createElement('form');
+  editor.className = 'tab-notes-editor';
+  editor.innerHTML = `
+    <input type="text" class="tab-tags-input" placeholder="Tags, separated by commas">
+    <textarea class="tab-note-input" rows="2" maxlength="500" placeholder="Note"></textarea>
+    <div class="tab-notes-actions">
+      <button type="button" class="secondary-action-btn tab-notes-cancel">Cancel</button>
+      <button type="submit" class="secondary-action-btn">Save</button>
+    </div>
+  `;
+  const tagsInput = editor.querySelector('.tab-tags-input');
+  const noteInput = editor.querySelector('.tab-note-input');
+  tagsInput.value = (record.tags || []).join(', ');
+  noteInput.value = record.note || '';
+
+  // Keep clicks and keys inside the editor (they would switch to the tab or move the selection)
+  editor.addEventListener('click', event => event.stopPropagation());
+  editor.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closeTabNotesEditor(editor);
+    }
+  });
+  editor.querySelector('.tab-notes-cancel').addEventListener('click', () => closeTabNotesEditor(editor));
+
+  editor.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const saveBtn = editor.querySelector('button[type="submit"]');
+    saveBtn.disabled = true;
+    try {
+      await sendBackgroundMessage({
+        action: "setTabNotes",
+        tabId,
+        tags: tagsInput.value.split(','),
+        note: noteInput.value
+      });
+      closeTabNotesEditor(editor);
+    } catch (error) {
+      console.error('Error saving tags and note:', error);
+      saveBtn.disabled = false;
+      saveBtn.title = error.message;
+    }
+  });
+
+  // Text can't be selected with the mouse inside a draggable row
+  item.draggable = false;
+  item.querySelector('.tab-info').appendChild(editor);
+  tagsInput.focus();
+}
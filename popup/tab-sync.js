@@ -0,0 +1,66 @@
+// Keeping a page's tabData in step with the background's change messages
+// Deltas (tabAdded / tabUpdated / tabRemoved) must arrive in sequence; after a gap or a
+// background restart the page asks for a snapshot. Pages define applyTabDataChange(nextTabData).
+
+let tabSyncState = { epoch: null, seq: 0 };
+let snapshotRequest = null;
+
+const TAB_DELTA_ACTIONS = ['tabAdded', 'tabUpdated', 'tabRemoved'];
+
+function isTabSyncMessage(message) {
+  return message.action === 'tabSnapshot' || TAB_DELTA_ACTIONS.includes(message.action);
+}
+
+function applyTabSnapshot(snapshot) {
+  // Ignore a snapshot older than what we have
+  if (snapshot.epoch === tabSyncState.epoch && snapshot.seq < tabSyncState.seq) {
+    return;
+  }
+  tabSyncState = { epoch: snapshot.epoch, seq: snapshot.seq };
+  applyTabDataChange(snapshot.tabData);
+}
+
+// Function to fetch the whole tab list, e.g. when opening or after missing a change
+function requestTabSnapshot() {
+  if (!snapshotRequest) {
+    snapshotRequest = sendBackgroundMessage({ action: "getTabSnapshot" })
+      .then(applyTabSnapshot)
+      .finally(() => {
+        snapshotRequest = null;
+      });
+  }
+  return snapshotRequest;
+}
+
+// Function to apply one change message; returns false for messages that aren't about tab data
+function handleTabSyncMessage(message) {
+  if (!isTabSyncMessage(message)) {
+    return false;
+  }
+  
+  if (message.action === 'tabSnapshot') {
+    applyTabSnapshot(message);
+    return true;
+  }
+  
+  // Already covered by a snapshot
+  if (message.epoch === tabSyncState.epoch && message.seq <= tabSyncState.seq) {
+    return true;
+  }
+  
+  // Missed a change, or the background restarted
+  if (message.epoch !== tabSyncState.epoch || message.seq !== tabSyncState.seq + 1) {
+    requestTabSnapshot().catch(error => console.error('Error loading tab snapshot:', error));
+    return true;
+  }
+  
+  tabSyncState.seq = message.seq;
+  const nextTabData = { ...tabData };
+  if (message.action === 'tabRemoved') {
+    delete nextTabData[message.tabId];
+  } else {
+    nextTabData[message.tabId] = message.tab;
+  }
+  applyTabDataChange(nextTabData);
+  return true;
+}
@@ -0,0 +1,93 @@
+// Tasks grouping: tabs clustered by content similarity in the background
+
+// Group for tabs not similar enough to any other (and tabs the last clustering didn't see)
+const UNCLUSTERED_TASK_GROUP = 'Unclustered';
+
+// Clusters from the background: [{ label, tabIds, unclustered }]
+let taskClusters = [];
+let taskClustersTimeout = null;
+
+// Function to fetch the clusters and show them if the list is grouped by task
+async function loadTaskClusters() {
+  try {
+    const response = await sendBackgroundMessage({ action: "getTaskClusters" });
+    taskClusters = response.clusters;
+  } catch (error) {
+    console.error('Error clustering tabs:', error);
+    taskClusters = [];
+  }
+
+  if (groupBy === 'task') {
+    renderTabGroups();
+  }
+}
+
+// Function to cluster again soon; changes tend to arrive in bursts
+function scheduleTaskClustersRefresh() {
+  clearTimeout(taskClustersTimeout);
+  taskClustersTimeout = setTimeout(loadTaskClusters, 500);
+}
+
+// Function to check whether a change can move tabs between clusters
+// (tabs opened or closed, or a page whose content changed; not just a tab switch)
+function haveClusterInputsChanged(previousTabData, nextTabData) {
+  const previousIds = Object.keys(previousTabData);
+  if (previousIds.length !== Object.keys(nextTabData).length) {
+    return true;
+  }
+  return previousIds.some(tabId => !nextTabData[tabId] ||
+    nextTabData[tabId].analysisFingerprint !== previousTabData[tabId].analysisFingerprint);
+}
+
+// Function to group tabs by the last clusters
+function groupTabsByTask(tabs) {
+  const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+  const placed = new Set();
+  const groupedTabs = {};
+
+  taskClusters.forEach(cluster => {
+    const members = cluster.tabIds.map(tabId => tabsById.get(tabId)).filter(Boolean);
+    if (members.length > 0) {
+      groupedTabs[cluster.label] = members;
+      members.forEach(tab => placed.add(tab.id));
+    }
+  });
+
+  const unplaced = tabs.filter(tab => !placed.has(tab.id));
+  if (unplaced.length > 0) {
+    groupedTabs[UNCLUSTERED_TASK_GROUP] = (groupedTabs[UNCLUSTERED_TASK_GROUP] || []).concat(unplaced);
+  }
+
+  Object.keys(groupedTabs).forEach(group => {
+    groupedTabs[group].sort((a, b) => b.lastAccessed - a.lastAccessed);
+  });
+
+  return groupedTabs;
+}
+
+// Function to add a "Save as group" action to a task group's header
+function addClusterSaveButton(groupElement, label, tabs) {
+  if (label === UNCLUSTERED_TASK_GROUP || tabs.length < 2) {
+    return;
+  }
+
+  const button = document.createElement('button');
+  button.className = 'secondary-action-btn group-save-btn';
+  button.textContent = 'Save as group';
+  button.title = 'Put these tabs into a Chrome tab group with this name';
+  button.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    button.disabled = true;
+    try {
+      await sendBackgroundMessage({ action: "saveClusterAsGroup", tabIds: tabs.map(tab => tab.id), title: label });
+      button.textContent = 'Saved';
+    } catch (error) {
+      console.error('Error saving cluster as tab group:', error);
+      button.textContent = 'Failed';
+      button.title = error.message;
+      button.disabled = false;
+    }
+  });
+
+  groupElement.querySelector('.group-actions').prepend(button);
+}
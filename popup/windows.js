@@ -0,0 +1,132 @@
+// Window grouping: tabs by window (this window first), then by category, plus moving whole
+// categories between windows and consolidating windows into one per category
+
+// The window this popup belongs to (shown first)
+let currentWindowId = null;
+
+// Section for tabs whose window isn't known yet
+const UNKNOWN_WINDOW_SECTION = 'Other tabs';
+
+// Function to look up the popup's window before the first render
+async function loadCurrentWindow() {
+  try {
+    currentWindowId = (await chrome.windows.getCurrent()).id;
+  } catch (error) {
+    console.error('Error getting current window:', error);
+  }
+}
+
+// Function to append one section per window, each holding that window's category groups
+function appendWindowSections(container, tabs) {
+  const tabsByWindow = new Map();
+  tabs.forEach(tab => {
+    const windowId = tab.windowId === undefined ? null : tab.windowId;
+    if (!tabsByWindow.has(windowId)) {
+      tabsByWindow.set(windowId, []);
+    }
+    tabsByWindow.get(windowId).push(tab);
+  });
+
+  const windowIds = sortWindowIds(Array.from(tabsByWindow.keys()).filter(windowId => windowId !== null), currentWindowId);
+  if (tabsByWindow.has(null)) {
+    windowIds.push(null);
+  }
+
+  windowIds.forEach(windowId => {
+    const windowTabs = tabsByWindow.get(windowId);
+    const section = document.createElement('section');
+    section.className = 'window-section';
+    section.classList.toggle('current-window', windowId === currentWindowId);
+
+    const header = document.createElement('div');
+    header.className = 'window-header';
+    header.innerHTML = '<span class="window-title"></span><span class="window-count"></span>';
+    header.querySelector('.window-title').textContent = windowId === null
+      ? UNKNOWN_WINDOW_SECTION
+      : getWindowLabel(windowId, windowIds, currentWindowId);
+    header.querySelector('.window-count').textContent = `${windowTabs.length} ${windowTabs.length === 1 ? 'tab' : 'tabs'}`;
+    section.appendChild(header);
+
+    const groupedTabs = groupTabsByCategory(windowTabs);
+    Object.keys(groupedTabs).sort().forEach(category => {
+      const groupElement = createGroupElement(category, groupedTabs[category]);
+      addCategoryWindowButton(groupElement, category);
+      section.appendChild(groupElement);
+    });
+
+    container.appendChild(section);
+  });
+}
+
+// Function to add a "Move to window" action to a category group's header
+// It moves every tab of the category, from all windows
+function addCategoryWindowButton(groupElement, category) {
+  const button = document.createElement('button');
+  button.className = 'secondary-action-btn group-window-btn';
+  button.textContent = 'Move…';
+  button.title = `Move all "${category}" tabs to another window`;
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    showCategoryWindowMenu(groupElement, category);
+  });
+
+  groupElement.querySelector('.group-actions').prepend(button);
+}
+
+// Function to show a window picker under a category group's header
+function showCategoryWindowMenu(groupElement, category) {
+  document.querySelectorAll('.move-menu').forEach(menu => menu.remove());
+
+  const menu = document.createElement('select');
+  menu.className = 'move-menu group-move-menu';
+  const placeholder = new Option(`Move all "${category}" tabs to…`, '');
+  placeholder.disabled = true;
+  placeholder.selected = true;
+  menu.add(placeholder);
+  addWindowMoveOptions(menu, null);
+
+  menu.addEventListener('click', event => event.stopPropagation());
+  menu.addEventListener('blur', () => menu.remove());
+  menu.addEventListener('change', async () => {
+    const windowId = getMenuWindowId(menu.value);
+    menu.remove();
+    try {
+      await sendBackgroundMessage({ action: "moveCategoryToWindow", category, windowId });
+    } catch (error) {
+      console.error('Error moving category to window:', error);
+    }
+  });
+
+  groupElement.querySelector('.group-header').after(menu);
+  menu.focus();
+}
+
+// Function to rearrange the windows so that each category has a window of its own
+async function consolidateWindows() {
+  if (!confirm('Move tabs so that each category has its own window? Pinned tabs stay where they are.')) {
+    return;
+  }
+
+  const button = document.getElementById('consolidate-windows-btn');
+  button.disabled = true;
+  try {
+    const { moved, windowsCreated } = await sendBackgroundMessage({ action: "consolidateWindows" });
+    button.textContent = moved === 0
+      ? 'Already sorted'
+      : `Moved ${moved} ${moved === 1 ? 'tab' : 'tabs'}${windowsCreated > 0 ? `, ${windowsCreated} new ${windowsCreated === 1 ? 'window' : 'windows'}` : ''}`;
+  } catch (error) {
+    console.error('Error consolidating windows:', error);
+    button.textContent = 'Failed';
+    button.title = error.message;
+  }
+
+  setTimeout(() => {
+    button.textContent = 'One window per category';
+    button.disabled = false;
+  }, 3000);
+}
+
+// Function to set up the window controls (called once)
+function setupWindowControls() {
+  document.getElementById('consolidate-windows-btn').addEventListener('click', consolidateWindows);
+}
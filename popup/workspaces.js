@@ -0,0 +1,182 @@
+// Workspaces panel of the popup
+
+// Function to fill the scope picker for saving a workspace
+async function populateWorkspaceScopes() {
+  const select = document.getElementById('workspace-scope-select');
+  select.innerHTML = '';
+
+  const highlighted = await chrome.tabs.query({ currentWindow: true, highlighted: true });
+
+  select.add(new Option('Current window', 'window'));
+  if (highlighted.length > 1) {
+    select.add(new Option(`Selected tabs (${highlighted.length})`, 'selected'));
+  }
+
+  Array.from(categories).sort().forEach(category => {
+    select.add(new Option(`Category: ${category}`, `category:${category}`));
+  });
+}
+
+// Turn the picker value into a scope the background understands
+async function getSelectedWorkspaceScope() {
+  const value = document.getElementById('workspace-scope-select').value;
+
+  if (value.startsWith('category:')) {
+    return { type: 'category', category: value.slice('category:'.length) };
+  }
+
+  if (value === 'selected') {
+    const highlighted = await chrome.tabs.query({ currentWindow: true, highlighted: true });
+    return { type: 'tabs', tabIds: highlighted.map(tab => tab.id) };
+  }
+
+  const currentWindow = await chrome.windows.getCurrent();
+  return { type: 'window', windowId: currentWindow.id };
+}
+
+// Function to load the workspaces view
+async function loadWorkspacesView() {
+  try {
+    await populateWorkspaceScopes();
+    const { workspaces } = await sendBackgroundMessage({ action: "getWorkspaces" });
+    renderWorkspaces(workspaces);
+  } catch (error) {
+    console.error('Error loading workspaces:', error);
+    document.getElementById('workspaces-list').innerHTML =
+      `<div class="error">Error loading workspaces: ${error.message}</div>`;
+  }
+}
+
+// Function to render the saved workspaces
+function renderWorkspaces(workspaces) {
+  const list = document.getElementById('workspaces-list');
+  list.innerHTML = '';
+
+  if (workspaces.length === 0) {
+    list.innerHTML = '<div class="empty-state">No saved workspaces yet.</div>';
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  workspaces
+    .slice()
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .forEach(workspace => fragment.appendChild(createWorkspaceRow(workspace)));
+
+  list.appendChild(fragment);
+}
+
+// Function to create the row for one workspace
+function createWorkspaceRow(workspace) {
+  const row = document.createElement('div');
+  row.className = 'panel-item';
+
+  const info = document.createElement('div');
+  info.className = 'tab-info';
+
+  const name = document.createElement('div');
+  name.className = 'tab-title';
+  name.textContent = workspace.name;
+
+  const meta = document.createElement('div');
+  meta.className = 'tab-summary';
+  const updated = new Date(workspace.updatedAt).toLocaleString();
+  meta.textContent = `${workspace.tabs.length} tabs · updated ${updated}`;
+  meta.title = workspace.tabs.map(tab => tab.title || tab.url).join('\n');
+
+  info.appendChild(name);
+  info.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'panel-item-actions';
+
+  actions.appendChild(createPanelButton('Restore', 'Open these tabs in a new window', () =>
+    sendBackgroundMessage({ action: "restoreWorkspace", id: workspace.id })
+  ));
+
+  actions.appendChild(createPanelButton('Update', 'Replace with the tabs currently in this scope', async () => {
+    const scope = workspace.scope && workspace.scope.type === 'category'
+      ? workspace.scope
+      : { type: 'window', windowId: (await chrome.windows.getCurrent()).id };
+    await sendBackgroundMessage({ action: "updateWorkspace", id: workspace.id, scope });
+    await loadWorkspacesView();
+  }));
+
+  actions.appendChild(createPanelButton('Rename', 'Rename this workspace', async () => {
+    const newName = prompt('Workspace name:', workspace.name);
+    if (newName && newName.trim() && newName.trim() !== workspace.name) {
+      await sendBackgroundMessage({ action: "renameWorkspace", id: workspace.id, name: newName });
+      await loadWorkspacesView();
+    }
+  }));
+
+  actions.appendChild(createPanelButton('✕', 'Delete this workspace', async () => {
+    if (confirm(`Delete workspace "${workspace.name}"?`)) {
+      await sendBackgroundMessage({ action: "deleteWorkspace", id: workspace.id });
+      await loadWorkspacesView();
+    }
+  }));
+
+  row.appendChild(info);
+  row.appendChild(actions);
+  return row;
+}
+
+// Helper to create a small action button that reports errors
+function createPanelButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'secondary-action-btn';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    button.disabled = true;
+    try {
+      await onClick();
+    } catch (error) {
+      console.error(`Error running "${label}":`, error);
+      alert(error.message);
+    } finally {
+      button.disabled = false;
+    }
+  });
+  return button;
+}
+
+// Function to save a new workspace from the form
+async function saveWorkspaceFromForm() {
+  const nameInput = document.getElementById('workspace-name-input');
+  const closeTabs = document.getElementById('workspace-close-toggle').checked;
+  const name = nameInput.value.trim();
+
+  if (!name) {
+    nameInput.focus();
+    return;
+  }
+
+  const saveBtn = document.getElementById('save-workspace-btn');
+  saveBtn.disabled = true;
+
+  try {
+    const scope = await getSelectedWorkspaceScope();
+    await sendBackgroundMessage({ action: "saveWorkspace", name, scope, closeTabs });
+    nameInput.value = '';
+    await loadWorkspacesView();
+  } catch (error) {
+    console.error('Error saving workspace:', error);
+    alert(`Could not save workspace: ${error.message}`);
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+// Function to set up the workspace form controls (called once)
+function setupWorkspaceControls() {
+  document.getElementById('save-workspace-btn').addEventListener('click', saveWorkspaceFromForm);
+  document.getElementById('workspace-name-input').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      saveWorkspaceFromForm();
+    }
+  });
+}
@@ -0,0 +1,122 @@
+// Side panel: the categorized tab list, kept open next to the page and patched as tabs change
+
+// Store for our tab data (shared names with the popup so tab-list.js works in both)
+let tabData = {};
+let categories = new Set();
+
+// Window this panel belongs to and its active tab
+let panelWindowId = null;
+let activeTabId = null;
+
+// Helper to send a message to the background and get a promise for the response
+async function sendBackgroundMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'No response from background');
+  }
+  return response;
+}
+
+// Function to render every group from scratch (first load and after waking tabs)
+function renderTabGroups() {
+  const container = document.getElementById('tab-groups-container');
+  container.innerHTML = '';
+
+  const groupedTabs = groupTabsByCategory(Object.values(tabData));
+  categories = new Set(Object.keys(groupedTabs));
+
+  if (categories.size === 0) {
+    container.innerHTML = '<div class="empty-state">No tabs analyzed yet.</div>';
+  }
+
+  const fragment = document.createDocumentFragment();
+  Object.keys(groupedTabs).sort().forEach(category => {
+    fragment.appendChild(createGroupElement(category, groupedTabs[category]));
+  });
+  container.appendChild(fragment);
+
+  finishPanelUpdate();
+}
+
+// Function to show changes from the background without rebuilding the list
+function applyTabDataChange(nextTabData) {
+  patchTabGroups(nextTabData);
+
+  if (categories.size === 0) {
+    document.getElementById('tab-groups-container').innerHTML = '<div class="empty-state">No tabs analyzed yet.</div>';
+  }
+
+  finishPanelUpdate();
+}
+
+// Function to run after any render or patch
+function finishPanelUpdate() {
+  bindTabListEvents((tabId) => {
+    // The background reports the removal; drop the row now so it feels immediate
+    if (tabData[tabId]) {
+      const nextTabData = { ...tabData };
+      delete nextTabData[tabId];
+      applyTabDataChange(nextTabData);
+    }
+  });
+  highlightActiveTab();
+  updatePanelSummary();
+}
+
+// Function to mark the active tab of this window
+function highlightActiveTab() {
+  document.querySelectorAll('.tab-item.active-tab').forEach(item => {
+    if (parseInt(item.dataset.tabId) !== activeTabId) {
+      item.classList.remove('active-tab');
+    }
+  });
+
+  const item = getTabItem(activeTabId);
+  if (item && !item.classList.contains('active-tab')) {
+    item.classList.add('active-tab');
+    item.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function updatePanelSummary() {
+  const tabCount = Object.keys(tabData).length;
+  document.getElementById('panel-summary').textContent =
+    `${tabCount} tab${tabCount === 1 ? '' : 's'} · ${categories.size} group${categories.size === 1 ? '' : 's'}`;
+}
+
+// Handle messages from the background script
+function handlePanelMessages(message) {
+  handleTabSyncMessage(message);
+}
+
+// Function to initialize the side panel
+async function initSidePanel() {
+  document.getElementById('tab-groups-container').innerHTML =
+    '<div class="loading">Loading tabs...</div>';
+
+  chrome.runtime.onMessage.addListener(handlePanelMessages);
+
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    panelWindowId = currentWindow.id;
+    const [activeTab] = await chrome.tabs.query({ active: true, windowId: panelWindowId });
+    activeTabId = activeTab ? activeTab.id : null;
+
+    // The first snapshot replaces the loading message
+    await requestTabSnapshot();
+  } catch (error) {
+    console.error('Error loading side panel:', error);
+    document.getElementById('tab-groups-container').innerHTML =
+      '<div class="error">Error loading tabs. Try reopening the side panel.</div>';
+  }
+}
+
+// Follow tab switches in this window
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  if (windowId === panelWindowId) {
+    activeTabId = tabId;
+    highlightActiveTab();
+  }
+});
+
+document.addEventListener('DOMContentLoaded', initSidePanel);
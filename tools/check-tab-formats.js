@@ -0,0 +1,59 @@
+// Round-trip check for the tab export/import formats in lib/tab-formats.js
+//
+// Usage: npm run check-formats  (or: node tools/check-tab-formats.js)
+//
+// Exports a few tricky entries in every format, imports them again and reports any
+// URL, title or category that didn't survive.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// lib/tab-formats.js is a plain script for extension pages; run it in a sandbox to get its functions
+const source = fs.readFileSync(path.join(__dirname, '..', 'lib', 'tab-formats.js'), 'utf8');
+const formats = vm.runInNewContext(`${source}\n({ TAB_EXPORT_FORMATS, exportTabs, parseTabImport });`);
+
+const ENTRIES = [
+  { url: 'https://example.com/', title: 'Example', category: 'Reading' },
+  { url: 'https://en.wikipedia.org/wiki/Mercury_(planet)', title: 'Mercury (planet)', category: 'Reading' },
+  { url: 'https://b.com/(paren)', title: 'Brackets [and] parens', category: 'Development' },
+  { url: 'https://b.com/search?q=a%20b&x=(1)', title: 'Query', category: 'Development' }
+];
+
+// What each format keeps
+const FORMAT_FIELDS = {
+  json: ['url', 'title', 'category'],
+  markdown: ['url', 'title', 'category'],
+  html: ['url', 'title', 'category'],
+  onetab: ['url', 'title']
+};
+
+let failures = 0;
+
+Object.keys(formats.TAB_EXPORT_FORMATS).forEach(format => {
+  const imported = formats.parseTabImport(formats.exportTabs(ENTRIES, format));
+  const fields = FORMAT_FIELDS[format] || ['url'];
+
+  ENTRIES.forEach(entry => {
+    const match = imported.find(item => item.url === entry.url);
+    const broken = match
+      ? fields.filter(field => match[field] !== entry[field])
+      : ['url'];
+    if (broken.length > 0) {
+      failures++;
+      console.error(`${format}: ${entry.url} came back with a different ${broken.join(', ')}` +
+        (match ? ` (${JSON.stringify(match)})` : ''));
+    }
+  });
+
+  if (imported.length !== ENTRIES.length) {
+    failures++;
+    console.error(`${format}: exported ${ENTRIES.length} tabs, imported ${imported.length}`);
+  }
+});
+
+if (failures > 0) {
+  console.error(`${failures} round-trip problem(s)`);
+  process.exit(1);
+}
+console.log(`All ${Object.keys(formats.TAB_EXPORT_FORMATS).length} formats round-trip`);
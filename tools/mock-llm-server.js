@@ -0,0 +1,107 @@
+// Local mock LLM server for running tab analysis offline
+//
+// Usage: npm run mock-llm  (or: node tools/mock-llm-server.js [port])
+//
+// Serves both provider styles the extension supports:
+//   POST /v1/chat/completions  - OpenAI-compatible
+//   POST /api/chat             - Ollama-style
+// Point the provider URL in the extension settings at http://localhost:<port>/...
+
+const http = require('http');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+
+// Very small keyword table so responses look plausible
+const CATEGORY_HINTS = [
+  { category: 'Development', words: ['github', 'gitlab', 'stackoverflow', 'npm', 'api', 'javascript', 'code'] },
+  { category: 'Documents', words: ['docs.google', 'notion', 'pdf', 'paper', 'arxiv'] },
+  { category: 'Email', words: ['mail', 'inbox'] },
+  { category: 'Entertainment', words: ['youtube', 'netflix', 'spotify', 'twitch', 'movie'] },
+  { category: 'Reading', words: ['news', 'blog', 'article', 'medium'] }
+];
+
+function analyzePrompt(messages) {
+  const userMessage = (messages || []).filter(message => message.role === 'user').pop();
+  const text = (userMessage && userMessage.content) || '';
+  const lower = text.toLowerCase();
+
+  const titleMatch = text.match(/^Title: (.*)$/m);
+  const title = titleMatch ? titleMatch[1].trim() : 'Untitled page';
+
+  const hint = CATEGORY_HINTS.find(entry => entry.words.some(word => lower.includes(word)));
+
+  const contentMatch = lower.match(/^content: (.*)$/m);
+  const words = ((contentMatch && contentMatch[1]) || title.toLowerCase()).match(/[a-z]{5,}/g) || [];
+  const topics = [...new Set(words)].slice(0, 3);
+
+  return {
+    category: hint ? hint.category : 'Uncategorized',
+    summary: `Mock summary of "${title}".`.substring(0, 200),
+    topics,
+    importance: 'medium'
+  };
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+  });
+
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw || '{}');
+    } catch (error) {
+      sendJson(res, 400, { error: 'Invalid JSON body' });
+      return;
+    }
+
+    const content = JSON.stringify(analyzePrompt(body.messages));
+    console.log(`${req.method} ${req.url} -> ${content}`);
+
+    if (req.url === '/v1/chat/completions') {
+      sendJson(res, 200, {
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion',
+        model: body.model || 'mock',
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+      });
+    } else if (req.url === '/api/chat') {
+      sendJson(res, 200, {
+        model: body.model || 'mock',
+        message: { role: 'assistant', content },
+        done: true
+      });
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock LLM server listening on http://localhost:${PORT}`);
+  console.log(`  OpenAI-compatible: http://localhost:${PORT}/v1/chat/completions`);
+  console.log(`  Ollama-style:      http://localhost:${PORT}/api/chat`);
+});